@@ -0,0 +1,15 @@
+/**
+ * Error type for failures a caller can act on
+ * The code says what went wrong (e.g. INVALID_SEARCH) and details carries
+ * the context; task2's adapters keep both when they wrap it.
+ */
+class ScraperError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ScraperError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export { ScraperError };
@@ -0,0 +1,169 @@
+/**
+ * Shared Browser Pool
+ * One long-lived Chromium for many records. Each record gets its own browser
+ * context (its own cookies and portal session), and each context opens up to
+ * tabConcurrency pages so several tabs of one case load at once. The pool
+ * caps how many records run together, relaunches the browser if it crashes
+ * and closes everything on close().
+ */
+
+import { chromium } from 'playwright';
+
+/**
+ * Creates a limiter: run(fn) calls fn once fewer than max calls are in flight
+ */
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= max || waiting.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (fn) => new Promise((resolve, reject) => {
+    waiting.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Maps items through fn with at most limit calls in flight, keeping their order
+ * If a call fails, the rest still finish before the first error is thrown, so
+ * nothing is left running against a page or context the caller then closes.
+ */
+async function mapLimit(items, limit, fn) {
+  const run = createLimiter(Math.max(1, limit));
+  const settled = await Promise.allSettled(items.map((item, index) => run(() => fn(item, index))));
+
+  const failed = settled.find(outcome => outcome.status === 'rejected');
+  if (failed) throw failed.reason;
+  return settled.map(outcome => outcome.value);
+}
+
+/**
+ * Creates a browser pool
+ *
+ * Options: concurrency (records at once, default 1), tabConcurrency (pages
+ * per record, default 1), headless, and contextOptions passed to
+ * browser.newContext (user agent and so on). The browser is launched on
+ * first use.
+ */
+function createBrowserPool(options = {}) {
+  const {
+    concurrency = 1,
+    tabConcurrency = 1,
+    headless = true,
+    contextOptions = {},
+  } = options;
+
+  if (!Number.isInteger(concurrency) || concurrency < 1 || !Number.isInteger(tabConcurrency) || tabConcurrency < 1) {
+    throw new Error('concurrency and tabConcurrency must be whole numbers of at least 1');
+  }
+
+  const limit = createLimiter(concurrency);
+  const active = new Set();
+  let launching = null;
+  let closed = false;
+
+  // A crashed browser is dropped so the next record launches a fresh one
+  function getBrowser() {
+    if (!launching) {
+      launching = chromium.launch({ headless }).then(browser => {
+        browser.on('disconnected', () => {
+          launching = null;
+        });
+        return browser;
+      });
+      launching.catch(() => {
+        launching = null;
+      });
+    }
+    return launching;
+  }
+
+  /**
+   * Runs fn(context) in a fresh browser context once a record slot is free
+   * The context is closed afterwards whether fn succeeds or not, so one
+   * failing record never leaves pages behind for the next.
+   */
+  function withContext(fn) {
+    return limit(async () => {
+      if (closed) {
+        throw new Error('Browser pool is closed');
+      }
+
+      const task = (async () => {
+        const browser = await getBrowser();
+        const context = await browser.newContext(contextOptions);
+        try {
+          return await fn(context);
+        } finally {
+          await context.close().catch(() => {});
+        }
+      })();
+
+      active.add(task);
+      try {
+        return await task;
+      } finally {
+        active.delete(task);
+      }
+    });
+  }
+
+  /**
+   * Closes the pool: no new records start, in-flight ones finish (or, with
+   * force, are cut off when the browser closes) and the browser is closed
+   */
+  async function close({ force = false } = {}) {
+    closed = true;
+    if (!force) {
+      await Promise.allSettled([...active]);
+    }
+
+    const browser = launching && await launching.catch(() => null);
+    launching = null;
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+
+  return {
+    concurrency,
+    tabConcurrency,
+    withContext,
+    close,
+    get closed() {
+      return closed;
+    },
+  };
+}
+
+/**
+ * Hands out up to max pages of one context, reusing idle ones
+ * withPage(fn) calls fn(page) once a page is free.
+ */
+function createPagePool(context, max) {
+  const limit = createLimiter(max);
+  const idle = [];
+
+  return (fn) => limit(async () => {
+    const page = idle.pop() || await context.newPage();
+    try {
+      return await fn(page);
+    } finally {
+      if (!page.isClosed()) idle.push(page);
+    }
+  });
+}
+
+export { createBrowserPool, createPagePool, mapLimit };
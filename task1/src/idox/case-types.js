@@ -0,0 +1,118 @@
+/**
+ * Idox Case Types
+ * The Idox public access product serves each kind of case from its own details
+ * page with its own set of tabs. Each entry here describes one kind of case.
+ */
+
+const CASE_TYPES = {
+  scottishBuildingWarrant: {
+    label: 'Scottish building warrant',
+    detailsPage: 'scottishBuildingWarrantDetails.do',
+    searchType: 'BuildingControl',
+    tabs: {
+      summary: 'summary',
+      details: 'details',
+      plots: 'plots',
+      dates: 'dates',
+      documents: 'documents',
+      relatedCases: 'relatedCases',
+      map: 'map',
+    },
+    certificateTabs: {
+      design: 'designCertificate',
+      construction: 'constructCertificate',
+      energy: 'energyCertificate',
+      completion: 'completionCertificate',
+    },
+    sections: ['summary', 'details', 'plots', 'dates', 'certificates', 'documents', 'relatedItems', 'geometry'],
+  },
+
+  buildingControl: {
+    label: 'English building control',
+    detailsPage: 'buildingControlDetails.do',
+    searchType: 'BuildingControl',
+    tabs: {
+      summary: 'summary',
+      details: 'details',
+      dates: 'dates',
+      documents: 'documents',
+      relatedCases: 'relatedCases',
+      map: 'map',
+    },
+    certificateTabs: {},
+    sections: ['summary', 'details', 'dates', 'documents', 'relatedItems', 'geometry'],
+  },
+
+  planningApplication: {
+    label: 'Planning application',
+    detailsPage: 'applicationDetails.do',
+    searchType: 'Application',
+    tabs: {
+      summary: 'summary',
+      details: 'details',
+      contacts: 'contacts',
+      dates: 'dates',
+      constraints: 'constraints',
+      documents: 'documents',
+      relatedCases: 'relatedCases',
+      map: 'map',
+    },
+    certificateTabs: {},
+    sections: ['summary', 'details', 'contacts', 'dates', 'constraints', 'documents', 'relatedItems', 'geometry'],
+  },
+};
+
+// Property pages list every case recorded against a property (UPRN)
+const PROPERTY_PAGE = 'propertyDetails.do';
+
+// Details pages of case kinds we link to but don't scrape as case types
+const OTHER_CASE_PAGES = {
+  'enforcementDetails.do': 'enforcement',
+  'appealDetails.do': 'appeal',
+};
+
+/**
+ * Maps each details page (applicationDetails.do, ...) to the kind of case it shows
+ */
+function caseKindsByPage() {
+  const kinds = { ...OTHER_CASE_PAGES };
+  for (const [name, caseType] of Object.entries(CASE_TYPES)) {
+    kinds[caseType.detailsPage] = name;
+  }
+  return kinds;
+}
+
+/**
+ * Looks up a case type, failing loudly on typos in council config
+ */
+function getCaseType(name) {
+  const caseType = CASE_TYPES[name];
+  if (!caseType) {
+    throw new Error(`Unknown Idox case type: ${name} (expected one of ${Object.keys(CASE_TYPES).join(', ')})`);
+  }
+  return caseType;
+}
+
+/**
+ * Picks the sections of a case type to scrape from include/exclude lists
+ * Names are checked against every case type, so one list can serve a warrant
+ * and the planning applications it links to; names a case type doesn't have
+ * are ignored for it. Returns the sections to scrape and those not requested.
+ */
+function selectSections(name, { include = null, exclude = [] } = {}) {
+  const { sections } = getCaseType(name);
+  const known = new Set(Object.values(CASE_TYPES).flatMap(caseType => caseType.sections));
+
+  const unknown = [...(include || []), ...exclude].filter(section => !known.has(section));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown section: ${unknown.join(', ')} (expected any of ${[...known].join(', ')})`);
+  }
+
+  const selected = sections.filter(section => (!include || include.includes(section)) && !exclude.includes(section));
+  return {
+    sections: selected,
+    notRequested: sections.filter(section => !selected.includes(section)),
+  };
+}
+
+export { CASE_TYPES, PROPERTY_PAGE, getCaseType, caseKindsByPage, selectSections };
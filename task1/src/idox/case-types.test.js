@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCaseType, caseKindsByPage, selectSections } from './case-types.js';
+
+test('getCaseType fails loudly on an unknown case type', () => {
+  assert.equal(getCaseType('planningApplication').detailsPage, 'applicationDetails.do');
+  assert.throws(() => getCaseType('warrant'), /Unknown Idox case type: warrant/);
+});
+
+test('caseKindsByPage maps every details page to its kind of case', () => {
+  assert.deepEqual(caseKindsByPage(), {
+    'enforcementDetails.do': 'enforcement',
+    'appealDetails.do': 'appeal',
+    'scottishBuildingWarrantDetails.do': 'scottishBuildingWarrant',
+    'buildingControlDetails.do': 'buildingControl',
+    'applicationDetails.do': 'planningApplication',
+  });
+});
+
+test('selectSections ignores sections a case type lacks but rejects unknown names', () => {
+  assert.deepEqual(selectSections('planningApplication', { include: ['summary', 'plots', 'contacts'] }), {
+    sections: ['summary', 'contacts'],
+    notRequested: ['details', 'dates', 'constraints', 'documents', 'relatedItems', 'geometry'],
+  });
+  assert.deepEqual(selectSections('scottishBuildingWarrant', { exclude: ['documents', 'contacts'] }).notRequested, ['documents']);
+  assert.throws(() => selectSections('scottishBuildingWarrant', { include: ['sumary'] }), /Unknown section: sumary/);
+});
@@ -0,0 +1,47 @@
+/**
+ * Idox Councils
+ * One entry per council running Idox public access. Adding a council is a
+ * matter of adding an entry: its portal base URL, the case types it
+ * publishes and, optionally, the ArcGIS FeatureServer layer holding each case
+ * type's site boundaries.
+ */
+
+const IDOX_COUNCILS = {
+  edinburgh: {
+    name: 'City of Edinburgh Council',
+    baseUrl: 'https://citydev-portal.edinburgh.gov.uk/idoxpa-web',
+    defaultCaseType: 'scottishBuildingWarrant',
+    exampleKeyVal: 'T1A67ZEWK0T00',
+    caseTypes: {
+      scottishBuildingWarrant: {
+        featureServerUrl: 'https://edinburgh.idoxmaps.com/server/rest/services/PALIVE/LIVEUniformPA_Building_Standards/FeatureServer/2',
+      },
+      planningApplication: {},
+    },
+  },
+};
+
+/**
+ * Builds the site config the Idox scraper works from: one council, one case type
+ */
+function resolveIdoxSite(councilId, caseType) {
+  const council = IDOX_COUNCILS[councilId];
+  if (!council) {
+    throw new Error(`Unknown Idox council: ${councilId}`);
+  }
+
+  const type = caseType || council.defaultCaseType;
+  const caseConfig = council.caseTypes[type];
+  if (!caseConfig) {
+    throw new Error(`${council.name} does not publish ${type} cases`);
+  }
+
+  return {
+    council: councilId,
+    baseUrl: council.baseUrl,
+    caseType: type,
+    featureServerUrl: caseConfig.featureServerUrl || null,
+  };
+}
+
+export { IDOX_COUNCILS, resolveIdoxSite };
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveIdoxSite } from './councils.js';
+import { buildUrl } from './idox-scraper.js';
+
+const PORTAL = 'https://citydev-portal.edinburgh.gov.uk/idoxpa-web';
+
+test('resolveIdoxSite defaults to the council\'s own case type', () => {
+  const site = resolveIdoxSite('edinburgh');
+  assert.equal(site.caseType, 'scottishBuildingWarrant');
+  assert.equal(site.baseUrl, PORTAL);
+  assert.match(site.featureServerUrl, /LIVEUniformPA_Building_Standards\/FeatureServer\/2$/);
+});
+
+test('resolveIdoxSite takes another published case type, without geometry if it has no layer', () => {
+  assert.deepEqual(resolveIdoxSite('edinburgh', 'planningApplication'), {
+    council: 'edinburgh',
+    baseUrl: PORTAL,
+    caseType: 'planningApplication',
+    featureServerUrl: null,
+  });
+});
+
+test('resolveIdoxSite rejects unknown councils and case types a council does not publish', () => {
+  assert.throws(() => resolveIdoxSite('atlantis'), /Unknown Idox council: atlantis/);
+  assert.throws(() => resolveIdoxSite('edinburgh', 'buildingControl'), /does not publish buildingControl/);
+});
+
+test('buildUrl points each case type at its own details page and tab', () => {
+  const warrant = resolveIdoxSite('edinburgh');
+  const planning = resolveIdoxSite('edinburgh', 'planningApplication');
+  assert.equal(buildUrl(warrant, 'T1A67ZEWK0T00'), `${PORTAL}/scottishBuildingWarrantDetails.do?keyVal=T1A67ZEWK0T00&activeTab=summary`);
+  assert.equal(buildUrl(warrant, 'T1A67ZEWK0T00', 'plots'), `${PORTAL}/scottishBuildingWarrantDetails.do?keyVal=T1A67ZEWK0T00&activeTab=plots`);
+  assert.equal(buildUrl(planning, 'S0A1B2C3D4E00', 'contacts'), `${PORTAL}/applicationDetails.do?keyVal=S0A1B2C3D4E00&activeTab=contacts`);
+  assert.equal(buildUrl({ baseUrl: 'https://pa.example.gov.uk/online-applications', caseType: 'buildingControl' }, 'K1'),
+    'https://pa.example.gov.uk/online-applications/buildingControlDetails.do?keyVal=K1&activeTab=summary');
+});
@@ -0,0 +1,100 @@
+/**
+ * Idox Public Access over plain HTTP
+ * Idox tabs are server-rendered, so most of the time a case can be read with
+ * Got and cheerio instead of a browser. createHttpReader returns a tab reader
+ * with the same methods as the Playwright one in idox-scraper.js, running the
+ * same parsers (parsers.js) on the pages it fetches. When the portal serves
+ * something only a browser can get through (a block page, a script challenge,
+ * an HTTP error) the reader throws BrowserRequiredError so the caller can
+ * fall back to Playwright.
+ */
+
+import got from 'got';
+import * as cheerio from 'cheerio';
+import { CookieJar } from 'tough-cookie';
+import { TAB_PARSERS } from './parsers.js';
+
+// Elements every Idox public access page has around its content
+const IDOX_PAGE_MARKERS = '#idox, #pa, .tabcontainer, ul.tabs';
+
+/**
+ * Thrown when a page can't be read without a browser
+ */
+class BrowserRequiredError extends Error {
+  constructor(message, url) {
+    super(message);
+    this.name = 'BrowserRequiredError';
+    this.url = url;
+  }
+}
+
+/**
+ * Creates a tab reader that fetches pages over plain HTTP
+ * One cookie jar per reader, so the portal's session carries across tabs.
+ * The last page fetched is kept, so reading two things from one page costs
+ * one request. Aborting signal cancels requests in flight; that rejects with
+ * the signal's reason rather than BrowserRequiredError, so nothing falls back.
+ */
+function createHttpReader({ timeout, userAgent, signal = null }) {
+  const client = got.extend({
+    ...(signal ? { signal } : {}),
+    cookieJar: new CookieJar(),
+    timeout: { request: timeout },
+    retry: { limit: 2 },
+    throwHttpErrors: false,
+    headers: {
+      'User-Agent': userAgent,
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-GB,en;q=0.9',
+    },
+  });
+
+  let current = null;
+
+  async function load(url) {
+    if (current?.url === url) return current;
+
+    let response;
+    try {
+      response = await client.get(url);
+    } catch (error) {
+      signal?.throwIfAborted();
+      throw new BrowserRequiredError(`HTTP fetch failed: ${error.message}`, url);
+    }
+
+    if (!response.ok) {
+      throw new BrowserRequiredError(`HTTP ${response.statusCode} from the portal`, url);
+    }
+
+    const $ = cheerio.load(response.body);
+    if ($(IDOX_PAGE_MARKERS).length === 0) {
+      throw new BrowserRequiredError('The portal did not serve an Idox page (blocked or script challenge)', url);
+    }
+
+    current = { url, pageUrl: response.url, $ };
+    return current;
+  }
+
+  return {
+    mode: 'http',
+    ...Object.fromEntries(Object.entries(TAB_PARSERS).map(([name, parse]) => [name, async (url) => {
+      const { $, pageUrl } = await load(url);
+      return parse($, pageUrl);
+    }])),
+    fetchJson: async (url) => {
+      const response = await client.get(url, { responseType: 'json' });
+      if (!response.ok) throw new Error(`HTTP ${response.statusCode}`);
+      return response.body;
+    },
+    fetchFile: async (url) => {
+      const response = await client.get(url, { responseType: 'buffer' });
+      if (!response.ok) throw new Error(`HTTP ${response.statusCode}`);
+      return {
+        body: response.body,
+        mimeType: (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim(),
+      };
+    },
+  };
+}
+
+export { BrowserRequiredError, createHttpReader };
@@ -0,0 +1,898 @@
+/**
+ * Idox Public Access Scraper
+ * Uses Playwright to scrape cases from any council running Idox public access
+ * (idoxpa-web). Works from a site config - base URL, case type and optional
+ * ArcGIS FeatureServer layer - built by resolveIdoxSite.
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import * as cheerio from 'cheerio';
+import { chromium } from 'playwright';
+import { getCaseType, selectSections, PROPERTY_PAGE } from './case-types.js';
+import { resolveIdoxSite } from './councils.js';
+import { BrowserRequiredError, createHttpReader } from './idox-http.js';
+import { createBrowserPool, createPagePool, mapLimit } from './browser-pool.js';
+import { createResponseCapture, installBlocking, resolveBlocking } from './network.js';
+import { TAB_PARSERS } from './parsers.js';
+import { ScraperError } from '../errors.js';
+
+const SCRAPER_VERSION = '1.2.0';
+
+const IDOX_DEFAULTS = {
+  timeout: 30000,
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+};
+
+/**
+ * Builds the URL for a specific tab of a case
+ */
+function buildUrl(site, keyVal, tab = 'summary') {
+  const { detailsPage } = getCaseType(site.caseType);
+  return `${site.baseUrl}/${detailsPage}?keyVal=${keyVal}&activeTab=${tab}`;
+}
+
+// What the browser waits for on each kind of tab before parsing it: the
+// key/value tabs fill in late, plots and dates once a table is there
+const TAB_WAITS = {
+  keyValueTab: { waitUntil: 'networkidle', selector: 'th' },
+  plots: { waitUntil: 'domcontentloaded', selector: 'table' },
+  dates: { waitUntil: 'domcontentloaded', selector: 'table' },
+};
+
+/**
+ * Loads a tab in the browser and parses its rendered HTML with cheerio
+ * The same parsers as the HTTP reader (parsers.js). caseLinks reads the
+ * page already open when it is the one asked for.
+ */
+async function readTab(page, url, name) {
+  const { waitUntil = 'domcontentloaded', selector = null } = TAB_WAITS[name] || {};
+  if (name !== 'caseLinks' || page.url() !== url) {
+    await page.goto(url, { waitUntil, timeout: IDOX_DEFAULTS.timeout });
+  }
+  if (selector) {
+    await page.waitForSelector(selector, { timeout: 10000 }).catch(() => {});
+  }
+  return TAB_PARSERS[name](cheerio.load(await page.content()), page.url());
+}
+
+/**
+ * Turns a document URL into a safe, unique filename within the case folder
+ */
+function documentFilename(url, index) {
+  const name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^[._]+/, '');
+  return `${String(index + 1).padStart(3, '0')}-${name || 'document'}`;
+}
+
+/**
+ * Downloads a case's documents into dir, adding file details to each entry
+ * Files come through the tab reader, so the portal's cookies go with each request.
+ * A failed download is recorded on its document rather than failing the case.
+ */
+async function downloadDocuments(reader, documents, dir, log) {
+  await mkdir(dir, { recursive: true });
+
+  for (const [index, doc] of documents.entries()) {
+    try {
+      const { body, mimeType } = await reader.fetchFile(doc.url);
+      const path = join(dir, documentFilename(doc.url, index));
+      await writeFile(path, body);
+
+      doc.file = {
+        path,
+        sha256: createHash('sha256').update(body).digest('hex'),
+        size: body.length,
+        mimeType,
+      };
+      log(`  Downloaded ${doc.description || doc.url} (${body.length} bytes)`);
+    } catch (error) {
+      doc.downloadError = error.message;
+      log(`  Failed to download ${doc.url}: ${error.message}`);
+    }
+  }
+
+  return documents;
+}
+
+/**
+ * Splits a case's related links by kind; the case's own tab links are not related cases
+ */
+function groupRelatedItems(keyVal, links) {
+  const related = {
+    properties: links.properties,
+    planningApplications: [],
+    buildingWarrants: [],
+    otherCases: [],
+  };
+
+  const seen = new Set();
+  for (const entry of links.cases) {
+    const key = `${entry.caseType}:${entry.keyVal}`;
+    if (entry.keyVal === keyVal || seen.has(key)) continue;
+    seen.add(key);
+
+    if (entry.caseType === 'planningApplication') {
+      related.planningApplications.push(entry);
+    } else if (entry.caseType === 'scottishBuildingWarrant' || entry.caseType === 'buildingControl') {
+      related.buildingWarrants.push(entry);
+    } else {
+      related.otherCases.push(entry);
+    }
+  }
+
+  return related;
+}
+
+/**
+ * Builds the URL for a tab of a property page
+ */
+function buildPropertyUrl(site, keyVal, tab = 'summary') {
+  return `${site.baseUrl}/${PROPERTY_PAGE}?keyVal=${keyVal}&activeTab=${tab}`;
+}
+
+/**
+ * Scrapes a property page through a tab reader: its UPRN, full address
+ * and every case (warrants, planning, enforcement, ...) recorded against it
+ */
+async function scrapePropertyWith(reader, site, keyVal, log) {
+  log(`Scraping property: ${keyVal}`);
+
+  const summaryUrl = buildPropertyUrl(site, keyVal, 'summary');
+  const summary = await reader.keyValueTab(summaryUrl);
+  const cases = await reader.caseLinks(summaryUrl);
+  cases.push(...await reader.caseLinks(buildPropertyUrl(site, keyVal, 'relatedCases')));
+
+  // Cases can appear on both tabs
+  const byKey = new Map();
+  for (const entry of cases) {
+    const key = `${entry.caseType}:${entry.keyVal}`;
+    if (!byKey.has(key)) byKey.set(key, entry);
+  }
+
+  return {
+    metadata: {
+      keyVal,
+      council: site.council,
+      scrapedAt: new Date().toISOString(),
+      sourceUrl: buildPropertyUrl(site, keyVal, 'summary'),
+      scraperVersion: SCRAPER_VERSION,
+      fetchMode: reader.mode,
+    },
+    uprn: summary.uprn || null,
+    address: summary.fullAddress || summary.address || summary.propertyAddress || null,
+    summary: emptyToNull(summary),
+    cases: [...byKey.values()],
+  };
+}
+
+/**
+ * Scrapes a property page by its keyVal
+ */
+async function scrapeIdoxProperty(site, keyVal, options = {}) {
+  const log = (msg) => options.verbose && console.log(msg);
+  return withReader(options, log, (reader) => scrapePropertyWith(reader, site, keyVal, log));
+}
+
+/**
+ * Builds the ArcGIS FeatureServer query URL for a case's polygon
+ */
+function buildGeometryUrl(site, keyVal) {
+  return `${site.featureServerUrl}/query?f=json&outSR=4326&spatialRel=esriSpatialRelIntersects&where=ISPAVISIBLE%20%3D%201%20and%20KEYVAL%20IN%20(%27${keyVal}%27)&outFields=*&returnGeometry=true`;
+}
+
+/**
+ * Converts an ESRI FeatureServer query response to GeoJSON-style polygon geometry
+ */
+function toGeometry(site, data) {
+  const feature = data?.features?.[0];
+  if (!feature?.geometry?.rings) return null;
+
+  const ring = feature.geometry.rings[0];
+  let centroid = null;
+  if (ring && ring.length > 0) {
+    let sumX = 0, sumY = 0;
+    for (const [x, y] of ring) {
+      sumX += x;
+      sumY += y;
+    }
+    centroid = [sumX / ring.length, sumY / ring.length];
+  }
+
+  return {
+    type: 'Polygon',
+    coordinates: feature.geometry.rings,
+    // Include centroid for convenience
+    centroid,
+    spatialReference: data.spatialReference,
+    source: `ArcGIS ${site.featureServerUrl.split('/').slice(-2).join('/')}`,
+  };
+}
+
+/**
+ * Reads the geometry through a tab reader (optional - any failure gives null)
+ */
+async function readGeometry(reader, site, keyVal) {
+  if (!site.featureServerUrl) return null;
+
+  try {
+    return toGeometry(site, await reader.fetchJson(buildGeometryUrl(site, keyVal)));
+  } catch (e) {
+    // Geometry extraction is optional
+    return null;
+  }
+}
+
+/**
+ * Fetches just the geometry for a keyVal, without launching a browser
+ * options.signal cancels the request.
+ */
+async function fetchIdoxGeometry(site, keyVal, options = {}) {
+  if (!site.featureServerUrl) return null;
+
+  const timeout = AbortSignal.timeout(IDOX_DEFAULTS.timeout);
+  const response = await fetch(buildGeometryUrl(site, keyVal), {
+    signal: options.signal ? AbortSignal.any([options.signal, timeout]) : timeout,
+  });
+  if (!response.ok) {
+    throw new Error(`FeatureServer request failed: HTTP ${response.status}`);
+  }
+  return toGeometry(site, await response.json());
+}
+
+/**
+ * Builds the URL for the advanced search form of the site's case type
+ */
+function buildSearchUrl(site) {
+  const { searchType } = getCaseType(site.caseType);
+  return `${site.baseUrl}/search.do?action=advanced&searchType=${searchType}`;
+}
+
+/**
+ * Formats a date (Date, yyyy-mm-dd or day-first dd/mm/yyyy) the way the Idox search form expects
+ * A day that doesn't exist (31/02/2025) fails rather than rolling into the next month.
+ */
+function formatSearchDate(value) {
+  if (!value) return null;
+
+  const text = typeof value === 'string' ? value.trim() : null;
+  const parts = text?.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/)?.slice(1, 4).reverse()
+    || text?.match(/^(\d{4})-(\d{2})-(\d{2})$/)?.slice(1, 4);
+
+  let date;
+  if (parts) {
+    const [year, month, day] = parts.map(Number);
+    date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      throw new ScraperError(`No such date: ${value}`, 'INVALID_SEARCH', { value });
+    }
+  } else {
+    date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ScraperError(`Invalid search date: ${value}`, 'INVALID_SEARCH', { value });
+    }
+  }
+
+  const dd = String(date.getUTCDate()).padStart(2, '0');
+  const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
+  return `${dd}/${mm}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Maps search criteria onto the Idox advanced search form field names
+ * dateType selects which date range is filtered: received, validated or decided
+ */
+function buildSearchFields(criteria) {
+  const { from, to, dateType = 'received', address, description, reference } = criteria;
+  const dateFields = {
+    received: ['applicationReceivedStart', 'applicationReceivedEnd'],
+    validated: ['applicationValidatedStart', 'applicationValidatedEnd'],
+    decided: ['applicationDecisionStart', 'applicationDecisionEnd'],
+  }[dateType];
+
+  if (!dateFields) {
+    throw new ScraperError(`Unknown search date type: ${dateType}`, 'INVALID_SEARCH', { dateType });
+  }
+
+  return {
+    'searchCriteria.reference': reference,
+    'searchCriteria.description': description,
+    'searchCriteria.address': address,
+    [`date(${dateFields[0]})`]: formatSearchDate(from),
+    [`date(${dateFields[1]})`]: formatSearchDate(to),
+  };
+}
+
+/**
+ * Fills in and submits the advanced search form
+ * Select boxes (status, application type) are matched on their visible label
+ */
+async function submitSearch(page, site, criteria) {
+  await page.goto(buildSearchUrl(site), { waitUntil: 'domcontentloaded', timeout: IDOX_DEFAULTS.timeout });
+  await page.waitForSelector('form#advancedSearchForm', { timeout: 10000 });
+
+  for (const [name, value] of Object.entries(buildSearchFields(criteria))) {
+    if (value) {
+      await page.fill(`form#advancedSearchForm [name="${name}"]`, value);
+    }
+  }
+
+  const selects = {
+    'searchCriteria.caseStatus': criteria.status,
+    'searchCriteria.caseType': criteria.applicationType,
+  };
+
+  for (const [name, label] of Object.entries(selects)) {
+    if (!label) continue;
+
+    const matched = await page.evaluate(({ name, label }) => {
+      const select = document.querySelector(`form#advancedSearchForm select[name="${name}"]`);
+      if (!select) return false;
+
+      const wanted = label.toLowerCase();
+      const option = Array.from(select.options).find(opt => opt.textContent.trim().toLowerCase() === wanted)
+        || Array.from(select.options).find(opt => opt.textContent.toLowerCase().includes(wanted));
+      if (!option) return false;
+
+      select.value = option.value;
+      return true;
+    }, { name, label });
+
+    if (!matched) {
+      throw new Error(`No search option matching "${label}" for ${name}`);
+    }
+  }
+
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: IDOX_DEFAULTS.timeout }),
+    page.click('form#advancedSearchForm input[type="submit"][value="Search"], form#advancedSearchForm button[type="submit"]'),
+  ]);
+}
+
+/**
+ * Parses one page of search results
+ * Each result is an li.searchresult with a details link, an address and a
+ * metaInfo line such as "Ref. No: 25/02273/WARR | Received: Tue 16 Sep 2025 | Status: ..."
+ */
+async function parseSearchResults(page) {
+  return await page.evaluate(() => {
+    const toKey = (label) => label.toLowerCase()
+      .replace(/[^a-z0-9\s]/g, '')
+      .replace(/\s+(.)/g, (_, c) => c.toUpperCase())
+      .trim();
+
+    const results = [];
+    document.querySelectorAll('#searchresults li.searchresult').forEach(item => {
+      const link = item.querySelector('a[href*="keyVal="]');
+      if (!link) return;
+
+      const keyVal = new URL(link.href).searchParams.get('keyVal');
+      const result = {
+        keyVal,
+        reference: null,
+        description: link.textContent.replace(/\s+/g, ' ').trim() || null,
+        address: item.querySelector('.address')?.textContent.replace(/\s+/g, ' ').trim() || null,
+        url: link.href,
+      };
+
+      const meta = item.querySelector('.metaInfo')?.textContent || '';
+      meta.split('|').forEach(part => {
+        const idx = part.indexOf(':');
+        if (idx === -1) return;
+        const key = toKey(part.slice(0, idx).trim());
+        const value = part.slice(idx + 1).replace(/\s+/g, ' ').trim();
+        if (!key || !value) return;
+        if (key === 'refNo') {
+          result.reference = value;
+        } else {
+          result[key] = value;
+        }
+      });
+
+      results.push(result);
+    });
+
+    const showing = document.querySelector('.pager .showing')?.textContent || '';
+    const total = showing.match(/of\s+(\d+)/i);
+    const next = document.querySelector('.pager a.next');
+
+    return {
+      results,
+      totalResults: total ? parseInt(total[1], 10) : null,
+      nextUrl: next ? next.href : null,
+    };
+  });
+}
+
+/**
+ * Launches a browser and opens a page with the scraper's user agent
+ */
+async function openBrowser(headless) {
+  const browser = await chromium.launch({ headless });
+  const context = await browser.newContext({ userAgent: IDOX_DEFAULTS.userAgent });
+  const page = await context.newPage();
+  return { browser, page };
+}
+
+/**
+ * Searches the site's case type via the Idox advanced search, walking every results page
+ *
+ * Criteria: from/to (dates), dateType (received|validated|decided), status,
+ * applicationType, address, description, reference. Returns the keyVal and
+ * reference number of every match, ready to feed to scrapeIdoxCase;
+ * truncated is true when results pages were left after maxPages.
+ */
+async function searchIdox(site, criteria = {}, options = {}) {
+  const { verbose = false, headless = true, maxPages = 50 } = options;
+  const log = (msg) => verbose && console.log(msg);
+  const { detailsPage, label } = getCaseType(site.caseType);
+  // Bad dates fail here, before a browser is launched
+  buildSearchFields(criteria);
+
+  const { browser, page } = await openBrowser(headless);
+
+  try {
+    log(`Submitting ${label} search...`);
+    await submitSearch(page, site, criteria);
+
+    const results = [];
+    let totalResults = null;
+    let truncated = false;
+
+    // Idox skips the results list when exactly one case matches
+    if (page.url().includes(detailsPage)) {
+      const keyVal = new URL(page.url()).searchParams.get('keyVal');
+      const summary = await readTab(page, buildUrl(site, keyVal, 'summary'), 'keyValueTab');
+      results.push({
+        keyVal,
+        reference: summary.applicationReferenceNumber || summary.reference || null,
+        description: summary.descriptionOfWorks || summary.proposal || null,
+        address: summary.siteAddress || summary.address || null,
+        url: buildUrl(site, keyVal, 'summary'),
+        status: summary.status || null,
+      });
+      totalResults = 1;
+    } else {
+      const message = await page.evaluate(() => document.querySelector('.messagebox, .errors')?.textContent || '');
+      if (/too many results/i.test(message)) {
+        throw new Error('Too many search results - narrow the date range or add more criteria');
+      }
+
+      for (let pageNo = 1; pageNo <= maxPages; pageNo++) {
+        const parsed = await parseSearchResults(page);
+        totalResults = totalResults ?? parsed.totalResults;
+        results.push(...parsed.results);
+        log(`Results page ${pageNo}: ${parsed.results.length} cases`);
+
+        if (!parsed.nextUrl) break;
+        if (pageNo === maxPages) {
+          truncated = true;
+          log(`Stopping after ${maxPages} results pages`);
+          break;
+        }
+        await page.goto(parsed.nextUrl, { waitUntil: 'domcontentloaded', timeout: IDOX_DEFAULTS.timeout });
+      }
+    }
+
+    return {
+      criteria,
+      searchedAt: new Date().toISOString(),
+      totalResults: totalResults ?? results.length,
+      truncated,
+      results,
+    };
+
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Empty objects and arrays become null in the output, as "nothing found"
+ */
+function emptyToNull(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value : null;
+  if (value && typeof value === 'object') return Object.keys(value).length > 0 ? value : null;
+  return value;
+}
+
+/**
+ * Wraps a browser context's pages as a tab reader
+ * A tab reader has one method per kind of tab, each taking the tab's URL;
+ * idox-http.js builds the same reader over plain HTTP. The section and
+ * property code below only ever talks to a reader. withPage hands each call
+ * a free page of the context, so up to concurrency tabs load at once.
+ */
+function browserReader(withPage, concurrency = 1) {
+  return {
+    mode: 'browser',
+    concurrency,
+    ...Object.fromEntries(Object.keys(TAB_PARSERS).map(name => [name, (url) => withPage(page => readTab(page, url, name))])),
+    // From inside a portal page, so requests share the browser's session
+    fetchJson: (url) => withPage(page => page.evaluate(async (target) => {
+      const response = await fetch(target);
+      return await response.json();
+    }, url)),
+    fetchFile: (url) => withPage(async (page) => {
+      const response = await page.context().request.get(url, { timeout: IDOX_DEFAULTS.timeout });
+      if (!response.ok()) {
+        throw new Error(`HTTP ${response.status()}`);
+      }
+      return {
+        body: await response.body(),
+        mimeType: (response.headers()['content-type'] || 'application/octet-stream').split(';')[0].trim(),
+      };
+    }),
+  };
+}
+
+/**
+ * Creates a browser pool set up for Idox portals (see browser-pool.js)
+ * Pass it to scrapeIdoxCase / scrapeIdoxProperty as options.pool to share one
+ * browser across many records; the caller closes it when done.
+ */
+function createIdoxBrowserPool(options = {}) {
+  return createBrowserPool({
+    ...options,
+    contextOptions: { userAgent: IDOX_DEFAULTS.userAgent },
+  });
+}
+
+/**
+ * Runs fn with a tab reader for the requested mode
+ * mode 'http' tries plain HTTP first and falls back to a browser if the
+ * portal needs one; mode 'browser' (the default) goes straight to Playwright.
+ * With options.pool the browser comes from that pool and stays open;
+ * otherwise one is launched for this call and closed after it. Browser
+ * contexts get the block routing (on unless block is false) and, with
+ * captureResponses, a response capture the reader exposes as
+ * capturedResponses(). Aborting options.signal closes the browser context
+ * (or cancels the HTTP requests) and rejects with the signal's reason.
+ */
+async function withReader(options, log, fn) {
+  const { mode = 'browser', headless = true, pool = null, signal = null } = options;
+  const tabConcurrency = options.tabConcurrency ?? pool?.tabConcurrency ?? 1;
+
+  signal?.throwIfAborted();
+
+  if (mode === 'http') {
+    try {
+      return await fn({ ...createHttpReader({ ...IDOX_DEFAULTS, signal }), concurrency: tabConcurrency });
+    } catch (error) {
+      if (!(error instanceof BrowserRequiredError)) throw error;
+      log(`${error.message} (${error.url}) - falling back to the browser`);
+    }
+  }
+
+  const runInContext = async (context) => {
+    const blocking = resolveBlocking(options.block);
+    if (blocking) {
+      await installBlocking(context, blocking);
+    }
+
+    const reader = browserReader(createPagePool(context, tabConcurrency), tabConcurrency);
+    if (options.captureResponses) {
+      const capture = createResponseCapture(context, options.captureResponses === true ? {} : options.captureResponses);
+      reader.capturedResponses = capture.collect;
+    }
+    return fn(reader);
+  };
+
+  const run = async (context) => {
+    // A record may wait for a free context; don't start it if cancelled meanwhile
+    signal?.throwIfAborted();
+    const onAbort = () => context.close().catch(() => {});
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await runInContext(context);
+    } catch (error) {
+      // Calls on the closed context fail with Playwright errors; report the abort instead
+      signal?.throwIfAborted();
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+  if (pool) {
+    return pool.withContext(run);
+  }
+
+  const ownPool = createIdoxBrowserPool({ headless, tabConcurrency });
+  try {
+    return await ownPool.withContext(run);
+  } finally {
+    await ownPool.close();
+  }
+}
+
+/**
+ * Runs one section's scrape between progress events: sectionStarted, then
+ * sectionFinished or sectionFailed, each { type, keyVal, caseType, section, at }
+ * plus durationMs once done and error (the message) on failure
+ */
+async function trackSection(onProgress, event, fn) {
+  const started = Date.now();
+  const emit = (type, extra = {}) => onProgress && onProgress({ type, ...event, at: new Date().toISOString(), ...extra });
+
+  emit('sectionStarted');
+  try {
+    const value = await fn();
+    emit('sectionFinished', { durationMs: Date.now() - started });
+    return value;
+  } catch (error) {
+    emit('sectionFailed', { durationMs: Date.now() - started, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Scrapes the given sections of a case, through a tab reader
+ * onProgress is called as each section starts and ends (see trackSection);
+ * once signal is aborted no further section starts.
+ */
+async function scrapeSections(reader, site, keyVal, log, sections, { signal = null, onProgress = null } = {}) {
+  const caseType = getCaseType(site.caseType);
+
+  const scrapeSection = async (section) => {
+    log(`Scraping ${section}...`);
+
+    if (section === 'summary' || section === 'details') {
+      return emptyToNull(await reader.keyValueTab(buildUrl(site, keyVal, caseType.tabs[section])));
+    } else if (section === 'plots') {
+      return emptyToNull(await reader.plots(buildUrl(site, keyVal, 'plots')));
+    } else if (section === 'contacts') {
+      return emptyToNull(await reader.contacts(buildUrl(site, keyVal, 'contacts')));
+    } else if (section === 'dates') {
+      return emptyToNull(await reader.dates(buildUrl(site, keyVal, 'dates')));
+    } else if (section === 'constraints') {
+      return emptyToNull(await reader.constraints(buildUrl(site, keyVal, 'constraints')));
+    } else if (section === 'certificates') {
+      const kinds = Object.entries(caseType.certificateTabs);
+      const found = await mapLimit(kinds, reader.concurrency || 1, ([, tab]) =>
+        reader.certificates(buildUrl(site, keyVal, tab))
+      );
+      return Object.fromEntries(kinds.map(([kind], idx) => [kind, emptyToNull(found[idx])]));
+    } else if (section === 'documents') {
+      return emptyToNull(await reader.documents(buildUrl(site, keyVal, 'documents')));
+    } else if (section === 'relatedItems') {
+      return groupRelatedItems(keyVal, await reader.relatedLinks(buildUrl(site, keyVal, 'relatedCases')));
+    } else if (section === 'geometry') {
+      return readGeometry(reader, site, keyVal);
+    }
+  };
+
+  // Tabs are independent pages, so with reader.concurrency > 1 several load
+  // at once; the output keeps the case type's section order either way
+  const values = await mapLimit(sections, reader.concurrency || 1, async (section) => {
+    signal?.throwIfAborted();
+    return trackSection(onProgress, { keyVal, caseType: site.caseType, section }, () => scrapeSection(section));
+  });
+  return Object.fromEntries(sections.map((section, idx) => [section, values[idx]]));
+}
+
+/**
+ * Scrapes one case through a tab reader
+ * With downloadDir, its documents are downloaded into downloadDir/{keyVal}.
+ * include/exclude pick the sections (see selectSections); the ones left out
+ * are missing from the output and listed in metadata.notRequested, while a
+ * scraped section with nothing in it is null. signal and onProgress go to
+ * scrapeSections.
+ */
+async function scrapeCaseWith(reader, site, keyVal, log, caseOptions = {}) {
+  const { downloadDir = null, include = null, exclude = [], signal = null, onProgress = null } = caseOptions;
+  const selection = selectSections(site.caseType, { include, exclude });
+  const sections = await scrapeSections(reader, site, keyVal, log, selection.sections, { signal, onProgress });
+
+  if (downloadDir && sections.documents) {
+    log(`Downloading ${sections.documents.length} documents...`);
+    await downloadDocuments(reader, sections.documents, join(downloadDir, keyVal), log);
+  }
+
+  return {
+    metadata: {
+      keyVal,
+      council: site.council,
+      caseType: site.caseType,
+      scrapedAt: new Date().toISOString(),
+      sourceUrl: buildUrl(site, keyVal, 'summary'),
+      scraperVersion: SCRAPER_VERSION,
+      fetchMode: reader.mode,
+      notRequested: selection.notRequested,
+    },
+    ...sections,
+  };
+}
+
+/**
+ * Builds the site config for a case's linked planning applications
+ * They live on the same portal unless site.planningBaseUrl says otherwise,
+ * so custom site objects work too. The planning map layer comes from
+ * site.planningFeatureServerUrl, else the council's registry entry if it has one.
+ */
+function planningSiteFor(site) {
+  let registered = null;
+  try {
+    registered = resolveIdoxSite(site.council, 'planningApplication');
+  } catch (error) {
+    // Not a registered council (or no planning entry): the site is all there is
+  }
+
+  return {
+    council: site.council,
+    baseUrl: site.planningBaseUrl || site.baseUrl,
+    caseType: 'planningApplication',
+    featureServerUrl: site.planningFeatureServerUrl ?? registered?.featureServerUrl ?? null,
+  };
+}
+
+/**
+ * Scrapes the planning applications a case links to, with the same reader
+ * (and so the same session). Only links into this portal's applicationDetails.do
+ * carry a keyVal.
+ */
+async function scrapeLinkedPlanning(reader, site, related, log, caseOptions = {}) {
+  const keyVals = [...new Set((related?.planningApplications || []).map(item => item.keyVal).filter(Boolean))];
+  if (keyVals.length === 0) return [];
+
+  const planningSite = planningSiteFor(site);
+
+  const applications = [];
+  for (const keyVal of keyVals) {
+    log(`\nScraping linked planning application: ${keyVal}`);
+    applications.push(await scrapeCaseWith(reader, planningSite, keyVal, log, caseOptions));
+  }
+  return applications;
+}
+
+/**
+ * Scrapes one Idox case, and optionally the cases and properties it links to
+ * Nothing is written to disk unless downloadDir is given.
+ *
+ * @param {Object} site - Site config from resolveIdoxSite
+ * @param {string|Object} input - keyVal, or a search result from searchIdox
+ * @param {Object} [options]
+ * @param {boolean} [options.verbose] - Log progress to the console
+ * @param {boolean} [options.withPlanning] - Also scrape the linked planning applications (planningApplications)
+ * @param {boolean} [options.followProperties] - Also scrape each linked property page (propertyHistory)
+ * @param {string} [options.downloadDir] - Download each case's documents into downloadDir/{keyVal}
+ * @param {Array<string>} [options.include] - Only these sections (e.g. ['summary', 'dates']), linked cases included
+ * @param {Array<string>} [options.exclude] - Skip these sections; skipped ones are listed in metadata.notRequested
+ * @param {string} [options.mode] - 'http' to fetch without a browser unless the portal needs one (default 'browser')
+ * @param {Object} [options.pool] - Browser pool from createIdoxBrowserPool to take the browser from
+ * @param {number} [options.tabConcurrency] - Tabs loaded at once
+ * @param {boolean|Object} [options.block] - Assets blocked in the browser; false for none, or { types, hosts }
+ * @param {boolean|Object} [options.captureResponses] - Return the pages' JSON/XHR responses as capturedResponses
+ * @param {AbortSignal} [options.signal] - Closes the browser context and rejects with its reason when aborted
+ * @param {Function} [options.onProgress] - Hears each section start, finish or fail (see trackSection)
+ */
+async function scrapeIdoxCase(site, input, options = {}) {
+  const keyVal = typeof input === 'string' ? input : input?.keyVal;
+  if (!keyVal) {
+    throw new Error('A keyVal is required');
+  }
+
+  const {
+    verbose = false,
+    withPlanning = false,
+    followProperties = false,
+    downloadDir = null,
+    include = null,
+    exclude = [],
+    signal = null,
+    onProgress = null,
+  } = options;
+  const log = (msg) => verbose && console.log(msg);
+  const { label } = getCaseType(site.caseType);
+
+  const followsLinks = withPlanning || followProperties;
+  const caseOptions = {
+    downloadDir,
+    signal,
+    onProgress,
+    include: include && followsLinks ? [...include, 'relatedItems'] : include,
+    exclude: followsLinks ? exclude.filter(section => section !== 'relatedItems') : exclude,
+  };
+
+  // Checked before anything is launched, so a typo fails fast
+  selectSections(site.caseType, caseOptions);
+
+  log(`\nScraping ${site.council} ${label}: ${keyVal}`);
+  log('='.repeat(50));
+
+  const result = await withReader(options, log, async (reader) => {
+    const scraped = await scrapeCaseWith(reader, site, keyVal, log, caseOptions);
+
+    if (withPlanning && site.caseType !== 'planningApplication') {
+      scraped.planningApplications = await scrapeLinkedPlanning(reader, site, scraped.relatedItems, log, caseOptions);
+    }
+
+    if (followProperties) {
+      scraped.propertyHistory = [];
+      for (const property of scraped.relatedItems?.properties || []) {
+        if (property.keyVal) {
+          scraped.propertyHistory.push(await scrapePropertyWith(reader, site, property.keyVal, log));
+        }
+      }
+    }
+
+    if (reader.capturedResponses) {
+      scraped.capturedResponses = await reader.capturedResponses();
+    }
+
+    return scraped;
+  });
+
+  // Log summary
+  log('\nExtracted Data Summary:');
+  log(`- Fetched with: ${result.metadata.fetchMode}`);
+  log(`- Summary: ${Object.keys(result.summary || {}).length} fields`);
+  log(`- Details: ${Object.keys(result.details || {}).length} fields`);
+  if ('plots' in result) log(`- Plots: ${result.plots?.length || 0} records`);
+  if ('certificates' in result) log(`- Design Certificates: ${result.certificates.design?.length || 0}`);
+  if ('contacts' in result) log(`- Contacts: ${Object.keys(result.contacts || {}).length}`);
+  if ('constraints' in result) log(`- Constraints: ${result.constraints?.length || 0}`);
+  log(`- Documents: ${result.documents?.length || 0}`);
+  if (result.planningApplications) log(`- Linked Planning Applications: ${result.planningApplications.length}`);
+  if (result.propertyHistory) log(`- Property Histories: ${result.propertyHistory.length}`);
+  if (result.capturedResponses) log(`- Captured Responses: ${result.capturedResponses.length}`);
+  log(`- Geometry: ${result.geometry ? 'YES' : 'NO'}`);
+  if (result.metadata.notRequested.length > 0) log(`- Not requested: ${result.metadata.notRequested.join(', ')}`);
+
+  return result;
+}
+
+/**
+ * Scrapes many Idox cases through one shared browser pool
+ * Inputs are keyVals or search results. Up to concurrency records run at
+ * once, each in its own browser context, with up to tabConcurrency tabs of a
+ * record loading together. A record that fails doesn't stop the others: every
+ * input gets an outcome { keyVal, ok, data } or { keyVal, ok: false, error },
+ * in input order, and onResult (if given) is called with each as it lands.
+ * Takes the other scrapeIdoxCase options too; pass options.pool to reuse a
+ * pool from createIdoxBrowserPool, otherwise one is created and closed here.
+ * Once options.signal is aborted, records still waiting fail straight away.
+ */
+async function scrapeIdoxCases(site, inputs, options = {}) {
+  const {
+    concurrency = 2,
+    tabConcurrency = 1,
+    headless = true,
+    onResult = null,
+  } = options;
+
+  const pool = options.pool || createIdoxBrowserPool({ concurrency, tabConcurrency, headless });
+
+  try {
+    return await mapLimit(inputs, pool.concurrency, async (input) => {
+      const keyVal = typeof input === 'string' ? input : input?.keyVal;
+
+      let outcome;
+      try {
+        outcome = { keyVal, ok: true, data: await scrapeIdoxCase(site, input, { ...options, pool }) };
+      } catch (error) {
+        outcome = { keyVal, ok: false, error };
+      }
+
+      if (onResult) await onResult(outcome);
+      return outcome;
+    });
+  } finally {
+    if (!options.pool) await pool.close();
+  }
+}
+
+export {
+  SCRAPER_VERSION,
+  IDOX_DEFAULTS,
+  buildUrl,
+  buildSearchFields,
+  createIdoxBrowserPool,
+  scrapeIdoxCase,
+  scrapeIdoxCases,
+  scrapeIdoxProperty,
+  searchIdox,
+  fetchIdoxGeometry,
+};
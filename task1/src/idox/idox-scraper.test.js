@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { buildSearchFields, scrapeIdoxProperty } from './idox-scraper.js';
+
+const dates = (criteria) => {
+  const fields = buildSearchFields(criteria);
+  return [fields['date(applicationReceivedStart)'], fields['date(applicationReceivedEnd)']];
+};
+
+test('search dates are read day first', () => {
+  assert.deepEqual(dates({ from: '01/09/2025', to: '30/09/2025' }), ['01/09/2025', '30/09/2025']);
+  assert.deepEqual(dates({ from: '5/9/2025', to: '15/9/2025' }), ['05/09/2025', '15/09/2025']);
+});
+
+test('search dates take ISO dates and Date objects', () => {
+  assert.deepEqual(dates({ from: '2025-09-01', to: new Date('2025-09-30T00:00:00Z') }), ['01/09/2025', '30/09/2025']);
+  assert.deepEqual(dates({}), [null, null]);
+});
+
+test('impossible and unreadable search dates are rejected', () => {
+  for (const from of ['2025-02-31', '31/02/2025', '29/02/2025', '01/13/2025', 'next week']) {
+    assert.throws(() => buildSearchFields({ from }), { name: 'ScraperError', code: 'INVALID_SEARCH' }, from);
+  }
+  assert.throws(() => buildSearchFields({ dateType: 'expired' }), { code: 'INVALID_SEARCH' });
+});
+
+test('dateType picks the date fields searched', () => {
+  const fields = buildSearchFields({ from: '2025-09-01', dateType: 'decided' });
+  assert.equal(fields['date(applicationDecisionStart)'], '01/09/2025');
+});
+
+// A portal that serves property pages from fixtures under /ok, an access
+// denied page under /blocked, a 403 under /forbidden and nothing under /hang
+let server;
+let base;
+
+before(async () => {
+  const fixture = (name) => readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8');
+  server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://portal');
+    const [, portal] = url.pathname.split('/');
+    if (portal === 'hang') return;
+    if (portal === 'forbidden') {
+      res.writeHead(403).end('Forbidden');
+    } else if (portal === 'blocked') {
+      res.writeHead(200, { 'Content-Type': 'text/html' }).end('<html><body><h1>Access denied</h1></body></html>');
+    } else {
+      const tab = url.searchParams.get('activeTab') === 'relatedCases' ? 'property-related-cases.html' : 'property-summary.html';
+      res.writeHead(200, { 'Content-Type': 'text/html' }).end(await fixture(tab));
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// A browser pool that only counts the records handed to it
+const stubPool = () => ({
+  tabConcurrency: 1,
+  used: 0,
+  async withContext() {
+    this.used++;
+    return 'from the browser';
+  },
+});
+
+const site = (portal) => ({ council: 'test', baseUrl: `${base}/${portal}`, caseType: 'scottishBuildingWarrant' });
+
+test('http mode reads Idox pages without the browser', async () => {
+  const pool = stubPool();
+  const property = await scrapeIdoxProperty(site('ok'), 'P00ABC123', { mode: 'http', pool });
+  assert.equal(pool.used, 0);
+  assert.equal(property.metadata.fetchMode, 'http');
+  assert.equal(property.uprn, '906212345');
+  assert.deepEqual(property.cases.map(entry => entry.reference), ['25/01234/WARR', '25/00987/FUL', '24/00042/EUNDEV']);
+});
+
+test('http mode falls back to the browser when the portal blocks plain requests', async () => {
+  for (const portal of ['blocked', 'forbidden']) {
+    const pool = stubPool();
+    assert.equal(await scrapeIdoxProperty(site(portal), 'P00ABC123', { mode: 'http', pool }), 'from the browser', portal);
+    assert.equal(pool.used, 1, portal);
+  }
+});
+
+test('http mode does not fall back once aborted', async () => {
+  const pool = stubPool();
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new Error('Stopped')), 50);
+  await assert.rejects(scrapeIdoxProperty(site('hang'), 'P00ABC123', { mode: 'http', pool, signal: controller.signal }), /Stopped/);
+  assert.equal(pool.used, 0);
+});
@@ -0,0 +1,130 @@
+/**
+ * Request Routing and Response Capture
+ * Playwright helpers applied to each browser context. installBlocking aborts
+ * requests the scraper doesn't need (images, fonts, stylesheets, analytics),
+ * so pages settle sooner. createResponseCapture records the JSON and XHR
+ * responses a page makes while it loads - the map's FeatureServer queries,
+ * for one - so they can be attached to the scraped record.
+ */
+
+// Resource types nothing in the scraper reads
+const DEFAULT_BLOCKED_TYPES = ['image', 'media', 'font', 'stylesheet'];
+
+// Analytics and tracking hosts seen on Idox portals (subdomains match too)
+const DEFAULT_BLOCKED_HOSTS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'doubleclick.net',
+  'hotjar.com',
+  'siteimproveanalytics.com',
+  'siteimproveanalytics.io',
+  'clarity.ms',
+];
+
+// Bodies larger than this are recorded without the body
+const MAX_CAPTURE_BYTES = 1024 * 1024;
+
+/**
+ * Whether hostname is one of hosts or a subdomain of one
+ */
+function matchesHost(hostname, hosts) {
+  return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Resolves the block option to { types, hosts }, or null for no blocking
+ * true (the default) uses the default lists; an object replaces either list.
+ */
+function resolveBlocking(block = true) {
+  if (!block) return null;
+  const custom = typeof block === 'object' ? block : {};
+  return {
+    types: custom.types || DEFAULT_BLOCKED_TYPES,
+    hosts: custom.hosts || DEFAULT_BLOCKED_HOSTS,
+  };
+}
+
+/**
+ * Aborts the context's requests for blocked resource types and hosts
+ */
+async function installBlocking(context, { types, hosts }) {
+  await context.route('**/*', (route) => {
+    const request = route.request();
+    let hostname = '';
+    try {
+      hostname = new URL(request.url()).hostname;
+    } catch (e) {
+      // Unparseable URLs are matched by resource type only
+    }
+
+    if (types.includes(request.resourceType()) || (hostname && matchesHost(hostname, hosts))) {
+      return route.abort('blockedbyclient');
+    }
+    return route.continue();
+  });
+}
+
+/**
+ * Records the context's XHR, fetch and JSON responses
+ *
+ * match (RegExp or substring) narrows capture to matching URLs. Returns
+ * collect(), which waits for bodies still being read and returns the
+ * entries: { url, method, status, contentType, pageUrl, body } with JSON
+ * bodies parsed and anything else kept as text.
+ */
+function createResponseCapture(context, { match = null } = {}) {
+  const pending = [];
+
+  const wanted = (url) => {
+    if (!match) return true;
+    return match instanceof RegExp ? match.test(url) : url.includes(match);
+  };
+
+  context.on('response', (response) => {
+    const request = response.request();
+    const contentType = (response.headers()['content-type'] || '').split(';')[0].trim();
+    const isData = ['xhr', 'fetch'].includes(request.resourceType()) || /json/i.test(contentType);
+    if (!isData || !wanted(response.url())) return;
+
+    pending.push((async () => {
+      const entry = {
+        url: response.url(),
+        method: request.method(),
+        status: response.status(),
+        contentType: contentType || null,
+        pageUrl: response.frame()?.url() || null,
+        body: null,
+      };
+
+      try {
+        const body = await response.body();
+        if (body.length > MAX_CAPTURE_BYTES) {
+          entry.truncated = true;
+        } else {
+          const text = body.toString('utf-8');
+          try {
+            entry.body = JSON.parse(text);
+          } catch (e) {
+            entry.body = text;
+          }
+        }
+      } catch (e) {
+        // Redirects and aborted requests have no body
+      }
+
+      return entry;
+    })());
+  });
+
+  return {
+    collect: async () => Promise.all(pending),
+  };
+}
+
+export {
+  DEFAULT_BLOCKED_TYPES,
+  DEFAULT_BLOCKED_HOSTS,
+  resolveBlocking,
+  installBlocking,
+  createResponseCapture,
+};
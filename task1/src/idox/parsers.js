@@ -0,0 +1,309 @@
+/**
+ * Idox Tab Parsers
+ * Cheerio parsers for the tabs of an Idox case or property page, one per kind
+ * of tab. Both tab readers use them: the HTTP reader on the page as served,
+ * the browser reader on the page's content once loaded. pageUrl resolves the
+ * relative links on the page.
+ */
+
+import { caseKindsByPage } from './case-types.js';
+
+const toKey = (label) => label.toLowerCase()
+  .replace(/[^a-z0-9\s]/g, '')
+  .replace(/\s+(.)/g, (_, c) => c.toUpperCase())
+  .trim();
+
+const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Parses every th/td row on the page into one object (Summary, Further Information)
+ */
+function parseKeyValueRows($) {
+  const result = {};
+  $('tr').each((_, row) => {
+    const th = $(row).find('th').first();
+    const td = $(row).find('td').first();
+    if (th.length === 0 || td.length === 0) return;
+
+    const key = toKey(th.text().trim().replace(/:$/, ''));
+    const value = td.text().trim();
+    if (key && value && value !== '-') {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Parses the rows of one table, first cell as key and last cell as value
+ */
+function parseTableRows($, table) {
+  const data = {};
+  $(table).find('tr').each((_, row) => {
+    const cells = $(row).find('th, td');
+    if (cells.length < 2) return;
+
+    const key = toKey(cells.first().text().trim().replace(/:$/, ''));
+    const value = cells.last().text().trim();
+    if (key && value && value !== '-') {
+      data[key] = value;
+    }
+  });
+  return data;
+}
+
+/**
+ * Parses the Plots tab: a captioned table with a row per plot
+ */
+function parsePlots($) {
+  const results = [];
+
+  $('table').each((_, table) => {
+    const caption = $(table).find('caption').first();
+    if (caption.length === 0 || !caption.text().toLowerCase().includes('plot')) return;
+
+    const headers = $(table).find('th').map((_, th) => $(th).text().trim()).get();
+    $(table).find('tr').each((_, row) => {
+      const cells = $(row).find('td');
+      if (cells.length < 2) return;
+
+      const plot = {};
+      cells.each((idx, cell) => {
+        const key = toKey(headers[idx] || `field${idx}`);
+        const value = $(cell).text().trim();
+        if (value && value !== '-') {
+          plot[key] = value;
+        }
+      });
+      if (Object.keys(plot).length > 0) {
+        results.push(plot);
+      }
+    });
+  });
+
+  // If no table found, try parsing key-value pairs
+  if (results.length === 0) {
+    const plot = {};
+    $('table').each((_, table) => Object.assign(plot, parseTableRows($, table)));
+    if (Object.keys(plot).length > 0) {
+      results.push(plot);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Parses a certificate tab: one certificate per table
+ */
+function parseCertificates($) {
+  const content = $('body').text();
+  if (content.includes('There are no') || content.includes('No certificates')) {
+    return [];
+  }
+
+  const results = [];
+  $('table').each((_, table) => {
+    const cert = parseTableRows($, table);
+    if (Object.keys(cert).length > 0) {
+      results.push(cert);
+    }
+  });
+  return results;
+}
+
+/**
+ * Parses the Contacts tab: a heading per role followed by name, address and th/td rows
+ */
+function parseContacts($) {
+  const contacts = {};
+  const container = $('#contacts, .tabcontainer').first();
+  const root = container.length > 0 ? container : $('body');
+
+  root.find('h2, h3').each((_, heading) => {
+    const role = toKey($(heading).text());
+    if (!role) return;
+
+    const contact = {};
+    const lines = [];
+    for (let el = $(heading).next(); el.length > 0 && !el.is('h2, h3'); el = el.next()) {
+      if (el.is('table') || el.find('table').length > 0) {
+        el.find('tr').each((_, row) => {
+          const th = $(row).find('th').first();
+          const value = clean($(row).find('td').first().text());
+          if (th.length > 0 && value && value !== '-') {
+            contact[toKey(th.text().replace(/:$/, ''))] = value;
+          }
+        });
+      } else if (clean(el.text())) {
+        lines.push(clean(el.text()));
+      }
+    }
+
+    if (lines.length > 0 && !contact.name) contact.name = lines[0];
+    if (lines.length > 1 && !contact.address) contact.address = lines.slice(1).join(', ');
+
+    if (Object.keys(contact).length > 0) {
+      contacts[role] = contact;
+    }
+  });
+
+  return contacts;
+}
+
+/**
+ * Parses the Constraints tab: a row per constraint keyed by the table headers
+ */
+function parseConstraints($) {
+  const results = [];
+  const table = $('#caseConstraints, table').first();
+  if (table.length === 0) return results;
+
+  const headers = table.find('th').map((_, th) => toKey($(th).text())).get();
+  table.find('tr').each((_, row) => {
+    const cells = $(row).find('td');
+    if (cells.length === 0) return;
+
+    const constraint = {};
+    cells.each((idx, cell) => {
+      const value = clean($(cell).text());
+      if (value && value !== '-') {
+        constraint[headers[idx] || `field${idx}`] = value;
+      }
+    });
+    if (Object.keys(constraint).length > 0) {
+      results.push(constraint);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Parses the Documents tab: a row per document with its View link
+ */
+function parseDocuments($, pageUrl) {
+  const documents = [];
+  const table = $('#Documents, table.documents, #documents table').first();
+  if (table.length === 0) return documents;
+
+  const headers = table.find('th').map((_, th) => toKey($(th).text())).get();
+  table.find('tr').each((_, row) => {
+    const cells = $(row).find('td');
+    let link = $(row).find('a[href*="/files/"]').first();
+    if (link.length === 0) link = $(row).find('a[href]').first();
+    if (cells.length === 0 || link.length === 0) return;
+
+    const fields = {};
+    cells.each((idx, cell) => {
+      const value = clean($(cell).text());
+      if (headers[idx] && value && value !== '-') fields[headers[idx]] = value;
+    });
+
+    documents.push({
+      type: fields.documentType || fields.type || null,
+      date: fields.datePublished || fields.date || null,
+      description: fields.description || null,
+      drawingNumber: fields.drawingNumber || fields.measureDrawingNumber || null,
+      url: new URL(link.attr('href'), pageUrl).href,
+    });
+  });
+
+  return documents;
+}
+
+/**
+ * Lists the property links on the page (Related Cases tab)
+ */
+function parsePropertyLinks($, pageUrl) {
+  return $('a[href*="propertyDetails"]').map((_, link) => {
+    const url = new URL($(link).attr('href'), pageUrl);
+    return {
+      address: $(link).text().trim(),
+      url: url.href,
+      keyVal: url.searchParams.get('keyVal'),
+    };
+  }).get();
+}
+
+/**
+ * Lists the cases linked from the page: every link to a known details page
+ */
+function parseCaseLinks($, pageUrl) {
+  const kinds = caseKindsByPage();
+  const cases = [];
+
+  $('a[href*="Details.do"]').each((_, link) => {
+    const url = new URL($(link).attr('href'), pageUrl);
+    const caseType = kinds[url.pathname.split('/').pop()];
+    if (!caseType) return;
+
+    let item = $(link).closest('li, tr');
+    if (item.length === 0) item = $(link).parent();
+
+    const entry = {
+      caseType,
+      reference: null,
+      description: null,
+      status: null,
+      keyVal: url.searchParams.get('keyVal'),
+      url: url.href,
+    };
+
+    // Search-result style entries: a description link plus a metaInfo line
+    const meta = item.find('.metaInfo').first();
+    if (meta.length > 0) {
+      entry.description = clean($(link).text()) || null;
+      meta.text().split('|').forEach(part => {
+        const idx = part.indexOf(':');
+        if (idx === -1) return;
+        const key = toKey(part.slice(0, idx).trim());
+        const value = clean(part.slice(idx + 1));
+        if (key === 'refNo') entry.reference = value;
+        else if (key === 'status') entry.status = value;
+        else if (key && value) entry[key] = value;
+      });
+    } else {
+      // Table style entries: reference link, then description and status cells
+      entry.reference = clean($(link).text()) || null;
+      const cells = item.is('tr') ? item.find('td').map((_, td) => clean($(td).text())).get() : [];
+      const others = cells.filter(text => text && text !== entry.reference);
+      entry.description = others[0] || null;
+      entry.status = others.length > 1 ? others[others.length - 1] : null;
+    }
+
+    cases.push(entry);
+  });
+
+  return cases;
+}
+
+/**
+ * Parses the Important Dates tab: the rows of its first table
+ */
+function parseDates($) {
+  const table = $('table').first();
+  return table.length > 0 ? parseTableRows($, table) : {};
+}
+
+/**
+ * Parses the Related Cases tab: its property links and the cases it links to
+ */
+function parseRelatedLinks($, pageUrl) {
+  return { properties: parsePropertyLinks($, pageUrl), cases: parseCaseLinks($, pageUrl) };
+}
+
+// The parser for each tab reader method, each called as (cheerio root, page URL)
+const TAB_PARSERS = {
+  keyValueTab: parseKeyValueRows,
+  plots: parsePlots,
+  dates: parseDates,
+  certificates: parseCertificates,
+  contacts: parseContacts,
+  constraints: parseConstraints,
+  documents: parseDocuments,
+  relatedLinks: parseRelatedLinks,
+  caseLinks: parseCaseLinks,
+};
+
+export { TAB_PARSERS };
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import * as cheerio from 'cheerio';
+import { TAB_PARSERS } from './parsers.js';
+
+const PORTAL = 'https://citydev-portal.edinburgh.gov.uk/idoxpa-web';
+
+const fixture = async (name) => cheerio.load(await readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8'));
+
+test('a property summary reads as its UPRN and address, skipping empty rows', async () => {
+  const $ = await fixture('property-summary.html');
+  assert.deepEqual(TAB_PARSERS.keyValueTab($), {
+    uprn: '906212345',
+    fullAddress: '1 High Street, Edinburgh, EH1 1AA',
+    ward: 'City Centre',
+  });
+});
+
+test('a property\'s related cases list every case against it from its metaInfo lines', async () => {
+  const $ = await fixture('property-related-cases.html');
+  const cases = TAB_PARSERS.caseLinks($, `${PORTAL}/propertyDetails.do?activeTab=relatedCases&keyVal=P00ABC123`);
+  assert.deepEqual(cases, [
+    {
+      caseType: 'scottishBuildingWarrant',
+      reference: '25/01234/WARR',
+      description: 'Erect rear extension to dwellinghouse',
+      status: 'Approved',
+      keyVal: 'T1A67ZEWK0T00',
+      url: `${PORTAL}/scottishBuildingWarrantDetails.do?activeTab=summary&keyVal=T1A67ZEWK0T00`,
+      received: 'Tue 01 Jul 2025',
+    },
+    {
+      caseType: 'planningApplication',
+      reference: '25/00987/FUL',
+      description: 'Single storey rear extension',
+      status: 'Decided',
+      keyVal: 'S0A1B2C3D4E00',
+      url: `${PORTAL}/applicationDetails.do?activeTab=summary&keyVal=S0A1B2C3D4E00`,
+      validated: 'Mon 02 Jun 2025',
+    },
+    {
+      caseType: 'enforcement',
+      reference: '24/00042/EUNDEV',
+      description: 'Works not in accordance with approved plans',
+      status: 'Closed',
+      keyVal: 'E9Z8Y7X6W5V00',
+      url: `${PORTAL}/enforcementDetails.do?activeTab=summary&keyVal=E9Z8Y7X6W5V00`,
+    },
+  ]);
+});
+
+test('a case\'s related cases tab gives its properties and the known cases in its tables', async () => {
+  const $ = await fixture('warrant-related-cases.html');
+  const { properties, cases } = TAB_PARSERS.relatedLinks($, `${PORTAL}/scottishBuildingWarrantDetails.do?activeTab=relatedCases&keyVal=T1A67ZEWK0T00`);
+  assert.deepEqual(properties, [{
+    address: '1 High Street, Edinburgh, EH1 1AA',
+    url: `${PORTAL}/propertyDetails.do?activeTab=summary&keyVal=P00ABC123`,
+    keyVal: 'P00ABC123',
+  }]);
+  // The case's own tab links come through too (groupRelatedItems drops them);
+  // the licence links to a details page no case type describes, so it is left out
+  assert.deepEqual(cases.filter(entry => entry.keyVal !== 'T1A67ZEWK0T00'), [
+    {
+      caseType: 'planningApplication',
+      reference: '25/00987/FUL',
+      description: 'Single storey rear extension',
+      status: 'Decided',
+      keyVal: 'S0A1B2C3D4E00',
+      url: `${PORTAL}/applicationDetails.do?activeTab=summary&keyVal=S0A1B2C3D4E00`,
+    },
+    {
+      caseType: 'scottishBuildingWarrant',
+      reference: '24/05555/WARR',
+      description: 'Amendment to warrant: revised drainage',
+      status: 'Completion Accepted',
+      keyVal: 'T1A11AAAA0T00',
+      url: `${PORTAL}/scottishBuildingWarrantDetails.do?activeTab=summary&keyVal=T1A11AAAA0T00`,
+    },
+  ]);
+});
+
+test('the documents tab lists each document with a link, resolved against the page', async () => {
+  const $ = await fixture('warrant-documents.html');
+  const documents = TAB_PARSERS.documents($, `${PORTAL}/scottishBuildingWarrantDetails.do?activeTab=documents&keyVal=T1A67ZEWK0T00`);
+  assert.deepEqual(documents, [
+    {
+      type: 'Plans',
+      date: '01 Jul 2025',
+      description: 'Proposed floor plan',
+      drawingNumber: 'A-101',
+      url: `${PORTAL}/files/0A1B2C3D4E5F/pdf/25_01234_WARR-PROPOSED_FLOOR_PLAN-1234567.pdf`,
+    },
+    {
+      type: 'Report of Handling',
+      date: '03 Jul 2025',
+      description: 'Structural calcs',
+      drawingNumber: null,
+      url: `${PORTAL}/files/6F5E4D3C2B1A/pdf/25_01234_WARR-CALCS-1234568.pdf`,
+    },
+  ]);
+});
+
+test('a page without a documents table has no documents', async () => {
+  assert.deepEqual(TAB_PARSERS.documents(await fixture('property-summary.html'), PORTAL), []);
+});
@@ -0,0 +1,33 @@
+/**
+ * Library entry point
+ * Everything a service needs to scrape Edinburgh (or any Idox council)
+ * without the command line: importing this module launches nothing, writes
+ * nothing and never exits the process. Scrape calls return their results;
+ * files are written only when asked (downloadDir). Each scrape takes an
+ * AbortSignal as options.signal and reports progress through
+ * options.onProgress.
+ */
+
+export {
+  scrapeEdinburghBuildingControl,
+  scrapeEdinburghBuildingControls,
+  createEdinburghBrowserPool,
+  scrapeEdinburghPlanningApplication,
+  scrapeEdinburghProperty,
+  searchEdinburghBuildingWarrants,
+  fetchEdinburghGeometry,
+} from './scrapers/edinburgh-scraper.js';
+
+export {
+  SCRAPER_VERSION,
+  createIdoxBrowserPool,
+  scrapeIdoxCase,
+  scrapeIdoxCases,
+  scrapeIdoxProperty,
+  searchIdox,
+  fetchIdoxGeometry,
+} from './idox/idox-scraper.js';
+
+export { IDOX_COUNCILS, resolveIdoxSite } from './idox/councils.js';
+export { ScraperError } from './errors.js';
+export { CASE_TYPES, selectSections } from './idox/case-types.js';
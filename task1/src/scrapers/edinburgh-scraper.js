@@ -3,466 +3,173 @@
  * Uses Playwright to scrape building warrant data from Edinburgh Council's Idox portal
  *
  * Target: https://citydev-portal.edinburgh.gov.uk/idoxpa-web/scottishBuildingWarrantDetails.do
+ *
+ * The scraping itself is the generic Idox scraper (src/idox) pointed at
+ * Edinburgh's entry in src/idox/councils.js.
  */
 
-import { chromium } from 'playwright';
 import { writeFile, mkdir } from 'fs/promises';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
+import {
+  createIdoxBrowserPool,
+  scrapeIdoxCase,
+  scrapeIdoxCases,
+  scrapeIdoxProperty,
+  searchIdox,
+  fetchIdoxGeometry,
+} from '../idox/idox-scraper.js';
+import { resolveIdoxSite } from '../idox/councils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const CONFIG = {
-  baseUrl: 'https://citydev-portal.edinburgh.gov.uk/idoxpa-web',
-  timeout: 30000,
-};
+const OUTPUT_DIR = join(__dirname, '../../output');
 
-// Tab URLs for navigation
-const TABS = {
-  summary: 'summary',
-  details: 'details',
-  plots: 'plots',
-  dates: 'dates',
-  designCertificate: 'designCertificate',
-  constructCertificate: 'constructCertificate',
-  energyCertificate: 'energyCertificate',
-  completionCertificate: 'completionCertificate',
-  relatedCases: 'relatedCases',
-  map: 'map',
-};
+// --download saves each case's documents to output/documents/{keyVal}/
+const DOCUMENTS_DIR = join(OUTPUT_DIR, 'documents');
 
-/**
- * Builds the URL for a specific tab
- */
-function buildUrl(keyVal, tab = 'summary') {
-  return `${CONFIG.baseUrl}/scottishBuildingWarrantDetails.do?keyVal=${keyVal}&activeTab=${tab}`;
-}
+const EDINBURGH_WARRANTS = resolveIdoxSite('edinburgh', 'scottishBuildingWarrant');
+const EDINBURGH_PLANNING = resolveIdoxSite('edinburgh', 'planningApplication');
 
 /**
- * Cleans text by normalizing whitespace
+ * Main scraper function - scrapes an Edinburgh building warrant
+ * Takes the same options as scrapeIdoxCase.
+ *
+ * @param {string|Object} input - keyVal, or a search result from searchEdinburghBuildingWarrants
+ * @param {Object} [options]
+ * @param {boolean} [options.withPlanning] - Also scrape the planning applications the warrant links to
+ * @param {boolean} [options.followProperties] - Also build the history of each property it is recorded against
+ * @param {string} [options.downloadDir] - Download each case's documents into downloadDir/{keyVal}
+ * @param {Array<string>} [options.include] - Only these sections (e.g. ['summary', 'dates'])
+ * @param {Array<string>} [options.exclude] - Skip these sections; skipped ones are listed in metadata.notRequested
+ * @param {string} [options.mode] - 'http' to fetch without a browser where the portal allows
+ * @param {Object} [options.pool] - Browser pool from createEdinburghBrowserPool, to reuse one browser across calls
+ * @param {boolean|Object} [options.block] - false to load every asset
+ * @param {boolean|Object} [options.captureResponses] - Keep the JSON/XHR responses the pages made
+ * @param {AbortSignal} [options.signal] - Cancels the scrape
+ * @param {Function} [options.onProgress] - Hears each section start, finish or fail
  */
-function cleanText(text) {
-  if (!text) return null;
-  const cleaned = text.replace(/\s+/g, ' ').trim();
-  return cleaned === '-' || cleaned === '' ? null : cleaned;
+async function scrapeEdinburghBuildingControl(input, options = {}) {
+  return scrapeIdoxCase(EDINBURGH_WARRANTS, input, options);
 }
 
 /**
- * Parses a table with th/td or td/td structure
+ * Scrapes many building warrants through one shared browser
+ * Runs concurrency warrants at once (default 2), loading tabConcurrency tabs
+ * of each together (default 1). Failures are per warrant: returns
+ * [{ keyVal, ok, data | error }] in input order, calling onResult as each finishes.
  */
-async function parseTable(page, selector) {
-  return await page.evaluate((sel) => {
-    const data = {};
-    const table = document.querySelector(sel);
-    if (!table) return data;
-
-    const rows = table.querySelectorAll('tbody tr, tr');
-    rows.forEach(row => {
-      const cells = row.querySelectorAll('th, td');
-      if (cells.length >= 2) {
-        let key = cells[0].textContent.trim().replace(/:$/, '');
-        let value = cells[cells.length - 1].textContent.trim();
-
-        // Normalize key to camelCase
-        key = key.toLowerCase()
-          .replace(/[^a-z0-9\s]/g, '')
-          .replace(/\s+(.)/g, (_, c) => c.toUpperCase())
-          .trim();
-
-        if (key && value && value !== '-') {
-          data[key] = value;
-        }
-      }
-    });
-    return data;
-  }, selector);
+async function scrapeEdinburghBuildingControls(inputs, options = {}) {
+  return scrapeIdoxCases(EDINBURGH_WARRANTS, inputs, options);
 }
 
 /**
- * Scrapes the Summary tab
+ * Creates a shared browser pool to pass as options.pool; close() it when done
  */
-async function scrapeSummary(page, keyVal) {
-  await page.goto(buildUrl(keyVal, TABS.summary), { waitUntil: 'networkidle', timeout: CONFIG.timeout });
-
-  // Wait for content to load
-  await page.waitForSelector('th', { timeout: 10000 }).catch(() => {});
-
-  // Parse all tables on the page
-  const data = await page.evaluate(() => {
-    const result = {};
-    const rows = document.querySelectorAll('tr');
-
-    rows.forEach(row => {
-      const th = row.querySelector('th');
-      const td = row.querySelector('td');
-
-      if (th && td) {
-        let key = th.textContent.trim().replace(/:$/, '');
-        let value = td.textContent.trim();
-
-        // Normalize key to camelCase
-        key = key.toLowerCase()
-          .replace(/[^a-z0-9\s]/g, '')
-          .replace(/\s+(.)/g, (_, c) => c.toUpperCase())
-          .trim();
-
-        if (key && value && value !== '-' && value !== '') {
-          result[key] = value;
-        }
-      }
-    });
-
-    return result;
-  });
-
-  return data;
+function createEdinburghBrowserPool(options = {}) {
+  return createIdoxBrowserPool(options);
 }
 
 /**
- * Scrapes the Further Information (Details) tab
+ * Scrapes an Edinburgh planning application (applicationDetails.do)
  */
-async function scrapeDetails(page, keyVal) {
-  await page.goto(buildUrl(keyVal, TABS.details), { waitUntil: 'networkidle', timeout: CONFIG.timeout });
-  await page.waitForSelector('th', { timeout: 10000 }).catch(() => {});
-
-  const data = await page.evaluate(() => {
-    const result = {};
-    const rows = document.querySelectorAll('tr');
-
-    rows.forEach(row => {
-      const th = row.querySelector('th');
-      const td = row.querySelector('td');
-
-      if (th && td) {
-        let key = th.textContent.trim().replace(/:$/, '');
-        let value = td.textContent.trim();
-
-        key = key.toLowerCase()
-          .replace(/[^a-z0-9\s]/g, '')
-          .replace(/\s+(.)/g, (_, c) => c.toUpperCase())
-          .trim();
-
-        if (key && value && value !== '-' && value !== '') {
-          result[key] = value;
-        }
-      }
-    });
-
-    return result;
-  });
-
-  return data;
+async function scrapeEdinburghPlanningApplication(input, options = {}) {
+  return scrapeIdoxCase(EDINBURGH_PLANNING, input, options);
 }
 
 /**
- * Scrapes the Plots tab
+ * Scrapes an Edinburgh property page: UPRN, full address and every case recorded against it
  */
-async function scrapePlots(page, keyVal) {
-  await page.goto(buildUrl(keyVal, TABS.plots), { waitUntil: 'domcontentloaded', timeout: CONFIG.timeout });
-  await page.waitForSelector('table', { timeout: 10000 }).catch(() => {});
-
-  const plots = await page.evaluate(() => {
-    const results = [];
-    const tables = document.querySelectorAll('table');
-
-    tables.forEach(table => {
-      const caption = table.querySelector('caption');
-      if (caption && caption.textContent.toLowerCase().includes('plot')) {
-        const rows = table.querySelectorAll('tbody tr, tr');
-        rows.forEach(row => {
-          const cells = row.querySelectorAll('td');
-          if (cells.length >= 2) {
-            const plot = {};
-            const headers = table.querySelectorAll('th');
-            cells.forEach((cell, idx) => {
-              let key = headers[idx]?.textContent.trim() || `field${idx}`;
-              key = key.toLowerCase()
-                .replace(/[^a-z0-9\s]/g, '')
-                .replace(/\s+(.)/g, (_, c) => c.toUpperCase())
-                .trim();
-              const value = cell.textContent.trim();
-              if (value && value !== '-') {
-                plot[key] = value;
-              }
-            });
-            if (Object.keys(plot).length > 0) {
-              results.push(plot);
-            }
-          }
-        });
-      }
-    });
-
-    // If no table found, try parsing key-value pairs
-    if (results.length === 0) {
-      const plot = {};
-      document.querySelectorAll('table tr').forEach(row => {
-        const cells = row.querySelectorAll('th, td');
-        if (cells.length >= 2) {
-          let key = cells[0].textContent.trim().replace(/:$/, '');
-          let value = cells[cells.length - 1].textContent.trim();
-          key = key.toLowerCase()
-            .replace(/[^a-z0-9\s]/g, '')
-            .replace(/\s+(.)/g, (_, c) => c.toUpperCase())
-            .trim();
-          if (key && value && value !== '-') {
-            plot[key] = value;
-          }
-        }
-      });
-      if (Object.keys(plot).length > 0) {
-        results.push(plot);
-      }
-    }
-
-    return results;
-  });
-
-  return plots;
+async function scrapeEdinburghProperty(keyVal, options = {}) {
+  return scrapeIdoxProperty(EDINBURGH_WARRANTS, keyVal, options);
 }
 
 /**
- * Scrapes the Important Dates tab
+ * Discovers building warrants via the Idox search, walking every results page
+ *
+ * Criteria: from/to (dates), dateType (received|validated|decided), status,
+ * applicationType, address, description, reference. Returns the keyVal and
+ * reference number of every match, ready to feed to scrapeEdinburghBuildingControl.
  */
-async function scrapeDates(page, keyVal) {
-  await page.goto(buildUrl(keyVal, TABS.dates), { waitUntil: 'domcontentloaded', timeout: CONFIG.timeout });
-  await page.waitForSelector('table', { timeout: 10000 }).catch(() => {});
-
-  return await parseTable(page, 'table');
+async function searchEdinburghBuildingWarrants(criteria = {}, options = {}) {
+  return searchIdox(EDINBURGH_WARRANTS, criteria, options);
 }
 
 /**
- * Scrapes certificate tabs
+ * Fetches just the geometry for a keyVal, without launching a browser
  */
-async function scrapeCertificates(page, keyVal, certType) {
-  await page.goto(buildUrl(keyVal, certType), { waitUntil: 'domcontentloaded', timeout: CONFIG.timeout });
-
-  const certificates = await page.evaluate(() => {
-    const results = [];
-    const content = document.body.textContent;
-
-    // Check if no certificates
-    if (content.includes('There are no') || content.includes('No certificates')) {
-      return results;
-    }
-
-    // Find certificate sections
-    const tables = document.querySelectorAll('table');
-    tables.forEach(table => {
-      const cert = {};
-      const rows = table.querySelectorAll('tr');
-      rows.forEach(row => {
-        const cells = row.querySelectorAll('th, td');
-        if (cells.length >= 2) {
-          let key = cells[0].textContent.trim().replace(/:$/, '');
-          let value = cells[cells.length - 1].textContent.trim();
-          key = key.toLowerCase()
-            .replace(/[^a-z0-9\s]/g, '')
-            .replace(/\s+(.)/g, (_, c) => c.toUpperCase())
-            .trim();
-          if (key && value && value !== '-') {
-            cert[key] = value;
-          }
-        }
-      });
-      if (Object.keys(cert).length > 0) {
-        results.push(cert);
-      }
-    });
-
-    return results;
-  });
-
-  return certificates;
+async function fetchEdinburghGeometry(keyVal, options = {}) {
+  return fetchIdoxGeometry(EDINBURGH_WARRANTS, keyVal, options);
 }
 
 /**
- * Scrapes the Related Items tab
+ * Saves data to JSON file
  */
-async function scrapeRelatedItems(page, keyVal) {
-  await page.goto(buildUrl(keyVal, TABS.relatedCases), { waitUntil: 'domcontentloaded', timeout: CONFIG.timeout });
-
-  const related = await page.evaluate(() => {
-    const result = {
-      properties: [],
-      planningApplications: [],
-      buildingWarrants: [],
-    };
-
-    // Find property links
-    document.querySelectorAll('a[href*="propertyDetails"]').forEach(link => {
-      result.properties.push({
-        address: link.textContent.trim(),
-        url: link.href,
-      });
-    });
-
-    // Find planning application links
-    document.querySelectorAll('a[href*="Planning"]').forEach(link => {
-      result.planningApplications.push({
-        reference: link.textContent.trim(),
-        url: link.href,
-      });
-    });
+async function saveToJson(data, filename) {
+  await mkdir(OUTPUT_DIR, { recursive: true });
 
-    return result;
-  });
+  const filepath = join(OUTPUT_DIR, filename);
+  await writeFile(filepath, JSON.stringify(data, null, 2), 'utf-8');
 
-  return related;
+  return filepath;
 }
 
 /**
- * Fetches geometry data directly from Edinburgh's ArcGIS FeatureServer
- * Uses FeatureServer/2 (polygons) which contains building warrant boundaries
+ * Reads the value following a flag, which must be there
  */
-async function scrapeGeometry(page, keyVal) {
-  try {
-    // Direct API call to ArcGIS FeatureServer for polygon geometry
-    const featureServerUrl = `https://edinburgh.idoxmaps.com/server/rest/services/PALIVE/LIVEUniformPA_Building_Standards/FeatureServer/2/query?f=json&outSR=4326&spatialRel=esriSpatialRelIntersects&where=ISPAVISIBLE%20%3D%201%20and%20KEYVAL%20IN%20(%27${keyVal}%27)&outFields=*&returnGeometry=true`;
-
-    const result = await page.evaluate(async (url) => {
-      try {
-        const response = await fetch(url);
-        const data = await response.json();
-        if (data.features && data.features.length > 0) {
-          const feature = data.features[0];
-          // Convert ESRI geometry to GeoJSON format
-          if (feature.geometry && feature.geometry.rings) {
-            return {
-              type: 'Polygon',
-              coordinates: feature.geometry.rings,
-              // Include centroid for convenience
-              centroid: calculateCentroid(feature.geometry.rings[0]),
-              spatialReference: data.spatialReference,
-              source: 'ArcGIS FeatureServer/2'
-            };
-          }
-        }
-        return null;
-
-        function calculateCentroid(ring) {
-          if (!ring || ring.length === 0) return null;
-          let sumX = 0, sumY = 0;
-          for (const [x, y] of ring) {
-            sumX += x;
-            sumY += y;
-          }
-          return [sumX / ring.length, sumY / ring.length];
-        }
-      } catch (e) {
-        return null;
-      }
-    }, featureServerUrl);
-
-    return result;
-  } catch (e) {
-    // Geometry extraction is optional
-    return null;
+function requiredValue(flag, value) {
+  if (value === undefined) {
+    throw new Error(`${flag} needs a value`);
   }
+  return value;
 }
 
 /**
- * Main scraper function
+ * Reads a whole-number flag value of at least 1
  */
-async function scrapeEdinburghBuildingControl(keyVal, options = {}) {
-  const { verbose = false, headless = true } = options;
-  const log = (msg) => verbose && console.log(msg);
-
-  log(`\nScraping Edinburgh Building Control: ${keyVal}`);
-  log('='.repeat(50));
-
-  const browser = await chromium.launch({ headless });
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  });
-  const page = await context.newPage();
-
-  try {
-    // Scrape each tab
-    log('Scraping Summary tab...');
-    const summary = await scrapeSummary(page, keyVal);
-
-    log('Scraping Details tab...');
-    const details = await scrapeDetails(page, keyVal);
-
-    log('Scraping Plots tab...');
-    const plots = await scrapePlots(page, keyVal);
-
-    log('Scraping Dates tab...');
-    const dates = await scrapeDates(page, keyVal);
-
-    log('Scraping Certificates...');
-    const designCerts = await scrapeCertificates(page, keyVal, TABS.designCertificate);
-    const constructionCerts = await scrapeCertificates(page, keyVal, TABS.constructCertificate);
-    const energyCerts = await scrapeCertificates(page, keyVal, TABS.energyCertificate);
-    const completionCerts = await scrapeCertificates(page, keyVal, TABS.completionCertificate);
-
-    log('Scraping Related Items...');
-    const related = await scrapeRelatedItems(page, keyVal);
-
-    log('Attempting to scrape Geometry (bonus)...');
-    const geometry = await scrapeGeometry(page, keyVal);
-
-    // Build result object
-    const result = {
-      metadata: {
-        keyVal,
-        scrapedAt: new Date().toISOString(),
-        sourceUrl: buildUrl(keyVal, 'summary'),
-        scraperVersion: '1.0.0',
-      },
-      summary: Object.keys(summary).length > 0 ? summary : null,
-      details: Object.keys(details).length > 0 ? details : null,
-      dates: Object.keys(dates).length > 0 ? dates : null,
-      plots: plots.length > 0 ? plots : null,
-      certificates: {
-        design: designCerts.length > 0 ? designCerts : null,
-        construction: constructionCerts.length > 0 ? constructionCerts : null,
-        energy: energyCerts.length > 0 ? energyCerts : null,
-        completion: completionCerts.length > 0 ? completionCerts : null,
-      },
-      relatedItems: related,
-      geometry: geometry,
-    };
-
-    // Log summary
-    log('\nExtracted Data Summary:');
-    log(`- Summary: ${Object.keys(summary).length} fields`);
-    log(`- Details: ${Object.keys(details).length} fields`);
-    log(`- Plots: ${plots.length} records`);
-    log(`- Design Certificates: ${designCerts.length}`);
-    log(`- Geometry: ${geometry ? 'YES' : 'NO'}`);
-
-    return result;
-
-  } finally {
-    await browser.close();
+function positiveInteger(flag, value) {
+  if (!/^\d+$/.test(value ?? '') || Number(value) < 1) {
+    throw new Error(`${flag} must be a whole number of at least 1, got ${value ?? 'nothing'}`);
   }
-}
-
-/**
- * Saves data to JSON file
- */
-async function saveToJson(data, filename) {
-  const outputDir = join(__dirname, '../../output');
-  await mkdir(outputDir, { recursive: true });
-
-  const filepath = join(outputDir, filename);
-  await writeFile(filepath, JSON.stringify(data, null, 2), 'utf-8');
-
-  return filepath;
+  return Number(value);
 }
 
 /**
  * CLI argument parser
  */
-function parseArgs() {
-  const args = process.argv.slice(2);
+function parseArgs(args = process.argv.slice(2)) {
   const options = {
     keyVal: 'T1A67ZEWK0T00',
+    keyVals: [],
     verbose: false,
     help: false,
+    search: false,
+    scrape: false,
+    planning: false,
+    property: false,
+    withPlanning: false,
+    followProperties: false,
+    download: false,
+    mode: 'browser',
+    block: true,
+    captureResponses: false,
+    include: null,
+    concurrency: 2,
+    tabConcurrency: 1,
+    maxPages: 50,
+    criteria: {},
+  };
+
+  // Flags that take a value and map onto search criteria
+  const criteriaFlags = {
+    '--from': 'from',
+    '--to': 'to',
+    '--date-type': 'dateType',
+    '--status': 'status',
+    '--type': 'applicationType',
+    '--address': 'address',
+    '--description': 'description',
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -471,11 +178,48 @@ function parseArgs() {
       options.verbose = true;
     } else if (arg === '-h' || arg === '--help') {
       options.help = true;
+    } else if (arg === '-s' || arg === '--search') {
+      options.search = true;
+    } else if (arg === '--scrape') {
+      options.scrape = true;
+    } else if (arg === '-p' || arg === '--planning') {
+      options.planning = true;
+    } else if (arg === '--with-planning') {
+      options.withPlanning = true;
+    } else if (arg === '--property') {
+      options.property = true;
+    } else if (arg === '--follow-properties') {
+      options.followProperties = true;
+    } else if (arg === '-d' || arg === '--download') {
+      options.download = true;
+    } else if (arg === '--http') {
+      options.mode = 'http';
+    } else if (arg === '--sections') {
+      options.include = requiredValue(arg, args[++i]).split(',').map(section => section.trim()).filter(Boolean);
+    } else if (arg === '--no-block') {
+      options.block = false;
+    } else if (arg === '--capture') {
+      options.captureResponses = true;
+    } else if (arg === '--capture-match') {
+      options.captureResponses = { match: requiredValue(arg, args[++i]) };
+    } else if (arg === '-c' || arg === '--concurrency') {
+      options.concurrency = positiveInteger(arg, args[++i]);
+    } else if (arg === '--tab-concurrency') {
+      options.tabConcurrency = positiveInteger(arg, args[++i]);
+    } else if (arg === '--max-pages') {
+      options.maxPages = positiveInteger(arg, args[++i]);
+    } else if (criteriaFlags[arg]) {
+      options.search = true;
+      options.criteria[criteriaFlags[arg]] = requiredValue(arg, args[++i]);
     } else if (!arg.startsWith('-')) {
-      options.keyVal = arg;
+      options.keyVals.push(arg);
     }
   }
 
+  if (options.keyVals.length > 0) {
+    options.keyVal = options.keyVals[0];
+  }
+
   return options;
 }
 
@@ -484,25 +228,148 @@ function showHelp() {
 Edinburgh Building Control Scraper
 
 Usage: node edinburgh-scraper.js [keyVal] [options]
+       node edinburgh-scraper.js <keyVal> <keyVal> ... [options]
+       node edinburgh-scraper.js --search [criteria] [--scrape]
 
 Arguments:
-  keyVal       Application key value (default: T1A67ZEWK0T00)
+  keyVal       Application key value (default: T1A67ZEWK0T00); give several to scrape them all
 
 Options:
-  -v, --verbose    Enable verbose logging
-  -h, --help       Show this help message
+  -p, --planning       keyVal is a planning application, not a building warrant
+  --with-planning      Also scrape the planning applications the warrant links to
+  --property           keyVal is a property (propertyDetails.do): list every case at the address
+  --follow-properties  Also scrape the case history of each property the warrant links to
+  -d, --download       Download each case's documents to output/documents/{keyVal}/
+  --http               Fetch pages over plain HTTP, using the browser only if the portal needs it
+  -c, --concurrency <n> Warrants scraped at once with several keyVals or --scrape (default: 2)
+  --tab-concurrency <n> Tabs of one case loaded at once (default: 1)
+  --sections <list>    Only scrape these sections, e.g. summary,dates,geometry
+                       (summary, details, plots, dates, certificates, contacts,
+                       constraints, documents, relatedItems, geometry)
+  --no-block           Load images, fonts, stylesheets and analytics (blocked by default)
+  --capture            Save the JSON/XHR responses the pages made under capturedResponses
+  --capture-match <text> Only capture responses whose URL contains text, e.g. FeatureServer
+  -v, --verbose        Enable verbose logging
+  -h, --help           Show this help message
+
+Search (discovers keyVals via the building warrant search):
+  -s, --search         Run a search instead of scraping a single keyVal
+  --from <date>        Start of date range (YYYY-MM-DD or DD/MM/YYYY)
+  --to <date>          End of date range
+  --date-type <type>   Date the range applies to: received, validated, decided (default: received)
+  --status <text>      Case status, e.g. "Granted Warrant"
+  --type <text>        Application type, e.g. "Domestic Existing Building - Alteration"
+  --address <text>     Site address text
+  --description <text> Description of works text
+  --max-pages <n>      Maximum result pages to walk (default: 50)
+  --scrape             Scrape every warrant found by the search
 
 Examples:
   node edinburgh-scraper.js T1A67ZEWK0T00
   node edinburgh-scraper.js T1A67ZEWK0T00 --verbose
+  node edinburgh-scraper.js T1A67ZEWK0T00 --with-planning
+  node edinburgh-scraper.js <planningKeyVal> --planning
+  node edinburgh-scraper.js 02L47E00DT000 --property
+  node edinburgh-scraper.js T1A67ZEWK0T00 --follow-properties
+  node edinburgh-scraper.js T1A67ZEWK0T00 --download
+  node edinburgh-scraper.js T1A67ZEWK0T00 --http
+  node edinburgh-scraper.js T1A67ZEWK0T00 --capture-match FeatureServer
+  node edinburgh-scraper.js T1A67ZEWK0T00 --sections summary,dates,geometry
+  node edinburgh-scraper.js T1A67ZEWK0T00 T1A67ZEWK0T01 --concurrency 2 --tab-concurrency 3
+  node edinburgh-scraper.js --from 2025-09-01 --to 2025-09-30
+  node edinburgh-scraper.js --address "Rosebery Avenue" --scrape
 `);
 }
 
+/**
+ * Scrapes several warrants through one shared browser, saving each as it finishes
+ * Ctrl+C closes the browser before exiting. Returns the process exit code.
+ */
+async function runBatch(inputs, options) {
+  const pool = createEdinburghBrowserPool({
+    concurrency: options.concurrency,
+    tabConcurrency: options.tabConcurrency,
+  });
+
+  const interrupt = async () => {
+    console.error('\nInterrupted - closing browser...');
+    await pool.close({ force: true });
+    process.exit(130);
+  };
+  process.once('SIGINT', interrupt);
+
+  try {
+    const outcomes = await scrapeEdinburghBuildingControls(inputs, {
+      pool,
+      verbose: options.verbose,
+      mode: options.mode,
+      block: options.block,
+      captureResponses: options.captureResponses,
+      include: options.include,
+      withPlanning: options.withPlanning,
+      followProperties: options.followProperties,
+      downloadDir: options.download ? DOCUMENTS_DIR : null,
+      onResult: async ({ keyVal, ok, data, error }) => {
+        if (!ok) {
+          console.error(`Failed to scrape ${keyVal}: ${error.message}`);
+          return;
+        }
+        const filepath = await saveToJson(data, `edinburgh-${keyVal}.json`);
+        console.log(`Saved ${data.summary?.applicationReferenceNumber || keyVal} to ${filepath}`);
+      },
+    });
+
+    const failures = outcomes.filter(outcome => !outcome.ok).length;
+    console.log(`\nScraped ${outcomes.length - failures} of ${outcomes.length} warrants`);
+    return failures > 0 ? 1 : 0;
+  } finally {
+    process.removeListener('SIGINT', interrupt);
+    await pool.close();
+  }
+}
+
+/**
+ * Runs a search, saves the discovered keyVals and optionally scrapes each one
+ */
+async function runSearch(options) {
+  console.log(`Criteria: ${JSON.stringify(options.criteria)}`);
+  console.log('');
+
+  const search = await searchEdinburghBuildingWarrants(options.criteria, {
+    verbose: options.verbose,
+    maxPages: options.maxPages,
+  });
+
+  const stamp = search.searchedAt.replace(/[:.]/g, '-');
+  const searchPath = await saveToJson(search, `edinburgh-search-${stamp}.json`);
+  console.log(`\nFound ${search.results.length} of ${search.totalResults} warrants`);
+  if (search.truncated) {
+    console.log(`Stopped after ${options.maxPages} results pages - raise --max-pages for the rest`);
+  }
+  console.log(`Search results saved to: ${searchPath}`);
+
+  search.results.forEach(result => {
+    console.log(`  ${result.keyVal}  ${result.reference || '-'}  ${result.address || ''}`);
+  });
+
+  if (!options.scrape || search.results.length === 0) return 0;
+
+  console.log('');
+  return runBatch(search.results, options);
+}
+
 /**
  * Main execution
  */
 async function main() {
-  const options = parseArgs();
+  let options;
+  try {
+    options = parseArgs();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run with --help for usage');
+    process.exit(2);
+  }
 
   if (options.help) {
     showHelp();
@@ -512,14 +379,70 @@ async function main() {
   console.log(`\n${'='.repeat(50)}`);
   console.log('Edinburgh Building Control Scraper');
   console.log('='.repeat(50));
+
+  if (options.search) {
+    try {
+      process.exit(await runSearch(options));
+    } catch (error) {
+      console.error('\nSearch failed!');
+      console.error(`Error: ${error.message}`);
+      process.exit(error.code === 'INVALID_SEARCH' ? 2 : 1);
+    }
+  }
+
+  if (options.keyVals.length > 1) {
+    console.log(`KeyVals: ${options.keyVals.join(', ')}`);
+    console.log('');
+    try {
+      process.exit(await runBatch(options.keyVals, options));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
   console.log(`KeyVal: ${options.keyVal}`);
   console.log('');
 
+  const downloadDir = options.download ? DOCUMENTS_DIR : null;
+
   try {
-    const data = await scrapeEdinburghBuildingControl(options.keyVal, { verbose: options.verbose });
+    let data;
+    let filename;
+    if (options.property) {
+      data = await scrapeEdinburghProperty(options.keyVal, {
+        verbose: options.verbose,
+        mode: options.mode,
+        block: options.block,
+      });
+      filename = `edinburgh-property-${options.keyVal}.json`;
+    } else if (options.planning) {
+      data = await scrapeEdinburghPlanningApplication(options.keyVal, {
+        verbose: options.verbose,
+        mode: options.mode,
+        block: options.block,
+        captureResponses: options.captureResponses,
+        include: options.include,
+        tabConcurrency: options.tabConcurrency,
+        downloadDir,
+      });
+      filename = `edinburgh-planning-${options.keyVal}.json`;
+    } else {
+      data = await scrapeEdinburghBuildingControl(options.keyVal, {
+        verbose: options.verbose,
+        mode: options.mode,
+        block: options.block,
+        captureResponses: options.captureResponses,
+        include: options.include,
+        tabConcurrency: options.tabConcurrency,
+        withPlanning: options.withPlanning,
+        followProperties: options.followProperties,
+        downloadDir,
+      });
+      filename = `edinburgh-${options.keyVal}.json`;
+    }
 
     // Save to file
-    const filename = `edinburgh-${options.keyVal}.json`;
     const filepath = await saveToJson(data, filename);
     console.log(`\nData saved to: ${filepath}`);
 
@@ -538,6 +461,19 @@ async function main() {
   }
 }
 
-export { scrapeEdinburghBuildingControl, saveToJson };
+export {
+  scrapeEdinburghBuildingControl,
+  scrapeEdinburghBuildingControls,
+  createEdinburghBrowserPool,
+  scrapeEdinburghPlanningApplication,
+  scrapeEdinburghProperty,
+  searchEdinburghBuildingWarrants,
+  fetchEdinburghGeometry,
+  saveToJson,
+  parseArgs,
+};
 
-main();
+// Run if called directly (not when imported)
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+  main();
+}
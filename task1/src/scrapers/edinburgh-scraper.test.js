@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs } from './edinburgh-scraper.js';
+
+test('parseArgs reads sections and search criteria', () => {
+  const options = parseArgs(['T1A67ZEWK0T00', '--sections', 'summary, documents', '--from', '01/07/2025']);
+  assert.equal(options.keyVal, 'T1A67ZEWK0T00');
+  assert.deepEqual(options.include, ['summary', 'documents']);
+  assert.equal(options.search, true);
+  assert.deepEqual(options.criteria, { from: '01/07/2025' });
+});
+
+test('parseArgs rejects a value flag given as the last argument', () => {
+  for (const flag of ['--sections', '--capture-match', '--from', '--to', '--status', '--address']) {
+    assert.throws(() => parseArgs(['T1A67ZEWK0T00', flag]), /needs a value/, flag);
+  }
+});
+
+test('parseArgs reads the concurrency and page limits', () => {
+  const options = parseArgs(['T1A67ZEWK0T00', 'T1A67ZEWK0T01', '-c', '3', '--tab-concurrency', '2', '--max-pages', '10']);
+  assert.deepEqual([options.concurrency, options.tabConcurrency, options.maxPages], [3, 2, 10]);
+});
+
+for (const flag of ['--concurrency', '-c', '--tab-concurrency', '--max-pages']) {
+  test(`parseArgs rejects a ${flag} that isn't a whole number of at least 1`, () => {
+    for (const value of ['x', '0', '-2', '1.5', undefined]) {
+      const args = ['T1A67ZEWK0T00', flag, ...(value === undefined ? [] : [value])];
+      assert.throws(() => parseArgs(args), /must be a whole number of at least 1/, `${flag} ${value}`);
+    }
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * Council Adapter Contract
+ *
+ * Every council is exposed through the same small interface so callers never
+ * need to know which scraper, HTTP client or browser sits behind it. Adapters
+ * implement fetchRecord and normalize and, where the council's site allows,
+ * search, getGeometry and fetchProperty.
+ *
+ * @module adapters/adapter
+ */
+
+import { ScraperError } from '../errors.js';
+
+/**
+ * Optional capabilities an adapter may implement (fetchRecord is required)
+ */
+const CAPABILITIES = ['fetchRecord', 'search', 'getGeometry', 'fetchProperty'];
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Object} criteria - Criteria the search ran with
+ * @property {string} searchedAt - ISO timestamp
+ * @property {number} totalResults - Number of matches
+ * @property {Array<string>} references - Identifiers that fetchRecord accepts
+ * @property {Array<Object>} results - Council-specific result rows
+ */
+
+/**
+ * @typedef {Object} CouncilAdapter
+ * @property {string} id - Registry key and output filename prefix (e.g. 'wnc')
+ * @property {string} name - Council name for display
+ * @property {string} referenceLabel - What fetchRecord's identifier is called (reference, keyVal)
+ * @property {string} exampleReference - A known-good identifier, used as the CLI default
+ * @property {Array<string>} capabilities - Implemented capabilities
+ * @property {(reference: string, options?: Object) => Promise<Object>} fetchRecord - Scrapes one record
+ * @property {(criteria: Object, options?: Object) => Promise<SearchResult>} [search] - Lists records
+ * @property {(reference: string, options?: Object) => Promise<Object|null>} [getGeometry] - Site geometry
+ * @property {(keyVal: string, options?: Object) => Promise<Object>} [fetchProperty] - A property and the cases recorded against it
+ * @property {(raw: Object) => import('../schema/record.js').CanonicalRecord} normalize - Maps fetchRecord output to the canonical record
+ * @property {(related: Object) => LinkTarget|null} linkTarget - How to fetch a related case, or null if it can't be
+ * @property {(reference: string) => string} outputFilename - JSON filename for a record
+ */
+
+/**
+ * @typedef {Object} LinkTarget
+ * @property {string} reference - Identifier to pass to fetchRecord
+ * @property {Object} options - Options to pass with it (e.g. caseType)
+ */
+
+/**
+ * Default linkTarget: a related case is fetched by its reference
+ *
+ * @param {Object} related - Entry from a canonical record's relatedCases
+ * @returns {LinkTarget|null} Fetch target
+ */
+function referenceLinkTarget(related) {
+  return related.reference ? { reference: related.reference, options: {} } : null;
+}
+
+/**
+ * Validates an adapter definition and fills in the derived fields
+ *
+ * @param {Object} spec - Adapter definition
+ * @returns {CouncilAdapter} Frozen adapter
+ * @throws {ScraperError} If the definition is missing required members
+ */
+function defineAdapter(spec) {
+  const missing = ['id', 'name', 'referenceLabel', 'fetchRecord', 'normalize'].filter(key => !spec[key]);
+  if (missing.length > 0) {
+    throw new ScraperError(
+      `Adapter definition is missing: ${missing.join(', ')}`,
+      'INVALID_ADAPTER',
+      { id: spec.id || null, missing }
+    );
+  }
+
+  return Object.freeze({
+    exampleReference: null,
+    outputFilename: (reference) => `${spec.id}-${reference.replace(/\//g, '-')}.json`,
+    linkTarget: referenceLinkTarget,
+    ...spec,
+    capabilities: CAPABILITIES.filter(capability => typeof spec[capability] === 'function'),
+  });
+}
+
+/**
+ * Checks whether an adapter implements a capability
+ *
+ * @param {CouncilAdapter} adapter - Adapter to check
+ * @param {string} capability - Capability name
+ * @returns {boolean} True if supported
+ */
+function supports(adapter, capability) {
+  return adapter.capabilities.includes(capability);
+}
+
+export {
+  CAPABILITIES,
+  defineAdapter,
+  supports,
+};
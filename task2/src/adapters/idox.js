@@ -0,0 +1,146 @@
+/**
+ * Idox Public Access Adapter
+ *
+ * Builds an adapter for any council running Idox public access from its
+ * entry in task1's Idox council config. Records are identified by the Idox
+ * keyVal (e.g. T1A67ZEWK0T00); options.caseType picks which of the council's
+ * case types to scrape (default: the council's defaultCaseType), and related
+ * cases are followed by their keyVal and case type. The
+ * Playwright scraper is loaded on first use so that runs for other councils
+ * do not need Playwright installed.
+ *
+ * @module adapters/idox
+ */
+
+import { defineAdapter } from './adapter.js';
+import { ScraperError } from '../errors.js';
+import { normalizeIdox } from '../schema/idox.js';
+import { resolveIdoxSite } from '../../../task1/src/idox/councils.js';
+
+const SCRAPER_MODULE = '../../../task1/src/idox/idox-scraper.js';
+
+let scraperModule = null;
+
+/**
+ * Loads the Idox scraper module
+ *
+ * @returns {Promise<Object>} Scraper module exports
+ * @throws {ScraperError} If the module or Playwright cannot be loaded
+ */
+async function loadScraper() {
+  if (!scraperModule) {
+    try {
+      scraperModule = await import(SCRAPER_MODULE);
+    } catch (error) {
+      throw new ScraperError(
+        'Idox scraper could not be loaded - run npm install in task1',
+        'ADAPTER_UNAVAILABLE',
+        { originalError: error.message }
+      );
+    }
+  }
+  return scraperModule;
+}
+
+/**
+ * Runs a scraper call, wrapping plain errors as ScraperErrors
+ * A call cut short by its abort signal fails with ABORTED whatever it threw.
+ *
+ * @param {string} code - Error code to use
+ * @param {Object} details - Error context
+ * @param {Function} fn - Call to make
+ * @param {AbortSignal} [signal] - The call's abort signal
+ * @returns {Promise<*>} Call result
+ */
+async function withScraperError(code, details, fn, signal = null) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new ScraperError('Scrape was aborted', 'ABORTED', { ...details, reason: String(signal.reason) });
+    }
+    if (error instanceof ScraperError) throw error;
+    // The Idox scraper's own ScraperErrors keep their code (INVALID_SEARCH, ...)
+    if (error.name === 'ScraperError' && error.code) {
+      throw new ScraperError(error.message, error.code, { ...details, ...error.details });
+    }
+    throw new ScraperError(error.message, code, { ...details, originalError: error.message });
+  }
+}
+
+/**
+ * Resolves the site config for a call, turning config errors into ScraperErrors
+ *
+ * @param {string} id - Council id
+ * @param {string} [caseType] - Case type, or the council's default
+ * @returns {Object} Site config for the Idox scraper
+ * @throws {ScraperError} If the council does not publish the case type
+ */
+function siteFor(id, caseType) {
+  try {
+    return resolveIdoxSite(id, caseType);
+  } catch (error) {
+    throw new ScraperError(error.message, 'UNSUPPORTED_CASE_TYPE', { id, caseType });
+  }
+}
+
+/**
+ * Creates an adapter for an Idox council
+ *
+ * @param {string} id - Council id (key in IDOX_COUNCILS)
+ * @param {Object} config - The council's IDOX_COUNCILS entry
+ * @returns {import('./adapter.js').CouncilAdapter} Adapter
+ */
+function createIdoxAdapter(id, config) {
+  const council = { id, name: config.name };
+  const hasGeometry = Object.values(config.caseTypes).some(caseType => caseType.featureServerUrl);
+
+  const spec = {
+    ...council,
+    referenceLabel: 'keyVal',
+    exampleReference: config.exampleKeyVal || null,
+    caseTypes: Object.keys(config.caseTypes),
+    defaultCaseType: config.defaultCaseType,
+
+    async fetchRecord(keyVal, options = {}) {
+      const site = siteFor(id, options.caseType);
+      const { scrapeIdoxCase } = await loadScraper();
+      return withScraperError('SCRAPE_FAILED', { keyVal }, () => scrapeIdoxCase(site, keyVal, options), options.signal);
+    },
+
+    async search(criteria, options = {}) {
+      const site = siteFor(id, options.caseType);
+      const { searchIdox } = await loadScraper();
+      const search = await withScraperError('SEARCH_FAILED', { criteria }, () => searchIdox(site, criteria, options));
+      return { ...search, references: search.results.map(result => result.keyVal) };
+    },
+
+    async fetchProperty(keyVal, options = {}) {
+      const site = siteFor(id);
+      const { scrapeIdoxProperty } = await loadScraper();
+      return withScraperError('SCRAPE_FAILED', { keyVal }, () => scrapeIdoxProperty(site, keyVal, options), options.signal);
+    },
+
+    normalize(raw) {
+      return normalizeIdox(raw, council);
+    },
+
+    // Only case types the council is configured for can be scraped
+    linkTarget(related) {
+      if (!related.keyVal || !config.caseTypes[related.type]) return null;
+      return { reference: related.keyVal, options: { caseType: related.type } };
+    },
+  };
+
+  if (hasGeometry) {
+    spec.getGeometry = async (keyVal, options = {}) => {
+      const site = siteFor(id, options.caseType);
+      const { fetchIdoxGeometry } = await loadScraper();
+      return withScraperError('GEOMETRY_FAILED', { keyVal }, () => fetchIdoxGeometry(site, keyVal, options), options.signal);
+    };
+  }
+
+  return defineAdapter(spec);
+}
+
+export { createIdoxAdapter };
@@ -0,0 +1,31 @@
+/**
+ * Council adapters
+ *
+ * Registers the built-in adapters. Councils running Idox public access need
+ * only an entry in task1/src/idox/councils.js; any other council needs an
+ * adapter written with defineAdapter and registered here.
+ *
+ * @module adapters
+ */
+
+import { registerAdapter, getAdapter, listAdapters, invokeAdapter } from './registry.js';
+import { defineAdapter, supports, CAPABILITIES } from './adapter.js';
+import { createIdoxAdapter } from './idox.js';
+import { IDOX_COUNCILS } from '../../../task1/src/idox/councils.js';
+import wnc from './wnc.js';
+
+registerAdapter(wnc);
+
+for (const [id, config] of Object.entries(IDOX_COUNCILS)) {
+  registerAdapter(createIdoxAdapter(id, config));
+}
+
+export {
+  CAPABILITIES,
+  defineAdapter,
+  supports,
+  registerAdapter,
+  getAdapter,
+  listAdapters,
+  invokeAdapter,
+};
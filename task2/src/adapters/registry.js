@@ -0,0 +1,83 @@
+/**
+ * Council Adapter Registry
+ *
+ * Adapters are registered by council id; callers look them up here rather
+ * than importing scrapers directly.
+ *
+ * @module adapters/registry
+ */
+
+import { ScraperError } from '../errors.js';
+import { supports } from './adapter.js';
+
+const adapters = new Map();
+
+/**
+ * Registers an adapter under its id
+ *
+ * @param {import('./adapter.js').CouncilAdapter} adapter - Adapter from defineAdapter
+ * @returns {import('./adapter.js').CouncilAdapter} The registered adapter
+ * @throws {ScraperError} If an adapter with the same id is already registered
+ */
+function registerAdapter(adapter) {
+  if (adapters.has(adapter.id)) {
+    throw new ScraperError(`Adapter already registered: ${adapter.id}`, 'DUPLICATE_ADAPTER', { id: adapter.id });
+  }
+  adapters.set(adapter.id, adapter);
+  return adapter;
+}
+
+/**
+ * Looks up an adapter by council id
+ *
+ * @param {string} id - Council id (e.g. 'wnc', 'edinburgh')
+ * @returns {import('./adapter.js').CouncilAdapter} The adapter
+ * @throws {ScraperError} If no adapter is registered for the id
+ */
+function getAdapter(id) {
+  const adapter = adapters.get(id?.toLowerCase());
+  if (!adapter) {
+    throw new ScraperError(`Unknown council: ${id}`, 'UNKNOWN_COUNCIL', {
+      id,
+      available: [...adapters.keys()],
+    });
+  }
+  return adapter;
+}
+
+/**
+ * Lists every registered adapter
+ *
+ * @returns {Array<import('./adapter.js').CouncilAdapter>} Adapters in registration order
+ */
+function listAdapters() {
+  return [...adapters.values()];
+}
+
+/**
+ * Calls a capability on a council's adapter
+ *
+ * @param {string} id - Council id
+ * @param {string} capability - Capability name (fetchRecord, search, getGeometry)
+ * @param {...*} args - Arguments for the capability
+ * @returns {Promise<*>} Capability result
+ * @throws {ScraperError} If the council is unknown or does not support the capability
+ */
+async function invokeAdapter(id, capability, ...args) {
+  const adapter = getAdapter(id);
+  if (!supports(adapter, capability)) {
+    throw new ScraperError(
+      `${adapter.name} does not support ${capability}`,
+      'UNSUPPORTED_CAPABILITY',
+      { id: adapter.id, capability, capabilities: adapter.capabilities }
+    );
+  }
+  return adapter[capability](...args);
+}
+
+export {
+  registerAdapter,
+  getAdapter,
+  listAdapters,
+  invokeAdapter,
+};
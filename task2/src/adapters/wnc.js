@@ -0,0 +1,33 @@
+/**
+ * West Northamptonshire Council Adapter
+ *
+ * Wraps the Got/Cheerio WNC scraper. Records are identified by their
+ * register reference (e.g. FP/2025/0159). WNC has no map service, so there
+ * is no getGeometry.
+ *
+ * @module adapters/wnc
+ */
+
+import { defineAdapter } from './adapter.js';
+import { scrapeBuildingControl, searchApplications } from '../scrapers/wnc-scraper.js';
+import { normalizeWnc } from '../schema/wnc.js';
+
+const COUNCIL = { id: 'wnc', name: 'West Northamptonshire Council' };
+
+export default defineAdapter({
+  ...COUNCIL,
+  referenceLabel: 'reference',
+  exampleReference: 'FP/2025/0159',
+
+  fetchRecord(reference, options = {}) {
+    return scrapeBuildingControl(reference, options);
+  },
+
+  search(criteria, options = {}) {
+    return searchApplications(criteria, options);
+  },
+
+  normalize(raw) {
+    return normalizeWnc(raw, COUNCIL);
+  },
+});
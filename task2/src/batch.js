@@ -0,0 +1,438 @@
+/**
+ * Batch Runner
+ *
+ * Scrapes a list of references through their councils' adapters, a few at a
+ * time. The list comes from a text, CSV or NDJSON file or from stdin. After
+ * every record the runner records its outcome in a checkpoint, so a run that
+ * crashes or is stopped can be resumed without scraping finished records again.
+ *
+ * Each record ends up as one of:
+ *   scraped  - fetched and found
+ *   notFound - fetched, but the council has no such record
+ *   failed   - the fetch threw; the error code is kept (FETCH_FAILED, ...)
+ *
+ * @module batch
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { getAdapter, invokeAdapter } from './adapters/index.js';
+import { ScraperError } from './errors.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const BATCH_DEFAULTS = {
+  concurrency: 2,
+  delay: 0,
+};
+
+const INPUT_FORMATS = ['text', 'csv', 'ndjson'];
+
+// Column / property names accepted for each field of an entry
+const FIELD_ALIASES = {
+  reference: ['reference', 'ref', 'keyval', 'id', 'applicationnumber', 'referencenumber'],
+  council: ['council', 'councilid'],
+  caseType: ['casetype'],
+};
+
+// ============================================================================
+// Input Parsing
+// ============================================================================
+
+/**
+ * @typedef {Object} BatchEntry
+ * @property {string} reference - Identifier the council's fetchRecord accepts
+ * @property {string} [council] - Council id, where the input names one
+ * @property {string} [caseType] - Idox case type, where the input names one
+ */
+
+/**
+ * Picks the entry fields out of a row or object using FIELD_ALIASES
+ *
+ * @param {Object} row - Parsed CSV row or NDJSON object
+ * @returns {BatchEntry|null} Entry, or null if the row has no reference
+ */
+function toEntry(row) {
+  const byKey = Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [key.toLowerCase().replace(/[^a-z]/g, ''), value])
+  );
+  const field = (name) => {
+    const key = FIELD_ALIASES[name].find(alias => byKey[alias] !== undefined && byKey[alias] !== '');
+    return key ? String(byKey[key]).trim() : undefined;
+  };
+
+  const reference = field('reference');
+  if (!reference) return null;
+
+  const entry = { reference };
+  if (field('council')) entry.council = field('council');
+  if (field('caseType')) entry.caseType = field('caseType');
+  return entry;
+}
+
+/**
+ * Splits one CSV line into cells, honouring double-quoted cells
+ *
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Cells
+ */
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Guesses the input format from the file name, then from the content
+ *
+ * @param {string} text - Input text
+ * @param {string} [source] - File path the text came from
+ * @returns {string} One of INPUT_FORMATS
+ */
+function detectFormat(text, source) {
+  const extension = source ? extname(source).toLowerCase() : '';
+  if (extension === '.csv') return 'csv';
+  if (extension === '.ndjson' || extension === '.jsonl') return 'ndjson';
+  if (extension === '.txt') return 'text';
+
+  const firstLine = text.split(/\r?\n/).find(line => line.trim() && !line.trim().startsWith('#')) || '';
+  if (firstLine.trim().startsWith('{')) return 'ndjson';
+  if (firstLine.includes(',')) return 'csv';
+  return 'text';
+}
+
+/**
+ * Parses batch input into entries
+ *
+ * text:   one reference per line; blank lines and # comments are skipped
+ * csv:    a header row naming a reference column (reference, ref, keyVal, id)
+ *         and optionally council and caseType columns
+ * ndjson: one JSON object per line with the same fields, or a JSON string
+ *
+ * Duplicate entries are dropped, keeping the first.
+ *
+ * @param {string} text - Input text
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.format] - One of INPUT_FORMATS (default: detected)
+ * @param {string} [options.source] - File path, used to detect the format
+ * @returns {Array<BatchEntry>} Entries in input order
+ * @throws {ScraperError} If the format is unknown, a CSV has no reference column or an NDJSON line is not JSON
+ */
+function parseBatchInput(text, options = {}) {
+  const format = options.format || detectFormat(text, options.source);
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new ScraperError(`Unknown batch input format: ${format}`, 'INVALID_BATCH', { format, formats: INPUT_FORMATS });
+  }
+
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  let entries;
+
+  if (format === 'text') {
+    entries = lines.map(line => ({ reference: line }));
+  } else if (format === 'csv') {
+    const [header = '', ...rows] = lines;
+    const columns = splitCsvLine(header);
+    if (!toEntry(Object.fromEntries(columns.map(column => [column, 'x'])))) {
+      throw new ScraperError(
+        `CSV header has no reference column (expected one of ${FIELD_ALIASES.reference.join(', ')})`,
+        'INVALID_BATCH',
+        { header }
+      );
+    }
+    entries = rows
+      .map(row => splitCsvLine(row))
+      .map(cells => toEntry(Object.fromEntries(columns.map((column, idx) => [column, cells[idx] ?? '']))));
+  } else {
+    entries = lines.map((line, idx) => {
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch (error) {
+        throw new ScraperError(`NDJSON line ${idx + 1} is not JSON: ${error.message}`, 'INVALID_BATCH', { line });
+      }
+      return typeof value === 'string' ? { reference: value.trim() } : toEntry(value || {});
+    });
+  }
+
+  const seen = new Set();
+  return entries.filter(entry => {
+    if (!entry || !entry.reference) return false;
+    const key = entryKey(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Reads batch input from a file, or from stdin when source is '-'
+ *
+ * @param {string} source - File path or '-'
+ * @param {Object} [options] - Parse options (see parseBatchInput)
+ * @returns {Promise<Array<BatchEntry>>} Entries in input order
+ * @throws {ScraperError} If the input cannot be parsed
+ */
+async function readBatchInput(source, options = {}) {
+  let text;
+  if (source === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    text = Buffer.concat(chunks).toString('utf-8');
+  } else {
+    text = await readFile(source, 'utf-8');
+  }
+
+  return parseBatchInput(text, { ...options, source: source === '-' ? undefined : source });
+}
+
+// ============================================================================
+// Checkpoints
+// ============================================================================
+
+/**
+ * @typedef {Object} BatchOutcome
+ * @property {string} key - council:caseType:reference
+ * @property {string} council - Council id
+ * @property {string} reference - Record identifier
+ * @property {string|null} caseType - Idox case type, if given
+ * @property {string} status - scraped, notFound or failed
+ * @property {string} [code] - Error code, for failures
+ * @property {string} [message] - Error message, for failures
+ * @property {string} finishedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} BatchCheckpoint
+ * @property {string} startedAt - ISO timestamp of the first run
+ * @property {string} updatedAt - ISO timestamp of the last outcome
+ * @property {Object<string, BatchOutcome>} outcomes - Outcomes by entry key
+ */
+
+/**
+ * Builds the key an entry is tracked under in the checkpoint
+ *
+ * @param {BatchEntry} entry - Batch entry (council already resolved, if known)
+ * @returns {string} Entry key
+ */
+function entryKey(entry) {
+  return `${entry.council || ''}:${entry.caseType || ''}:${entry.reference}`;
+}
+
+/**
+ * Creates an empty checkpoint
+ *
+ * @returns {BatchCheckpoint} Checkpoint
+ */
+function createCheckpoint() {
+  const now = new Date().toISOString();
+  return { startedAt: now, updatedAt: now, outcomes: {} };
+}
+
+/**
+ * Whether an entry finished in an earlier run and can be skipped
+ * Failures are retried; scraped and not-found records are not.
+ *
+ * @param {BatchCheckpoint} checkpoint - Checkpoint from an earlier run
+ * @param {string} key - Entry key
+ * @returns {boolean} True if the entry is done
+ */
+function isDone(checkpoint, key) {
+  const outcome = checkpoint.outcomes[key];
+  return Boolean(outcome) && outcome.status !== 'failed';
+}
+
+/**
+ * Summarizes a checkpoint's outcomes
+ *
+ * @param {BatchCheckpoint} checkpoint - Checkpoint
+ * @returns {{total: number, scraped: number, notFound: number, failed: number, errorCodes: Object<string, number>, failures: Array<BatchOutcome>}} Summary
+ */
+function summarizeBatch(checkpoint) {
+  const outcomes = Object.values(checkpoint.outcomes);
+  const failures = outcomes.filter(outcome => outcome.status === 'failed');
+
+  const errorCodes = {};
+  failures.forEach(outcome => {
+    errorCodes[outcome.code] = (errorCodes[outcome.code] || 0) + 1;
+  });
+
+  return {
+    total: outcomes.length,
+    scraped: outcomes.filter(outcome => outcome.status === 'scraped').length,
+    notFound: outcomes.filter(outcome => outcome.status === 'notFound').length,
+    failed: failures.length,
+    errorCodes,
+    failures,
+  };
+}
+
+// ============================================================================
+// Running
+// ============================================================================
+
+/**
+ * Scrapes every entry, at most concurrency at a time
+ *
+ * Entries without a council use options.council. Each record is fetched with
+ * fetchRecord and normalized to tell found from not found. After each one,
+ * onResult gets the outcome with the raw and canonical record (for saving)
+ * and onCheckpoint gets the updated checkpoint (for writing to disk); the
+ * runner itself writes nothing. Checkpoint callbacks run one at a time, in
+ * the order records finish. Aborting options.signal cancels the records in
+ * flight (they fail with ABORTED, so a resume retries them) and starts no more.
+ * onProgress hears recordStarted and recordFinished for each entry, and the
+ * scrapers' section events with the entry's council and reference added.
+ *
+ * @param {Array<BatchEntry>} entries - Entries to scrape
+ * @param {Object} [options] - Batch options
+ * @param {string} [options.council] - Council for entries that don't name one
+ * @param {number} [options.concurrency=2] - Records fetched at once
+ * @param {number} [options.delay=0] - Milliseconds each worker waits between records
+ * @param {BatchCheckpoint} [options.checkpoint] - Checkpoint to resume; finished entries are skipped
+ * @param {Object} [options.fetchOptions] - Passed to every fetchRecord call (verbose, include, mode, ...)
+ * @param {Function} [options.onResult] - Called with (outcome, {raw, record}) after each record
+ * @param {Function} [options.onCheckpoint] - Called with the checkpoint after each record
+ * @param {AbortSignal} [options.signal] - Stops the batch
+ * @param {Function} [options.onProgress] - Called with each progress event
+ * @returns {Promise<{checkpoint: BatchCheckpoint, skipped: number, aborted: boolean, summary: Object}>} Final checkpoint and summary
+ * @throws {ScraperError} If the options are invalid or an entry names an unknown council
+ */
+async function runBatch(entries, options = {}) {
+  const {
+    council = null,
+    concurrency = BATCH_DEFAULTS.concurrency,
+    delay = BATCH_DEFAULTS.delay,
+    fetchOptions = {},
+    onResult = () => {},
+    onCheckpoint = () => {},
+    signal = null,
+    onProgress = null,
+  } = options;
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new ScraperError('concurrency must be a whole number of at least 1', 'INVALID_BATCH', { concurrency });
+  }
+
+  // Resolve councils up front, so a typo fails before anything is fetched
+  const resolved = entries.map(entry => {
+    const councilId = entry.council || council;
+    if (!councilId) {
+      throw new ScraperError(`No council given for ${entry.reference}`, 'INVALID_BATCH', { entry });
+    }
+    const adapter = getAdapter(councilId);
+    return { ...entry, council: adapter.id, adapter };
+  });
+
+  const checkpoint = options.checkpoint || createCheckpoint();
+  const pending = resolved.filter(entry => !isDone(checkpoint, entryKey(entry)));
+  const skipped = resolved.length - pending.length;
+
+  // Outcomes are handled one at a time so checkpoints never interleave. The
+  // result is saved before the checkpoint marks it done, so a crash between
+  // the two means scraping it again rather than losing it.
+  let writing = Promise.resolve();
+  const record = (outcome, data) => {
+    writing = writing.then(async () => {
+      await onResult(outcome, data);
+      checkpoint.outcomes[outcome.key] = outcome;
+      checkpoint.updatedAt = outcome.finishedAt;
+      await onCheckpoint(checkpoint);
+    });
+    return writing;
+  };
+
+  const scrapeEntry = async (entry) => {
+    const outcome = {
+      key: entryKey(entry),
+      council: entry.council,
+      reference: entry.reference,
+      caseType: entry.caseType || null,
+    };
+    let data = {};
+
+    const progress = (event) => onProgress && onProgress({
+      ...event,
+      council: entry.council,
+      reference: entry.reference,
+      at: event.at || new Date().toISOString(),
+    });
+    progress({ type: 'recordStarted' });
+
+    try {
+      const callOptions = {
+        ...fetchOptions,
+        ...(entry.caseType ? { caseType: entry.caseType } : {}),
+        ...(signal ? { signal } : {}),
+        ...(onProgress ? { onProgress: progress } : {}),
+      };
+      const raw = await invokeAdapter(entry.council, 'fetchRecord', entry.reference, callOptions);
+      const normalized = entry.adapter.normalize(raw);
+      outcome.status = normalized.found ? 'scraped' : 'notFound';
+      data = { raw, record: normalized };
+    } catch (error) {
+      outcome.status = 'failed';
+      outcome.code = error.code || 'SCRAPE_FAILED';
+      outcome.message = error.message;
+    }
+
+    outcome.finishedAt = new Date().toISOString();
+    progress({ type: 'recordFinished', status: outcome.status, code: outcome.code || null, at: outcome.finishedAt });
+    await record(outcome, data);
+  };
+
+  // A fixed set of workers pulls from the queue, so at most concurrency run at once
+  const queue = [...pending];
+  const worker = async () => {
+    let first = true;
+    while (queue.length > 0 && !signal?.aborted) {
+      const entry = queue.shift();
+      if (!first && delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        if (signal?.aborted) break;
+      }
+      first = false;
+      await scrapeEntry(entry);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+  await writing;
+
+  return { checkpoint, skipped, aborted: Boolean(signal?.aborted), summary: summarizeBatch(checkpoint) };
+}
+
+export {
+  BATCH_DEFAULTS,
+  INPUT_FORMATS,
+  parseBatchInput,
+  readBatchInput,
+  createCheckpoint,
+  summarizeBatch,
+  runBatch,
+};
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBatchInput, runBatch } from './batch.js';
+import { ScraperError } from './errors.js';
+import { registerStubCouncil } from './testing/stub-council.js';
+
+// A council whose fetches are counted; BROKEN fails until fixed
+let broken = true;
+const { calls } = registerStubCouncil((reference) => {
+  if (reference === 'BROKEN' && broken) throw new ScraperError('Portal down', 'FETCH_FAILED');
+  return { found: reference !== 'MISSING' };
+});
+const fetched = () => calls.map(call => call.reference);
+
+test('parseBatchInput reads plain references, skipping comments, blanks and repeats', () => {
+  const entries = parseBatchInput('# July\nFP/2025/0159\n\n  FP/2025/0160  \nFP/2025/0159\n');
+  assert.deepEqual(entries, [{ reference: 'FP/2025/0159' }, { reference: 'FP/2025/0160' }]);
+});
+
+test('parseBatchInput reads CSV columns by any of their names', () => {
+  const entries = parseBatchInput('Council,KeyVal,Case Type\nedinburgh,T1A67ZEWK0T00,warrant\n"wnc","FP/2025/0159",\n');
+  assert.deepEqual(entries, [
+    { reference: 'T1A67ZEWK0T00', council: 'edinburgh', caseType: 'warrant' },
+    { reference: 'FP/2025/0159', council: 'wnc' },
+  ]);
+  assert.deepEqual(parseBatchInput('reference\n"FP/2025/0159, part 2"', { format: 'csv' }), [{ reference: 'FP/2025/0159, part 2' }]);
+  assert.throws(() => parseBatchInput('council,address\nwnc,1 High St'), { code: 'INVALID_BATCH' });
+});
+
+test('parseBatchInput reads NDJSON objects and strings', () => {
+  const entries = parseBatchInput('{"council":"wnc","ref":"FP/2025/0159"}\n"FP/2025/0160"\n', { source: 'refs.jsonl' });
+  assert.deepEqual(entries, [{ reference: 'FP/2025/0159', council: 'wnc' }, { reference: 'FP/2025/0160' }]);
+  assert.throws(() => parseBatchInput('{"ref":"A"}\n{oops', { format: 'ndjson' }), { code: 'INVALID_BATCH', message: /line 2/ });
+  assert.throws(() => parseBatchInput('A', { format: 'xml' }), { code: 'INVALID_BATCH' });
+});
+
+test('runBatch records each outcome and a resume retries only the failures', async () => {
+  calls.length = 0;
+  broken = true;
+  const entries = [{ reference: 'A1' }, { reference: 'MISSING' }, { reference: 'BROKEN' }];
+  const saved = [];
+  const first = await runBatch(entries, {
+    council: 'stub',
+    onResult: (outcome, { record }) => saved.push([outcome.reference, outcome.status, Boolean(record)]),
+  });
+  assert.deepEqual(first.summary.errorCodes, { FETCH_FAILED: 1 });
+  assert.deepEqual([first.summary.scraped, first.summary.notFound, first.summary.failed], [1, 1, 1]);
+  assert.deepEqual(saved.sort(), [['A1', 'scraped', true], ['BROKEN', 'failed', false], ['MISSING', 'notFound', true]]);
+
+  // Resuming from a checkpoint written to disk
+  calls.length = 0;
+  broken = false;
+  const checkpoint = JSON.parse(JSON.stringify(first.checkpoint));
+  const resumed = await runBatch(entries, { council: 'stub', checkpoint });
+  assert.deepEqual(fetched(), ['BROKEN']);
+  assert.equal(resumed.skipped, 2);
+  assert.deepEqual([resumed.summary.scraped, resumed.summary.failed], [2, 0]);
+});
+
+test('runBatch stops on abort and the unfinished entries run on resume', async () => {
+  calls.length = 0;
+  const controller = new AbortController();
+  const entries = ['C1', 'C2', 'C3', 'C4'].map(reference => ({ council: 'stub', reference }));
+  const stopped = await runBatch(entries, {
+    concurrency: 1,
+    onResult: () => controller.abort(),
+    signal: controller.signal,
+  });
+  assert.equal(stopped.aborted, true);
+  assert.deepEqual(fetched(), ['C1']);
+
+  calls.length = 0;
+  const resumed = await runBatch(entries, { checkpoint: stopped.checkpoint });
+  assert.deepEqual(fetched(), ['C2', 'C3', 'C4']);
+  assert.equal(resumed.summary.scraped, 4);
+});
+
+test('runBatch checks councils and options before fetching anything', async () => {
+  calls.length = 0;
+  await assert.rejects(runBatch([{ reference: 'A1' }, { council: 'nowhere', reference: 'A2' }], { council: 'stub' }), { code: 'UNKNOWN_COUNCIL' });
+  await assert.rejects(runBatch([{ reference: 'A1' }]), { code: 'INVALID_BATCH' });
+  await assert.rejects(runBatch([{ reference: 'A1' }], { council: 'stub', concurrency: 0 }), { code: 'INVALID_BATCH' });
+  assert.deepEqual(fetched(), []);
+});
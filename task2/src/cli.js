@@ -0,0 +1,1374 @@
+#!/usr/bin/env node
+/**
+ * Building Control CLI
+ *
+ * One command line for every council, with a subcommand per job:
+ *
+ *   scrape <council> [reference]   Scrape one record (or its geometry, or crawl from it)
+ *   search <council> [criteria]    List records from a council's search
+ *   batch [council] <file|->       Scrape every reference in a file or stdin
+ *   export [paths...]              Convert saved records to JSON, NDJSON, CSV or GeoJSON
+ *   diff <old> <new>               Show what changed between two saved records
+ *   diff <council> <reference>     Show what changed between a record's stored snapshots
+ *   watch <council> <reference>    Re-scrape a record on an interval and report changes
+ *   watch add|remove|list|run      Keep a watchlist of records re-scraped on their own schedules
+ *   notify <config> [changes]      Test notification channels, or replay saved changes through them
+ *   serve                          Run the REST API server
+ *   list                           List the councils and what they support
+ *
+ * Options shared by every command: --out-dir, --format, --verbose and
+ * --concurrency. Every command exits with one of EXIT_CODES.
+ *
+ * @module cli
+ */
+
+import { readFile, readdir, stat } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { basename, extname, join, resolve } from 'path';
+import { getAdapter, listAdapters, invokeAdapter } from './adapters/index.js';
+import { crawlRelatedCases } from './crawler.js';
+import { BATCH_DEFAULTS, readBatchInput, runBatch, summarizeBatch } from './batch.js';
+import { diffSnapshots, detectChanges, describeEvent } from './diff.js';
+import { openStore } from './store.js';
+import { loadNotifier } from './notify.js';
+import { createApiServer, SERVER_DEFAULTS } from './server.js';
+import { QUEUE_DEFAULTS } from './jobs.js';
+import {
+  loadWatchlist,
+  saveWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  nextDue,
+  runWatchCycle,
+  runWatchDaemon,
+} from './watchlist.js';
+import { createFileSink, createStoreSink, combineSinks, SINK_TYPES } from './sinks.js';
+import {
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT_DIR,
+  isCanonicalRecord,
+  formatOutput,
+  formatFilename,
+  writeOutput,
+} from './output.js';
+import { ScraperError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const COMMANDS = ['scrape', 'search', 'batch', 'export', 'diff', 'watch', 'notify', 'serve', 'list'];
+
+/**
+ * Exit codes, the same for every command
+ * OK          - done, nothing failed
+ * FAILED      - the scrape failed, or some records in a batch did
+ * USAGE       - bad arguments or options (unknown council, flag, format, ...)
+ * NOT_FOUND   - the council has no such record (or nothing to export)
+ * INTERRUPTED - stopped with Ctrl+C (or SIGTERM)
+ */
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  INTERRUPTED: 130,
+};
+
+// Commands that stop cleanly on Ctrl+C or SIGTERM, closing what they opened;
+// the rest exit at once
+const GRACEFUL_COMMANDS = ['watch', 'serve'];
+
+// ScraperError codes that mean the command was called wrongly
+const USAGE_ERROR_CODES = [
+  'INVALID_ARGUMENTS',
+  'INVALID_FORMAT',
+  'INVALID_SEARCH',
+  'INVALID_SWEEP',
+  'INVALID_CRAWL',
+  'INVALID_SECTIONS',
+  'INVALID_BATCH',
+  'INVALID_DIFF',
+  'INVALID_SINK',
+  'INVALID_QUERY',
+  'INVALID_SCHEDULE',
+  'INVALID_WATCHLIST',
+  'INVALID_NOTIFY_CONFIG',
+  'UNKNOWN_COUNCIL',
+  'UNSUPPORTED_CAPABILITY',
+  'UNSUPPORTED_CASE_TYPE',
+];
+
+// Flags that take a value, and the option each sets
+const VALUE_FLAGS = {
+  '--out-dir': 'outDir',
+  '-f': 'format',
+  '--format': 'format',
+  '-c': 'concurrency',
+  '--concurrency': 'concurrency',
+  '--case-type': 'caseType',
+  '--sections': 'sections',
+  '--depth': 'depth',
+  '--max-nodes': 'maxNodes',
+  '--max-pages': 'maxPages',
+  '-b': 'batch',
+  '--batch': 'batch',
+  '--input-format': 'inputFormat',
+  '--checkpoint': 'checkpoint',
+  '--out': 'out',
+  '--interval': 'interval',
+  '--sink': 'sink',
+  '--db': 'db',
+  '--since': 'since',
+  '--schedule': 'schedule',
+  '--watchlist': 'watchlist',
+  '--notify': 'notify',
+  '--port': 'port',
+  '--host': 'host',
+  '--max-age': 'maxAge',
+};
+
+// Flags that take a value and map onto search criteria
+const CRITERIA_FLAGS = {
+  '--from': 'from',
+  '--to': 'to',
+  '--date-type': 'dateType',
+  '--type': 'type',
+  '--status': 'status',
+  '--application-type': 'applicationType',
+  '--address': 'address',
+  '--description': 'description',
+};
+
+// Flags that switch something on
+const BOOLEAN_FLAGS = {
+  '-v': 'verbose',
+  '--verbose': 'verbose',
+  '-h': 'help',
+  '--help': 'help',
+  '-l': 'list',
+  '--list': 'list',
+  '-g': 'geometry',
+  '--geometry': 'geometry',
+  '--raw': 'raw',
+  '--with-planning': 'withPlanning',
+  '--follow-properties': 'followProperties',
+  '--http': 'http',
+  '-d': 'download',
+  '--download': 'download',
+  '--crawl': 'crawl',
+  '--resume': 'resume',
+  '--scrape': 'scrape',
+  '--once': 'once',
+};
+
+// Options parsed as whole numbers
+const NUMBER_OPTIONS = ['concurrency', 'depth', 'maxNodes', 'maxPages', 'interval', 'port', 'maxAge'];
+
+// ============================================================================
+// Argument Parsing
+// ============================================================================
+
+/**
+ * Parses command line arguments into a command, positionals and options
+ *
+ * The command is the first argument if it names one. Otherwise the old
+ * single-command form is assumed: `<council> [reference]` scrapes, --list
+ * lists and --batch <file> runs a batch.
+ *
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {{command: string, positionals: Array<string>, options: Object}} Parsed arguments
+ * @throws {ScraperError} If a flag is unknown or a value is missing or not a number
+ */
+function parseArgs(args) {
+  const options = { criteria: {} };
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (VALUE_FLAGS[arg] || CRITERIA_FLAGS[arg]) {
+      const value = args[++i];
+      if (value === undefined) {
+        throw new ScraperError(`${arg} needs a value`, 'INVALID_ARGUMENTS', { flag: arg });
+      }
+      if (CRITERIA_FLAGS[arg]) {
+        options.criteria[CRITERIA_FLAGS[arg]] = value;
+      } else {
+        options[VALUE_FLAGS[arg]] = value;
+      }
+    } else if (BOOLEAN_FLAGS[arg]) {
+      options[BOOLEAN_FLAGS[arg]] = true;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new ScraperError(`Unknown option: ${arg}`, 'INVALID_ARGUMENTS', { flag: arg });
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  for (const key of NUMBER_OPTIONS) {
+    if (options[key] === undefined) continue;
+    const number = Number(options[key]);
+    if (!Number.isInteger(number)) {
+      throw new ScraperError(`--${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)} must be a whole number`, 'INVALID_ARGUMENTS', { [key]: options[key] });
+    }
+    options[key] = number;
+  }
+
+  if (options.sections) {
+    options.include = options.sections.split(',').map(section => section.trim()).filter(Boolean);
+  }
+
+  options.sinks = options.sink ? options.sink.split(',').map(sink => sink.trim()).filter(Boolean) : ['json'];
+  const unknownSinks = options.sinks.filter(sink => !SINK_TYPES.includes(sink));
+  if (unknownSinks.length > 0) {
+    throw new ScraperError(`Unknown sink: ${unknownSinks.join(', ')} (expected ${SINK_TYPES.join(', ')})`, 'INVALID_SINK', {
+      unknown: unknownSinks,
+    });
+  }
+
+  let command;
+  if (COMMANDS.includes(positionals[0])) {
+    command = positionals.shift();
+  } else if (options.list) {
+    command = 'list';
+  } else if (options.batch) {
+    command = 'batch';
+  } else {
+    command = positionals.length > 0 ? 'scrape' : null;
+  }
+
+  return { command, positionals, options };
+}
+
+/**
+ * Builds the options passed to every fetchRecord call
+ *
+ * @param {Object} options - Parsed options
+ * @returns {Object} fetchRecord options
+ */
+function fetchOptions(options) {
+  return {
+    verbose: Boolean(options.verbose),
+    caseType: options.caseType,
+    withPlanning: Boolean(options.withPlanning),
+    followProperties: Boolean(options.followProperties),
+    downloadDir: options.download ? join(outDir(options), 'documents') : null,
+    mode: options.http ? 'http' : undefined,
+    include: options.include,
+  };
+}
+
+/**
+ * Waits, or less if the signal aborts
+ *
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal] - Cuts the wait short
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done);
+  });
+}
+
+/**
+ * @param {Object} options - Parsed options
+ * @returns {string} Output directory
+ */
+function outDir(options) {
+  return options.outDir ? resolve(options.outDir) : DEFAULT_OUTPUT_DIR;
+}
+
+/**
+ * Opens the record store --db names (default: {out-dir}/records.db)
+ *
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} Record store
+ */
+function openCliStore(options) {
+  return openStore({ path: options.db ? resolve(options.db) : join(outDir(options), 'records.db') });
+}
+
+/**
+ * Opens the sinks --sink names for scraped records
+ * The store, if any, is returned too so commands can read from it.
+ *
+ * @param {Object} options - Parsed options
+ * @param {Object} [fileOptions] - createFileSink options besides outDir and raw (format, ndjsonFile)
+ * @returns {Promise<{sink: Object, store: Object|null}>} Combined sink and the store
+ */
+async function openSinks(options, fileOptions = {}) {
+  const store = options.sinks.includes('sqlite') ? await openCliStore(options) : null;
+  const sinks = options.sinks.map(type => (type === 'sqlite'
+    ? createStoreSink(store, { closeStore: true })
+    : createFileSink({ outDir: outDir(options), raw: options.raw, ...fileOptions })));
+  return { sink: combineSinks(sinks), store };
+}
+
+/**
+ * Prints where a sink saved a record
+ *
+ * @param {Object} written - Combined sink's write result
+ */
+function printSaved(written) {
+  if (written.json) console.log(`\nData saved to: ${written.json}`);
+  if (written.sqlite) console.log(`\nSnapshot ${written.sqlite.id} saved to the record store`);
+}
+
+/**
+ * Checks a command's output format against the ones it can write
+ *
+ * @param {Object} options - Parsed options
+ * @param {Array<string>} allowed - Formats the command supports
+ * @param {string} fallback - Format when none is given
+ * @returns {string} Format to write
+ * @throws {ScraperError} If the format is unknown or the command can't write it
+ */
+function outputFormat(options, allowed, fallback = 'json') {
+  const format = options.format || fallback;
+  if (!allowed.includes(format)) {
+    throw new ScraperError(
+      `This command can't write ${format} (expected one of ${allowed.join(', ')})`,
+      'INVALID_FORMAT',
+      { format, allowed }
+    );
+  }
+  return format;
+}
+
+// ============================================================================
+// Help
+// ============================================================================
+
+function showHelp() {
+  console.log(`
+Building Control Scrapers
+
+Usage: node src/cli.js <command> [arguments] [options]
+
+Commands:
+  scrape <council> [reference]  Scrape one record (default: the council's example reference)
+  search <council> [criteria]   List records from the council's search
+  batch [council] <file|->      Scrape every reference in a text, CSV or NDJSON file, or stdin
+  export [paths...]             Convert saved records (files or folders; default: the output folder)
+  diff <old> <new>              Show what changed between two saved records
+  diff <council> <reference>    Show what changed between the record's last two snapshots in the store
+  watch <council> <reference>   Re-scrape a record every --interval minutes and report changes
+  watch add <council> <ref...>  Add records to the watchlist (remove takes them off, list shows it)
+  watch run                     Re-scrape the watchlist's due records, store snapshots and report changes
+  notify <config> [changes]     Send a test notification to every channel, or replay a changes file
+  serve                         Run the REST API server (records cached in the record store)
+  list                          List available councils and their capabilities
+
+Shared options:
+  --out-dir <dir>      Where output is written (default: task2/output)
+  -f, --format <f>     Output format: ${OUTPUT_FORMATS.join(', ')} (default: json)
+  -c, --concurrency <n> Records scraped at once by batch and search --scrape (default: 2)
+  --sink <list>        Where scraped records go: json (a file each), sqlite (snapshot history), or both (default: json)
+  --db <file>          Record store for the sqlite sink, export --db and diff <council> (default: {out-dir}/records.db)
+  -v, --verbose        Enable verbose logging
+  -h, --help           Show this help message
+
+Scraping (scrape, batch, search --scrape, watch):
+  --raw                Save the scraper's own output instead of the canonical record
+  --case-type <t>      Idox councils: scottishBuildingWarrant, buildingControl or planningApplication
+  --with-planning      Idox councils: also scrape linked planning applications
+  --follow-properties  Idox councils: also scrape each linked property's case history
+  --http               Idox councils: fetch over plain HTTP, using a browser only if needed
+  -d, --download       Download each record's documents to {out-dir}/documents/
+  --sections <list>    Only scrape these sections (e.g. summary,dates,geometry - any council)
+
+scrape:
+  -g, --geometry       Fetch only the site geometry
+  --crawl              Crawl related cases (and properties) outward and save the graph
+  --depth <n>          Crawl: hops to follow from the record (default: 2)
+  --max-nodes <n>      Crawl: stop after this many records (default: 100)
+
+search:
+  --from <date>, --to <date>   Date window (YYYY-MM-DD or DD/MM/YYYY)
+  --date-type <type>           received, validated or decided
+  --type <prefix>              WNC: FP, BN, IN or CP
+  --status, --application-type, --address, --description <text>   Idox criteria
+  --max-pages <n>              Idox councils: results pages to walk (default: 50)
+  --scrape                     Scrape every record found
+
+batch:
+  --input-format <f>   text, csv or ndjson (default: from the extension or content)
+  --checkpoint <name>  Checkpoint file in the output folder (default: batch-{input name}-checkpoint.json)
+  --resume             Skip records the checkpoint already has (failed ones are retried)
+
+export:
+  --out <file>         Write to a file instead of stdout
+  --db <file>          Export the latest records from the record store; arguments are council ids
+
+diff:
+  --since <date>       Compare the stored record as of this date (YYYY-MM-DD or ISO) with the latest
+
+watch:
+  --interval <min>     Minutes between checks (default: 60)
+  --once               Check once (watch run: one cycle) and exit
+  --schedule <cron>    watch add: when to check, as minute hour day month weekday or @hourly/@daily/@weekly (default: "0 6 * * *")
+  --watchlist <file>   Watchlist file (default: {out-dir}/watchlist.json)
+  --notify <config>    Send changes to the channels in this notification config (webhook, smtp, file)
+
+serve:
+  --port <n>           Port to listen on (default: 3000)
+  --host <addr>        Address to listen on (default: 127.0.0.1)
+  --max-age <min>      Serve stored records younger than this instead of scraping (default: 360)
+  -c, --concurrency    Scrapes running at once (default: 2)
+
+Exit codes:
+  0 ok, 1 failed, 2 bad arguments, 3 record not found, 130 interrupted
+
+Examples:
+  node src/cli.js scrape wnc FP/2025/0159
+  node src/cli.js scrape edinburgh T1A67ZEWK0T00 --sections summary,dates,geometry
+  node src/cli.js scrape wnc FP/2025/0159 --crawl --depth 1
+  node src/cli.js search wnc --from 2025-07-01 --to 2025-07-31 --format csv
+  node src/cli.js batch wnc references.txt --concurrency 3 --format ndjson
+  node src/cli.js export output/ --format geojson --out sites.geojson
+  node src/cli.js batch wnc references.txt --sink json,sqlite
+  node src/cli.js export --db output/records.db wnc --format csv
+  node src/cli.js diff old/wnc-FP-2025-0159.json output/wnc-FP-2025-0159.json
+  node src/cli.js diff wnc FP/2025/0159 --since 2025-09-01
+  node src/cli.js watch wnc FP/2025/0159 --interval 30
+  node src/cli.js watch add wnc FP/2025/0159 FP/2025/0200 --schedule "0 */6 * * *"
+  node src/cli.js watch run --notify notify.json
+  node src/cli.js notify notify.json output/watch-changes.ndjson
+  node src/cli.js serve --port 8080 --max-age 60
+`);
+}
+
+/**
+ * Prints the registered councils
+ */
+function showCouncils() {
+  console.log('\nAvailable councils:\n');
+  listAdapters().forEach(adapter => {
+    console.log(`  ${adapter.id.padEnd(12)} ${adapter.name}`);
+    console.log(`  ${''.padEnd(12)} ${adapter.referenceLabel}, e.g. ${adapter.exampleReference} - ${adapter.capabilities.join(', ')}`);
+    if (adapter.caseTypes) {
+      console.log(`  ${''.padEnd(12)} case types: ${adapter.caseTypes.join(', ')}`);
+    }
+  });
+  console.log('');
+}
+
+/**
+ * Prints the command's banner
+ *
+ * @param {string} title - Banner title
+ */
+function printBanner(title) {
+  console.log(`\n${'='.repeat(50)}`);
+  console.log(title);
+  console.log('='.repeat(50));
+}
+
+// ============================================================================
+// Files
+// ============================================================================
+
+/**
+ * Reads a JSON file
+ *
+ * @param {string} path - File path
+ * @returns {Promise<*>} Parsed content
+ */
+async function readJson(path) {
+  return JSON.parse(await readFile(path, 'utf-8'));
+}
+
+/**
+ * Reads a JSON file from the output folder, or null if it isn't there
+ *
+ * @param {string} filename - File name
+ * @param {Object} options - Parsed options
+ * @returns {Promise<*|null>} Parsed content, or null
+ */
+async function readOutput(filename, options) {
+  try {
+    return await readJson(join(outDir(options), filename));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Loads every canonical record under the given files and folders
+ * Folders are read one level deep; .json files may hold a record or an
+ * array of them and .ndjson files one per line. Anything that isn't a
+ * canonical record (checkpoints, raw output, search results) is skipped.
+ *
+ * @param {Array<string>} paths - Files and folders
+ * @returns {Promise<Array<Object>>} Canonical records
+ */
+async function loadRecords(paths) {
+  const files = [];
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) {
+      const names = (await readdir(path)).filter(name => /\.(json|ndjson)$/.test(name)).sort();
+      files.push(...names.map(name => join(path, name)));
+    } else {
+      files.push(path);
+    }
+  }
+
+  const records = [];
+  for (const file of files) {
+    const text = await readFile(file, 'utf-8');
+    let values;
+    try {
+      values = extname(file) === '.ndjson'
+        ? text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+        : [JSON.parse(text)].flat();
+    } catch (error) {
+      continue;
+    }
+    records.push(...values.filter(isCanonicalRecord));
+  }
+  return records;
+}
+
+/**
+ * Loads the latest record of every reference in the record store
+ *
+ * @param {Array<string>} councils - Council ids (default: every council in the store)
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Array<Object>>} Canonical records
+ */
+async function loadStoredRecords(councils, options) {
+  const store = await openCliStore(options);
+  try {
+    const ids = councils.length > 0 ? councils.map(id => getAdapter(id).id) : (await store.listCouncils()).map(row => row.council);
+    const records = [];
+    for (const id of ids) {
+      records.push(...await store.listRecords(id));
+    }
+    return records;
+  } finally {
+    await store.close();
+  }
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+/**
+ * scrape <council> [reference]: one record, its geometry or a crawl from it
+ *
+ * @param {Array<string>} positionals - council, reference
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function scrapeCommand([councilId, reference], options) {
+  if (!councilId) {
+    throw new ScraperError('scrape needs a council (see list)', 'INVALID_ARGUMENTS');
+  }
+
+  const adapter = getAdapter(councilId);
+  const ref = reference || adapter.exampleReference;
+
+  // Only canonical records have the fields CSV and GeoJSON are built from
+  const canonical = !options.crawl && !options.geometry && !options.raw;
+  const format = outputFormat(options, canonical ? OUTPUT_FORMATS : ['json', 'ndjson']);
+
+  printBanner(`${adapter.name} Scraper`);
+  console.log(`${adapter.referenceLabel}: ${ref}`);
+  console.log('');
+
+  let data;
+  let found = true;
+
+  if (options.crawl || options.geometry) {
+    // Graphs and geometry aren't records, so they always go to a file
+    let filename;
+    if (options.crawl) {
+      data = await crawlRelatedCases(adapter.id, ref, {
+        maxDepth: options.depth,
+        maxNodes: options.maxNodes,
+        caseType: options.caseType,
+        verbose: options.verbose,
+      });
+      filename = adapter.outputFilename(ref).replace(/\.json$/, '-graph.json');
+    } else {
+      data = await invokeAdapter(adapter.id, 'getGeometry', ref, fetchOptions(options));
+      found = Boolean(data);
+      filename = adapter.outputFilename(ref).replace(/\.json$/, '-geometry.json');
+    }
+    const filepath = await writeOutput(formatOutput(data, format), formatFilename(filename, format), { outDir: outDir(options) });
+    console.log(`\nData saved to: ${filepath}`);
+  } else {
+    const raw = await invokeAdapter(adapter.id, 'fetchRecord', ref, fetchOptions(options));
+    const record = adapter.normalize(raw);
+    data = options.raw ? raw : record;
+    found = record.found;
+
+    const { sink } = await openSinks(options, { format });
+    try {
+      printSaved(await sink.write({ adapter, reference: ref, raw, record }));
+    } finally {
+      await sink.close();
+    }
+  }
+
+  const text = formatOutput(data, format);
+
+  printBanner('SCRAPED DATA:');
+  console.log(text);
+
+  if (!found) {
+    console.error(`\nNo record found for ${ref}`);
+    return EXIT_CODES.NOT_FOUND;
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Scrapes entries through runBatch, saving each record as it finishes
+ * The json sink writes a file per record, or with ndjsonFile appends every
+ * record to one file; the sqlite sink adds a snapshot to the record store.
+ *
+ * @param {Array<Object>} entries - Batch entries
+ * @param {Object} options - Parsed options
+ * @param {Object} batchOptions - council, checkpoint, onCheckpoint, ndjsonFile
+ * @returns {Promise<Object>} runBatch result
+ */
+async function scrapeEntries(entries, options, batchOptions) {
+  const { ndjsonFile = null, ...rest } = batchOptions;
+  const { sink } = await openSinks(options, { ndjsonFile });
+
+  try {
+    return await runBatch(entries, {
+      ...rest,
+      concurrency: options.concurrency,
+      fetchOptions: fetchOptions(options),
+      onResult: async (outcome, { raw, record }) => {
+        if (outcome.status === 'scraped') {
+          await sink.write({ adapter: getAdapter(outcome.council), reference: outcome.reference, raw, record });
+        }
+        const detail = outcome.status === 'failed' ? ` (${outcome.code}: ${outcome.message})` : '';
+        console.log(`  ${outcome.council} ${outcome.reference}: ${outcome.status}${detail}`);
+      },
+    });
+  } finally {
+    await sink.close();
+  }
+}
+
+/**
+ * Prints a batch summary
+ *
+ * @param {Object} summary - summarizeBatch result
+ * @param {number} skipped - Entries skipped as already done
+ */
+function printBatchSummary(summary, skipped = 0) {
+  console.log('\nBatch Summary:');
+  if (skipped > 0) console.log(`- Skipped (already done): ${skipped}`);
+  console.log(`- Scraped: ${summary.scraped}`);
+  console.log(`- Not found: ${summary.notFound}`);
+  console.log(`- Failed: ${summary.failed}`);
+  Object.entries(summary.errorCodes).forEach(([code, count]) => console.log(`    ${code}: ${count}`));
+}
+
+/**
+ * search <council>: lists records, and with --scrape scrapes each one
+ *
+ * @param {Array<string>} positionals - council
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function searchCommand([councilId], options) {
+  if (!councilId) {
+    throw new ScraperError('search needs a council (see list)', 'INVALID_ARGUMENTS');
+  }
+
+  const adapter = getAdapter(councilId);
+  const format = outputFormat(options, ['json', 'ndjson', 'csv']);
+  if (options.maxPages !== undefined && options.maxPages < 1) {
+    throw new ScraperError('--max-pages must be at least 1', 'INVALID_ARGUMENTS', { maxPages: options.maxPages });
+  }
+
+  printBanner(`${adapter.name} Search`);
+  console.log(`Criteria: ${JSON.stringify(options.criteria)}`);
+  console.log('');
+
+  const search = await invokeAdapter(adapter.id, 'search', options.criteria, {
+    verbose: options.verbose,
+    caseType: options.caseType,
+    ...(options.maxPages !== undefined ? { maxPages: options.maxPages } : {}),
+  });
+
+  const stamp = search.searchedAt.replace(/[:.]/g, '-');
+  const text = formatOutput(format === 'json' ? search : search.results, format);
+  const filepath = await writeOutput(text, `${adapter.id}-search-${stamp}.${format}`, { outDir: outDir(options) });
+
+  console.log(`Found ${search.references.length} of ${search.totalResults} records`);
+  if (search.truncated) {
+    console.log('Stopped at the results page limit - search shorter date windows (or raise --max-pages on Idox councils) for the rest');
+  }
+  console.log(`Search results saved to: ${filepath}`);
+  search.references.forEach(reference => console.log(`  ${reference}`));
+
+  if (!options.scrape || search.references.length === 0) return EXIT_CODES.OK;
+
+  console.log('');
+  const { summary } = await scrapeEntries(search.references.map(reference => ({ reference })), options, {
+    council: adapter.id,
+  });
+  printBatchSummary(summary);
+  return summary.failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+}
+
+/**
+ * batch [council] <file|->: scrapes every entry with a checkpoint after each
+ *
+ * @param {Array<string>} positionals - council and/or input file
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function batchCommand(positionals, options) {
+  // --batch <file> [council] is the older spelling
+  const [councilId, source] = options.batch
+    ? [positionals[0], options.batch]
+    : positionals.length > 1 ? positionals : [undefined, positionals[0]];
+
+  if (!source) {
+    throw new ScraperError('batch needs an input file, or - for stdin', 'INVALID_ARGUMENTS');
+  }
+
+  const format = outputFormat(options, ['json', 'ndjson']);
+  const entries = await readBatchInput(source, { format: options.inputFormat });
+  const inputName = source === '-' ? 'stdin' : basename(source, extname(source));
+  const checkpointFile = options.checkpoint || `batch-${inputName}-checkpoint.json`;
+
+  let checkpoint = null;
+  if (options.resume) {
+    checkpoint = await readOutput(checkpointFile, options);
+    console.log(checkpoint ? `Resuming from ${checkpointFile}` : `No checkpoint in ${checkpointFile}, starting fresh`);
+  }
+
+  printBanner('Batch');
+  console.log(`${entries.length} records from ${source === '-' ? 'stdin' : source}`);
+  console.log('');
+
+  const writeCheckpoint = (current) => writeOutput(
+    formatOutput({ ...current, summary: summarizeBatch(current) }, 'json'),
+    checkpointFile,
+    { outDir: outDir(options) }
+  );
+
+  const { checkpoint: finalCheckpoint, skipped, summary } = await scrapeEntries(entries, options, {
+    council: councilId,
+    checkpoint: checkpoint || undefined,
+    // The summary is rewritten with every checkpoint, so the file shows progress mid-run
+    onCheckpoint: writeCheckpoint,
+    ndjsonFile: format === 'ndjson' ? `batch-${inputName}.ndjson` : null,
+  });
+
+  const checkpointPath = await writeCheckpoint(finalCheckpoint);
+  printBatchSummary(summary, skipped);
+  console.log(`Checkpoint saved to: ${checkpointPath}`);
+
+  if (summary.failed > 0) {
+    console.error('Re-run with --resume to retry the failures.');
+    return EXIT_CODES.FAILED;
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * export [paths...]: converts saved canonical records to another format
+ * With --db the arguments are council ids instead, and the latest record of
+ * each reference comes from the record store.
+ *
+ * @param {Array<string>} paths - Files and folders (default: the output folder), or council ids with --db
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function exportCommand(paths, options) {
+  const format = outputFormat(options, OUTPUT_FORMATS);
+  const records = options.db ? await loadStoredRecords(paths, options) : await loadRecords(paths.length > 0 ? paths : [outDir(options)]);
+
+  if (records.length === 0) {
+    console.error('No canonical records found to export');
+    return EXIT_CODES.NOT_FOUND;
+  }
+
+  const text = formatOutput(records, format);
+  if (options.out) {
+    const filepath = await writeOutput(text, basename(options.out), { outDir: resolve(options.out, '..') });
+    console.error(`Exported ${records.length} records to ${filepath}`);
+  } else {
+    process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Prints change events, one per line
+ *
+ * @param {Array<Object>} events - detectChanges result
+ */
+function printEvents(events) {
+  events.forEach(event => console.log(`  ${describeEvent(event)}`));
+}
+
+/**
+ * Picks the two snapshots diff compares from the record store
+ * The newest against the one before it, or with --since against the record
+ * as it stood on that date.
+ *
+ * @param {string} councilId - Council id
+ * @param {string} reference - Record reference
+ * @param {Object} options - Parsed options
+ * @returns {Promise<{before: Object|null, after: Object|null}>} Older and newer records (null when missing)
+ */
+async function loadStoredPair(councilId, reference, options) {
+  const store = await openCliStore(options);
+  try {
+    if (options.since) {
+      const [before, after] = await Promise.all([
+        store.recordAt(councilId, reference, options.since),
+        store.latest(councilId, reference),
+      ]);
+      return { before, after };
+    }
+    const history = await store.history(councilId, reference);
+    return {
+      before: history.at(-2)?.record ?? null,
+      after: history.at(-1)?.record ?? null,
+    };
+  } finally {
+    await store.close();
+  }
+}
+
+/**
+ * diff <old> <new> | diff <council> <reference>: what changed between two scrapes
+ * Compares two saved record files, or a record's snapshots in the record
+ * store (the last two, or --since a date against the latest). Prints one
+ * change event per line; --format json writes the whole diff, ndjson and
+ * csv the events.
+ *
+ * @param {Array<string>} positionals - Older and newer record files, or council and reference
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function diffCommand([first, second], options) {
+  if (!first || !second) {
+    throw new ScraperError('diff needs two record files, or a council and a reference', 'INVALID_ARGUMENTS');
+  }
+
+  const fromStore = listAdapters().some(adapter => adapter.id === first.toLowerCase());
+  let before;
+  let after;
+  if (fromStore) {
+    const councilId = getAdapter(first).id;
+    ({ before, after } = await loadStoredPair(councilId, second, options));
+    if (!after) {
+      console.error(`No snapshots of ${councilId} ${second} in the record store`);
+      return EXIT_CODES.NOT_FOUND;
+    }
+    if (!before) {
+      console.error(options.since
+        ? `No snapshot of ${councilId} ${second} on or before ${options.since}`
+        : `Only one snapshot of ${councilId} ${second} - nothing to compare yet`);
+      return EXIT_CODES.NOT_FOUND;
+    }
+  } else {
+    if (options.since) {
+      throw new ScraperError('--since needs a council and a reference, not files', 'INVALID_ARGUMENTS');
+    }
+    [before, after] = await Promise.all([readJson(first), readJson(second)]);
+    if (!isCanonicalRecord(before) || !isCanonicalRecord(after)) {
+      throw new ScraperError('diff compares canonical records (saved without --raw)', 'INVALID_DIFF');
+    }
+  }
+
+  const diff = diffSnapshots(before, after);
+  if (options.format) {
+    const format = outputFormat(options, ['json', 'ndjson', 'csv']);
+    process.stdout.write(formatOutput(format === 'json' ? diff : diff.events, format));
+    return EXIT_CODES.OK;
+  }
+
+  const span = diff.from && diff.to ? ` (${diff.from} -> ${diff.to})` : '';
+  if (diff.events.length === 0) {
+    console.log(`No changes${span}`);
+  } else {
+    console.log(`${diff.events.length} changes${span}:`);
+    printEvents(diff.events);
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * @param {Object} options - Parsed options
+ * @returns {string} Watchlist file (default: {out-dir}/watchlist.json)
+ */
+function watchlistPath(options) {
+  return options.watchlist ? resolve(options.watchlist) : join(outDir(options), 'watchlist.json');
+}
+
+/**
+ * watch add <council> <reference...>: puts records on the watchlist
+ *
+ * @param {Array<string>} positionals - council, references
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function watchAddCommand([councilId, ...references], options) {
+  if (!councilId || references.length === 0) {
+    throw new ScraperError('watch add needs a council and at least one reference', 'INVALID_ARGUMENTS');
+  }
+
+  const path = watchlistPath(options);
+  const watchlist = await loadWatchlist(path);
+  for (const reference of references) {
+    const entry = addToWatchlist(watchlist, { council: councilId, reference, caseType: options.caseType, schedule: options.schedule });
+    console.log(`Watching ${entry.council} ${entry.reference} (${entry.schedule})`);
+  }
+  await saveWatchlist(watchlist, path);
+  console.log(`\n${watchlist.entries.length} records in ${path}`);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * watch remove <council> <reference...>: takes records off the watchlist
+ *
+ * @param {Array<string>} positionals - council, references
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code; NOT_FOUND if none were on it
+ */
+async function watchRemoveCommand([councilId, ...references], options) {
+  if (!councilId || references.length === 0) {
+    throw new ScraperError('watch remove needs a council and at least one reference', 'INVALID_ARGUMENTS');
+  }
+
+  const path = watchlistPath(options);
+  const watchlist = await loadWatchlist(path);
+  const removed = references.filter(reference => removeFromWatchlist(watchlist, councilId, reference));
+  references.forEach(reference => console.log(`${removed.includes(reference) ? 'Removed' : 'Not watched'}: ${reference}`));
+  await saveWatchlist(watchlist, path);
+  return removed.length > 0 ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND;
+}
+
+/**
+ * watch list: prints the watchlist, or with --format the entries as data
+ *
+ * @param {Array<string>} positionals - Unused
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function watchListCommand(positionals, options) {
+  const path = watchlistPath(options);
+  const { entries } = await loadWatchlist(path);
+  if (options.format) {
+    process.stdout.write(formatOutput(entries, outputFormat(options, ['json', 'ndjson', 'csv'])));
+    return EXIT_CODES.OK;
+  }
+
+  if (entries.length === 0) {
+    console.log(`Nothing watched yet (${path})`);
+    return EXIT_CODES.OK;
+  }
+  console.log(`${entries.length} records in ${path}:\n`);
+  for (const entry of entries) {
+    const state = [entry.lastStatus || 'not checked yet'];
+    if (entry.backoff > 0) state.push(`backed off x${entry.backoff}`);
+    if (entry.failures > 0) state.push(`${entry.failures} failed (${entry.lastError})`);
+    console.log(`  ${`${entry.council} ${entry.reference}`.padEnd(28)} ${entry.schedule.padEnd(16)} next ${entry.nextCheckAt}  ${state.join(', ')}`);
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Loads the notifier --notify names, if any
+ *
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object|null>} Notifier, or null without --notify
+ */
+async function openCliNotifier(options) {
+  return options.notify ? loadNotifier(resolve(options.notify)) : null;
+}
+
+/**
+ * Prints where notifications went, and why any failed
+ *
+ * @param {Array<Object>} deliveries - Notifier results
+ */
+function printDeliveries(deliveries) {
+  for (const delivery of deliveries) {
+    if (delivery.ok) {
+      console.log(`  notified ${delivery.channel} (${delivery.events} events)`);
+    } else {
+      console.error(`  notify ${delivery.channel} failed (${delivery.error.code || 'NOTIFY_FAILED'}: ${delivery.error.message})`);
+    }
+  }
+}
+
+/**
+ * Prints a record's changes, appends its events to a changes file and
+ * passes them to the notifier
+ *
+ * @param {Object} change - WatchChange: council, reference, applicationType, checkedAt, events
+ * @param {Object} options - Parsed options
+ * @param {string} changesFile - NDJSON file in the output folder
+ * @param {Object|null} notifier - Notifier from --notify
+ */
+async function reportWatchChange(change, options, changesFile, notifier) {
+  const { events, ...about } = change;
+  console.log(`[${change.checkedAt}] ${change.council} ${change.reference}: ${events.length} changes`);
+  printEvents(events);
+  const lines = events.map(event => formatOutput({ ...about, ...event }, 'ndjson'));
+  await writeOutput(lines.join(''), changesFile, { outDir: outDir(options), append: true });
+
+  if (notifier) {
+    printDeliveries(await notifier.notify(change));
+  }
+}
+
+/**
+ * watch run: re-scrapes the watchlist's due records, cycle after cycle
+ * Every record checked is saved as a snapshot in the record store (--db);
+ * changes are printed and appended to {out-dir}/watch-changes.ndjson. With
+ * --once, runs a single cycle and exits.
+ *
+ * @param {Array<string>} positionals - Unused
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code (INTERRUPTED once stopped, unless --once)
+ */
+async function watchRunCommand(positionals, options) {
+  const path = watchlistPath(options);
+  const notifier = await openCliNotifier(options);
+  const store = await openCliStore(options);
+  const cycleOptions = {
+    store,
+    signal: options.signal,
+    concurrency: options.concurrency ?? BATCH_DEFAULTS.concurrency,
+    fetchOptions: fetchOptions(options),
+    onChange: (change) => reportWatchChange(change, options, 'watch-changes.ndjson', notifier),
+  };
+  const printSummary = (summary, due) => {
+    const next = due ? `; next due ${due.toISOString()}` : '';
+    console.log(`[${new Date().toISOString()}] checked ${summary.checked}, changed ${summary.changed}, failed ${summary.failed}${next}`);
+  };
+
+  printBanner(`Watchlist ${path}`);
+
+  if (options.once) {
+    try {
+      const watchlist = await loadWatchlist(path);
+      const summary = await runWatchCycle(watchlist, cycleOptions);
+      await saveWatchlist(watchlist, path);
+      printSummary(summary, nextDue(watchlist));
+      return summary.failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+    } finally {
+      await store.close();
+      await notifier?.close();
+    }
+  }
+
+  console.log('Ctrl+C to stop\n');
+  try {
+    // Returns once the signal aborts and the cycle in hand has been saved
+    await runWatchDaemon({
+      ...cycleOptions,
+      path,
+      onCycle: printSummary,
+      onError: (error) => console.error(`[${new Date().toISOString()}] cycle failed (${error.code || 'SCRAPE_FAILED'}: ${error.message})`),
+    });
+  } finally {
+    await store.close();
+    await notifier?.close();
+  }
+  return EXIT_CODES.INTERRUPTED;
+}
+
+// watch subcommands that work on the watchlist rather than one record
+const WATCHLIST_HANDLERS = {
+  add: watchAddCommand,
+  remove: watchRemoveCommand,
+  list: watchListCommand,
+  run: watchRunCommand,
+};
+
+/**
+ * watch <council> <reference>: re-scrapes on an interval and reports changes
+ * Each check compares the new record with the one saved last time (the
+ * store's latest snapshot with --sink sqlite), prints what changed, appends
+ * each change event to {file}-changes.ndjson and saves the new record to the sinks.
+ * watch add|remove|list|run work on the watchlist instead.
+ *
+ * @param {Array<string>} positionals - council, reference (or a watchlist subcommand and its arguments)
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code (INTERRUPTED once stopped, unless --once)
+ */
+async function watchCommand(positionals, options) {
+  if (WATCHLIST_HANDLERS[positionals[0]]) {
+    return WATCHLIST_HANDLERS[positionals[0]](positionals.slice(1), options);
+  }
+
+  const [councilId, reference] = positionals;
+  if (!councilId || !reference) {
+    throw new ScraperError('watch needs a council and a reference, or add, remove, list or run', 'INVALID_ARGUMENTS');
+  }
+
+  const adapter = getAdapter(councilId);
+  const interval = options.interval ?? 60;
+  if (interval < 1) {
+    throw new ScraperError('--interval must be at least 1 minute', 'INVALID_ARGUMENTS', { interval });
+  }
+
+  const filename = adapter.outputFilename(reference);
+  const changesFile = filename.replace(/\.json$/, '-changes.ndjson');
+
+  const notifier = await openCliNotifier(options);
+  // Changes are always worked out between canonical records, so --raw is ignored
+  const { sink, store } = await openSinks(options, { raw: false });
+
+  const check = async () => {
+    const raw = await invokeAdapter(adapter.id, 'fetchRecord', reference, { ...fetchOptions(options), signal: options.signal });
+    const record = adapter.normalize(raw);
+    const previous = store ? await store.latest(adapter.id, reference) : await readOutput(filename, options);
+    const events = isCanonicalRecord(previous) ? detectChanges(previous, record) : null;
+    const checkedAt = new Date().toISOString();
+
+    if (events === null) {
+      console.log(`[${checkedAt}] ${reference}: first check, saved`);
+    } else if (events.length === 0) {
+      console.log(`[${checkedAt}] ${reference}: no changes`);
+    } else {
+      const change = { council: adapter.id, reference, applicationType: record.type?.code || null, checkedAt, events };
+      await reportWatchChange(change, options, changesFile, notifier);
+    }
+
+    await sink.write({ adapter, reference, raw, record });
+    return record;
+  };
+
+  printBanner(`Watching ${adapter.name} ${reference}`);
+
+  if (options.once) {
+    try {
+      const record = await check();
+      return record.found ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND;
+    } finally {
+      await sink.close();
+      await notifier?.close();
+    }
+  }
+
+  console.log(`Every ${interval} minutes - Ctrl+C to stop\n`);
+  try {
+    while (!options.signal?.aborted) {
+      try {
+        await check();
+      } catch (error) {
+        if (options.signal?.aborted) break;
+        console.error(`[${new Date().toISOString()}] ${reference}: check failed (${error.code || 'SCRAPE_FAILED'}: ${error.message})`);
+      }
+      await sleep(interval * 60 * 1000, options.signal);
+    }
+  } finally {
+    await sink.close();
+    await notifier?.close();
+  }
+  return EXIT_CODES.INTERRUPTED;
+}
+
+/**
+ * Groups the lines of a changes file back into one change per check
+ *
+ * @param {string} text - NDJSON from watch (one event per line)
+ * @returns {Array<Object>} Changes: council, reference, applicationType, checkedAt, events
+ */
+function parseChangeLog(text) {
+  const changes = new Map();
+  for (const line of text.split('\n').filter(line => line.trim())) {
+    const { council, reference, applicationType = null, checkedAt, ...event } = JSON.parse(line);
+    const key = `${council}:${reference}:${checkedAt}`;
+    if (!changes.has(key)) changes.set(key, { council, reference, applicationType, checkedAt, events: [] });
+    changes.get(key).events.push(event);
+  }
+  return [...changes.values()];
+}
+
+/**
+ * notify <config> [changes.ndjson]: sends changes through a notifier config
+ * With a changes file (from watch), replays its changes through the rules;
+ * without one, sends a test notification to every channel.
+ *
+ * @param {Array<string>} positionals - Config file, changes file
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code; FAILED if any delivery failed
+ */
+async function notifyCommand([configPath, changesPath], options) {
+  if (!configPath) {
+    throw new ScraperError('notify needs a notification config file', 'INVALID_ARGUMENTS');
+  }
+
+  const notifier = await openCliNotifier({ ...options, notify: configPath });
+  let failed = 0;
+  try {
+    if (!changesPath) {
+      printBanner(`Testing ${notifier.channels.length} channels`);
+      const deliveries = await notifier.test();
+      printDeliveries(deliveries);
+      failed = deliveries.filter(delivery => !delivery.ok).length;
+    } else {
+      const changes = parseChangeLog(await readFile(changesPath, 'utf-8'));
+      printBanner(`Replaying ${changes.length} changes from ${basename(changesPath)}`);
+      for (const change of changes) {
+        console.log(`${change.council} ${change.reference} (${change.checkedAt})`);
+        const deliveries = await notifier.notify(change);
+        if (deliveries.length === 0) console.log('  no rule matched');
+        printDeliveries(deliveries);
+        failed += deliveries.filter(delivery => !delivery.ok).length;
+      }
+    }
+  } finally {
+    await notifier.close();
+  }
+  return failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+}
+
+/**
+ * serve: runs the REST API server until stopped
+ * Records are cached in the record store (--db) and re-scraped once older
+ * than --max-age minutes.
+ *
+ * @param {Array<string>} positionals - Unused
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code (INTERRUPTED once stopped)
+ */
+async function serveCommand(positionals, options) {
+  const store = await openCliStore(options);
+  const api = createApiServer({
+    store,
+    maxAge: options.maxAge !== undefined ? options.maxAge * 60 * 1000 : undefined,
+    concurrency: options.concurrency ?? QUEUE_DEFAULTS.concurrency,
+    fetchOptions: fetchOptions(options),
+    onRequest: ({ method, path, status, durationMs }) => {
+      if (options.verbose) console.log(`${new Date().toISOString()} ${method} ${path} ${status} ${durationMs}ms`);
+    },
+  });
+
+  const { address, port } = await api.listen(options.port ?? SERVER_DEFAULTS.port, options.host || SERVER_DEFAULTS.host);
+  printBanner(`Building Control API on http://${address}:${port}`);
+  console.log(`Record cache: ${store.path}`);
+  console.log('Ctrl+C to stop\n');
+
+  try {
+    await new Promise(resolve => {
+      if (options.signal?.aborted) return resolve();
+      options.signal?.addEventListener('abort', resolve, { once: true });
+    });
+  } finally {
+    await api.close();
+    await store.close();
+  }
+  return EXIT_CODES.INTERRUPTED;
+}
+
+const COMMAND_HANDLERS = {
+  scrape: scrapeCommand,
+  search: searchCommand,
+  batch: batchCommand,
+  export: exportCommand,
+  diff: diffCommand,
+  watch: watchCommand,
+  notify: notifyCommand,
+  serve: serveCommand,
+  list: async () => {
+    showCouncils();
+    return EXIT_CODES.OK;
+  },
+};
+
+// ============================================================================
+// CLI Execution
+// ============================================================================
+
+/**
+ * Maps an error to an exit code
+ *
+ * @param {Error} error - Error a command threw
+ * @returns {number} Exit code
+ */
+function exitCodeFor(error) {
+  return error instanceof ScraperError && USAGE_ERROR_CODES.includes(error.code)
+    ? EXIT_CODES.USAGE
+    : EXIT_CODES.FAILED;
+}
+
+/**
+ * Main execution function
+ *
+ * @param {Array<string>} [args] - Arguments (default: process.argv after the script)
+ */
+async function main(args = process.argv.slice(2)) {
+  // Graceful commands get options.signal, aborted on the first Ctrl+C or
+  // SIGTERM; a second one exits straight away
+  const controller = new AbortController();
+  let command = null;
+  const stop = () => {
+    if (controller.signal.aborted || !GRACEFUL_COMMANDS.includes(command)) {
+      console.error('\nInterrupted');
+      process.exit(EXIT_CODES.INTERRUPTED);
+    }
+    console.error('\nStopping...');
+    controller.abort(new ScraperError('Interrupted', 'ABORTED'));
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  const { positionals, options } = parsed;
+  command = parsed.command;
+  if (options.help || !command) {
+    showHelp();
+    process.exit(options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE);
+  }
+
+  try {
+    process.exit(await COMMAND_HANDLERS[command](positionals, { ...options, signal: controller.signal }));
+  } catch (error) {
+    console.error(`\n${command} failed!`);
+    console.error(`Error: ${error.message}`);
+
+    if (error instanceof ScraperError) {
+      console.error(`Code: ${error.code}`);
+      console.error('Details:', JSON.stringify(error.details, null, 2));
+    }
+
+    process.exit(exitCodeFor(error));
+  }
+}
+
+export { COMMANDS, EXIT_CODES, parseArgs, main };
+
+// Run if called directly (not when imported)
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,309 @@
+/**
+ * Related-Case Crawler
+ *
+ * Crawls outward from one record through its related cases and, where the
+ * council publishes them, the property records it sits on. Each record is
+ * fetched through its council's adapter and normalized, so the crawl works
+ * the same for every council: WNC follows site history, Idox councils follow
+ * the Related Cases tab and property pages.
+ *
+ * The result is a graph: case and property nodes joined by typed edges.
+ *
+ * @module crawler
+ */
+
+import { getAdapter, supports, invokeAdapter } from './adapters/index.js';
+import { ScraperError } from './errors.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const CRAWL_DEFAULTS = {
+  maxDepth: 2,
+  maxNodes: 100,
+  delay: 500,
+};
+
+/**
+ * Edge types
+ * related   - case to a case listed as related to it
+ * locatedAt - case to a property it is recorded against
+ * hasCase   - property to a case recorded against it
+ */
+const EDGE_TYPES = ['related', 'locatedAt', 'hasCase'];
+
+// ============================================================================
+// Graph Building
+// ============================================================================
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} id - council:caseType:identifier, or council:property:keyVal
+ * @property {string} kind - 'case' or 'property'
+ * @property {string} council - Council id
+ * @property {string|null} reference - Case reference, or UPRN for properties
+ * @property {string|null} type - Case type
+ * @property {string|null} description - Description or address
+ * @property {string|null} status - Case status
+ * @property {string|null} url - Page the node was found at
+ * @property {number} depth - Hops from the root
+ * @property {boolean} crawled - Whether the node's own page was fetched
+ * @property {boolean} [found] - For crawled cases, false if the council has no such record
+ * @property {{code: string, message: string}} [error] - Why fetching it failed
+ */
+
+/**
+ * @typedef {Object} CaseGraph
+ * @property {string} root - Id of the starting node
+ * @property {string} council - Council id
+ * @property {string} crawledAt - ISO timestamp
+ * @property {number} maxDepth - Depth limit the crawl ran with
+ * @property {boolean} complete - False if maxNodes cut the crawl short
+ * @property {Array<GraphNode>} nodes - Cases and properties
+ * @property {Array<{from: string, to: string, type: string}>} edges - Typed edges
+ */
+
+/**
+ * Builds the id of a case node
+ *
+ * @param {import('./adapters/adapter.js').CouncilAdapter} adapter - Council adapter
+ * @param {string|undefined} caseType - Case type, where the council has several
+ * @param {string} identifier - Identifier fetchRecord accepts
+ * @returns {string} Node id
+ */
+function caseNodeId(adapter, caseType, identifier) {
+  return `${adapter.id}:${caseType || adapter.defaultCaseType || 'case'}:${identifier}`;
+}
+
+/**
+ * Adds a node unless one with the same id exists, and returns the stored node
+ *
+ * @param {Map<string, GraphNode>} nodes - Nodes by id
+ * @param {GraphNode} node - Node to add
+ * @returns {GraphNode} Stored node
+ */
+function addNode(nodes, node) {
+  if (!nodes.has(node.id)) nodes.set(node.id, node);
+  return nodes.get(node.id);
+}
+
+/**
+ * Adds an edge unless the same edge exists
+ *
+ * @param {Map<string, Object>} edges - Edges by key
+ * @param {string} from - Source node id
+ * @param {string} to - Target node id
+ * @param {string} type - One of EDGE_TYPES
+ */
+function addEdge(edges, from, to, type) {
+  const key = `${from}>${to}:${type}`;
+  if (!edges.has(key)) edges.set(key, { from, to, type });
+}
+
+/**
+ * Turns a related case into a node and, if the adapter can fetch it, a queue entry
+ *
+ * @param {import('./adapters/adapter.js').CouncilAdapter} adapter - Council adapter
+ * @param {Object} related - relatedCases entry (reference, type, description, status, keyVal, url)
+ * @param {number} depth - Depth of the new node
+ * @returns {{node: GraphNode, target: Object|null}} Node and fetch target
+ */
+function relatedCaseNode(adapter, related, depth) {
+  const target = adapter.linkTarget(related);
+  const id = target
+    ? caseNodeId(adapter, target.options.caseType, target.reference)
+    : caseNodeId(adapter, related.type, related.keyVal || related.reference);
+
+  return {
+    node: {
+      id,
+      kind: 'case',
+      council: adapter.id,
+      reference: related.reference || null,
+      type: related.type || null,
+      description: related.description || null,
+      status: related.status || null,
+      url: related.url || null,
+      depth,
+      crawled: false,
+    },
+    target: target ? { id, kind: 'case', reference: target.reference, options: target.options, depth } : null,
+  };
+}
+
+// ============================================================================
+// Crawling
+// ============================================================================
+
+/**
+ * Crawls the related-case graph outward from one record
+ *
+ * Breadth first: every case at depth n is fetched before any at depth n + 1.
+ * Nodes beyond maxDepth are kept, unfetched, so the graph shows where the
+ * crawl stopped. A failed fetch is recorded on its node and the crawl carries on.
+ *
+ * @param {string} councilId - Council id (see listAdapters)
+ * @param {string} reference - Starting record's identifier
+ * @param {Object} [options] - Crawl options
+ * @param {number} [options.maxDepth=2] - Hops to follow from the root (a property is a hop)
+ * @param {number} [options.maxNodes=100] - Stop after fetching this many nodes
+ * @param {number} [options.delay=500] - Milliseconds between fetches
+ * @param {string} [options.caseType] - Idox councils: the root's case type
+ * @param {AbortSignal} [options.signal] - Stops the crawl, returning the graph so far
+ * @param {boolean} [options.verbose=false] - Enable verbose logging
+ * @returns {Promise<CaseGraph>} The crawled graph
+ * @throws {ScraperError} If the council is unknown, the limits are invalid or the root cannot be fetched
+ */
+async function crawlRelatedCases(councilId, reference, options = {}) {
+  const {
+    maxDepth = CRAWL_DEFAULTS.maxDepth,
+    maxNodes = CRAWL_DEFAULTS.maxNodes,
+    delay = CRAWL_DEFAULTS.delay,
+    caseType,
+    signal = null,
+    verbose = false,
+  } = options;
+
+  if (!Number.isInteger(maxDepth) || maxDepth < 0 || !Number.isInteger(maxNodes) || maxNodes < 1) {
+    throw new ScraperError(
+      'maxDepth must be a whole number of at least 0 and maxNodes at least 1',
+      'INVALID_CRAWL',
+      { maxDepth, maxNodes }
+    );
+  }
+
+  const log = (msg) => verbose && console.log(msg);
+  const adapter = getAdapter(councilId);
+  const followProperties = supports(adapter, 'fetchProperty');
+
+  const nodes = new Map();
+  const edges = new Map();
+  const visited = new Set();
+
+  const rootId = caseNodeId(adapter, caseType, reference);
+  addNode(nodes, {
+    id: rootId,
+    kind: 'case',
+    council: adapter.id,
+    reference,
+    type: caseType || adapter.defaultCaseType || null,
+    description: null,
+    status: null,
+    url: null,
+    depth: 0,
+    crawled: false,
+  });
+
+  const queue = [{ id: rootId, kind: 'case', reference, options: caseType ? { caseType } : {}, depth: 0 }];
+  let complete = true;
+
+  while (queue.length > 0) {
+    if (signal?.aborted) {
+      complete = false;
+      break;
+    }
+    const item = queue.shift();
+    if (visited.has(item.id)) continue;
+
+    if (visited.size >= maxNodes) {
+      complete = false;
+      log(`Stopping at ${maxNodes} nodes`);
+      break;
+    }
+    visited.add(item.id);
+
+    if (visited.size > 1 && delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    const node = nodes.get(item.id);
+    const expand = item.depth < maxDepth;
+    log(`[depth ${item.depth}] ${item.id}`);
+
+    try {
+      if (item.kind === 'case') {
+        const raw = await invokeAdapter(adapter.id, 'fetchRecord', item.reference, { ...item.options, signal, verbose });
+        const record = adapter.normalize(raw);
+        Object.assign(node, {
+          reference: record.reference.primary || node.reference,
+          type: item.options.caseType || adapter.defaultCaseType || record.type.label || node.type,
+          description: record.description || node.description,
+          status: record.status || node.status,
+          url: record.source.url || node.url,
+          crawled: true,
+          found: record.found,
+        });
+
+        if (!record.found || !expand) continue;
+
+        for (const related of record.relatedCases) {
+          const { node: relatedNode, target } = relatedCaseNode(adapter, related, item.depth + 1);
+          addNode(nodes, relatedNode);
+          addEdge(edges, node.id, relatedNode.id, 'related');
+          if (target && !visited.has(target.id)) queue.push(target);
+        }
+
+        for (const property of record.site.properties) {
+          if (!property.keyVal) continue;
+          const id = `${adapter.id}:property:${property.keyVal}`;
+          addNode(nodes, {
+            id,
+            kind: 'property',
+            council: adapter.id,
+            reference: property.uprn || null,
+            type: null,
+            description: property.address || null,
+            status: null,
+            url: property.url || null,
+            depth: item.depth + 1,
+            crawled: false,
+          });
+          addEdge(edges, node.id, id, 'locatedAt');
+          if (followProperties && !visited.has(id)) {
+            queue.push({ id, kind: 'property', reference: property.keyVal, options: {}, depth: item.depth + 1 });
+          }
+        }
+      } else {
+        const property = await invokeAdapter(adapter.id, 'fetchProperty', item.reference, { signal, verbose });
+        Object.assign(node, {
+          reference: property.uprn || node.reference,
+          description: property.address || node.description,
+          crawled: true,
+        });
+
+        if (!expand) continue;
+
+        for (const entry of property.cases) {
+          const { node: caseNode, target } = relatedCaseNode(adapter, { ...entry, type: entry.caseType }, item.depth + 1);
+          addNode(nodes, caseNode);
+          addEdge(edges, node.id, caseNode.id, 'hasCase');
+          if (target && !visited.has(target.id)) queue.push(target);
+        }
+      }
+    } catch (error) {
+      // The root is the one fetch the graph can't do without
+      if (item.id === rootId) throw error;
+      // Stopped mid-fetch: the node stays uncrawled
+      if (signal?.aborted) continue;
+      node.error = { code: error.code || 'SCRAPE_FAILED', message: error.message };
+      log(`  Failed: ${error.message}`);
+    }
+  }
+
+  return {
+    root: rootId,
+    council: adapter.id,
+    crawledAt: new Date().toISOString(),
+    maxDepth,
+    complete,
+    nodes: [...nodes.values()],
+    edges: [...edges.values()],
+  };
+}
+
+export {
+  CRAWL_DEFAULTS,
+  EDGE_TYPES,
+  crawlRelatedCases,
+};
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crawlRelatedCases } from './crawler.js';
+import { ScraperError } from './errors.js';
+import { registerStubCouncil } from './testing/stub-council.js';
+
+// A -> B -> D -> F, A -> C -> BROKEN, and B links back to A
+const RELATED = {
+  A: ['B', 'C'],
+  B: ['A', 'D'],
+  C: ['BROKEN'],
+  D: ['F'],
+  F: [],
+};
+
+const { calls } = registerStubCouncil((reference) => {
+  if (reference === 'BROKEN') throw new ScraperError('Portal down', 'FETCH_FAILED');
+  return { relatedCases: RELATED[reference].map(related => ({ reference: related })) };
+});
+
+const crawl = async (options) => {
+  calls.length = 0;
+  const graph = await crawlRelatedCases('stub', 'A', { delay: 0, ...options });
+  return { graph, fetched: calls.map(call => call.reference) };
+};
+
+const node = (graph, reference) => graph.nodes.find(n => n.id === `stub:case:${reference}`);
+
+test('crawlRelatedCases fetches each case once, however many cycles lead back to it', async () => {
+  const { graph, fetched } = await crawl({ maxDepth: 10 });
+  assert.deepEqual(fetched, ['A', 'B', 'C', 'D', 'BROKEN', 'F']);
+  assert.equal(graph.complete, true);
+  assert.equal(graph.nodes.length, 6);
+  assert.ok(graph.edges.some(edge => edge.from === 'stub:case:B' && edge.to === 'stub:case:A' && edge.type === 'related'));
+  assert.deepEqual(graph.nodes.map(n => [n.reference, n.depth]), [['A', 0], ['B', 1], ['C', 1], ['D', 2], ['BROKEN', 2], ['F', 3]]);
+});
+
+test('crawlRelatedCases stops following links at maxDepth', async () => {
+  const { graph, fetched } = await crawl({ maxDepth: 1 });
+  assert.deepEqual(fetched, ['A', 'B', 'C']);
+  assert.equal(node(graph, 'D'), undefined);
+
+  const { graph: rootOnly, fetched: rootFetched } = await crawl({ maxDepth: 0 });
+  assert.deepEqual(rootFetched, ['A']);
+  assert.deepEqual(rootOnly.nodes.map(n => n.id), ['stub:case:A']);
+});
+
+test('crawlRelatedCases stops at maxNodes and marks the graph incomplete', async () => {
+  const { graph, fetched } = await crawl({ maxNodes: 2 });
+  assert.deepEqual(fetched, ['A', 'B']);
+  assert.equal(graph.complete, false);
+  assert.equal(node(graph, 'C').crawled, false);
+});
+
+test('crawlRelatedCases records a failed fetch on its node, but fails if the root does', async () => {
+  const { graph } = await crawl({ maxDepth: 2 });
+  assert.deepEqual(node(graph, 'BROKEN').error, { code: 'FETCH_FAILED', message: 'Portal down' });
+  assert.equal(node(graph, 'D').crawled, true);
+
+  await assert.rejects(crawlRelatedCases('stub', 'BROKEN', { delay: 0 }), { code: 'FETCH_FAILED' });
+  await assert.rejects(crawlRelatedCases('stub', 'A', { maxDepth: -1 }), { code: 'INVALID_CRAWL' });
+});
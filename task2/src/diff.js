@@ -0,0 +1,297 @@
+/**
+ * Record Diffing
+ *
+ * Compares two canonical records of the same case - typically yesterday's
+ * scrape and today's - and lists what changed, both as field changes and as
+ * typed change events (statusChanged, plotAdded, certificateAdded, ...).
+ * Bookkeeping that differs on every scrape (timestamps, the raw scraper
+ * output, display text) is ignored, so an unchanged case produces no changes.
+ *
+ * @module diff
+ */
+
+import { ScraperError } from './errors.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Field paths that change on every scrape or only restate other fields
+const IGNORED_PATHS = ['raw', 'originals', 'warnings', 'schemaVersion', 'source.scrapedAt', 'source.scraperVersion'];
+
+/**
+ * Change event types
+ * statusChanged       - status
+ * decisionChanged     - decision outcome or date
+ * dateChanged         - one of dates.* (received, valid, decision, commencement, completion, expiry)
+ * plotAdded/Removed   - a plot appeared or disappeared, matched by plot number
+ * plotChanged         - a plot's status or dates moved
+ * certificateAdded/Removed/Changed - the same for certificates, matched by kind and number
+ * fieldChanged        - any other field
+ */
+const CHANGE_TYPES = [
+  'statusChanged',
+  'decisionChanged',
+  'dateChanged',
+  'plotAdded',
+  'plotRemoved',
+  'plotChanged',
+  'certificateAdded',
+  'certificateRemoved',
+  'certificateChanged',
+  'fieldChanged',
+];
+
+// Arrays compared item by item, with how each item is identified
+const KEYED_ARRAYS = {
+  plots: { item: 'plot', key: (plot) => plot.number || plot.address },
+  certificates: { item: 'certificate', key: (cert) => cert.number && `${cert.kind}:${cert.number}` },
+};
+
+// ============================================================================
+// Field Changes
+// ============================================================================
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} path - Dotted field path (dates.completion, plots)
+ * @property {*} before - Value in the older record (null if absent)
+ * @property {*} after - Value in the newer record (null if absent)
+ */
+
+/**
+ * Whether a value is a plain object to recurse into
+ *
+ * @param {*} value - Value to test
+ * @returns {boolean} True for non-array objects
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Strips the ignored bookkeeping from records nested in a value
+ * (linkedRecords), so comparing them whole isn't thrown by their timestamps
+ *
+ * @param {*} value - Value to compare
+ * @returns {*} Value without nested bookkeeping
+ */
+function stable(value) {
+  if (Array.isArray(value)) return value.map(stable);
+  if (!isPlainObject(value)) return value ?? null;
+
+  const isRecord = Boolean(value.schemaVersion && value.council);
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (isRecord && IGNORED_PATHS.includes(key)) continue;
+    copy[key] = isRecord && key === 'source' ? stable({ ...item, scrapedAt: null, scraperVersion: null }) : stable(item);
+  }
+  return copy;
+}
+
+/**
+ * Collects the changed leaves under one path
+ * Objects are compared field by field; arrays and scalars as whole values.
+ *
+ * @param {*} before - Older value
+ * @param {*} after - Newer value
+ * @param {string} path - Path of the values
+ * @param {Array<FieldChange>} changes - Changes found so far
+ */
+function collectChanges(before, after, path, changes) {
+  if (IGNORED_PATHS.includes(path)) return;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => collectChanges(before[key], after[key], path ? `${path}.${key}` : key, changes));
+    return;
+  }
+
+  if (JSON.stringify(stable(before)) !== JSON.stringify(stable(after))) {
+    changes.push({ path, before: before ?? null, after: after ?? null });
+  }
+}
+
+/**
+ * Builds a record's identity (council and reference) for comparing
+ *
+ * @param {Object} record - Canonical record
+ * @returns {string} council:reference
+ */
+function identity(record) {
+  return `${record?.council?.id}:${record?.reference?.sourceId || record?.reference?.primary}`;
+}
+
+/**
+ * Lists the fields that differ between two canonical records
+ *
+ * @param {import('./schema/record.js').CanonicalRecord} before - Older record
+ * @param {import('./schema/record.js').CanonicalRecord} after - Newer record
+ * @returns {Array<FieldChange>} Changes in field order
+ * @throws {ScraperError} If the records are for different councils or cases
+ */
+function diffRecords(before, after) {
+  if (identity(before) !== identity(after)) {
+    throw new ScraperError(
+      `Cannot compare different records: ${identity(before)} and ${identity(after)}`,
+      'INVALID_DIFF',
+      { before: identity(before), after: identity(after) }
+    );
+  }
+
+  const changes = [];
+  collectChanges(before, after, '', changes);
+  return changes;
+}
+
+// ============================================================================
+// Change Events
+// ============================================================================
+
+/**
+ * @typedef {Object} ChangeEvent
+ * @property {string} type - One of CHANGE_TYPES
+ * @property {string} path - Field path the event is about (status, dates.expiry, plots)
+ * @property {*} before - Older value (the item, for plot and certificate events; null when added)
+ * @property {*} after - Newer value (null when removed)
+ * @property {string} [field] - dateChanged: which date (completion, expiry, ...)
+ * @property {string} [key] - Plot and certificate events: the item's key (plot number, kind:number)
+ * @property {Array<FieldChange>} [changes] - plotChanged/certificateChanged: the item's changed fields
+ */
+
+/**
+ * Matches two arrays' items by key and emits added, removed and changed events
+ * Items without a key are matched by position among the keyless ones.
+ *
+ * @param {string} path - Array field (plots, certificates)
+ * @param {Array<Object>} before - Older items
+ * @param {Array<Object>} after - Newer items
+ * @returns {Array<ChangeEvent>} Events in the newer array's order, removals last
+ */
+function diffKeyedArray(path, before, after) {
+  const { item, key } = KEYED_ARRAYS[path];
+
+  const byKey = (items) => {
+    const map = new Map();
+    let unkeyed = 0;
+    (items || []).forEach(entry => map.set(key(entry) || `#${unkeyed++}`, entry));
+    return map;
+  };
+  const older = byKey(before);
+  const newer = byKey(after);
+
+  const events = [];
+  for (const [itemKey, entry] of newer) {
+    const previous = older.get(itemKey);
+    if (!previous) {
+      events.push({ type: `${item}Added`, path, key: itemKey, before: null, after: entry });
+      continue;
+    }
+
+    const changes = [];
+    collectChanges(previous, entry, '', changes);
+    if (changes.length > 0) {
+      events.push({ type: `${item}Changed`, path, key: itemKey, before: previous, after: entry, changes });
+    }
+  }
+  for (const [itemKey, entry] of older) {
+    if (!newer.has(itemKey)) {
+      events.push({ type: `${item}Removed`, path, key: itemKey, before: entry, after: null });
+    }
+  }
+  return events;
+}
+
+/**
+ * Turns field changes into typed change events
+ *
+ * @param {Array<FieldChange>} changes - diffRecords result
+ * @param {Object} before - Older record
+ * @param {Object} after - Newer record
+ * @returns {Array<ChangeEvent>} Events in field order
+ */
+function toEvents(changes, before, after) {
+  const events = [];
+  let decisionSeen = false;
+  // dates.decision restates decision.date, so it's reported with the decision
+  const decisionChanged = changes.some(change => change.path.startsWith('decision.'));
+
+  for (const change of changes) {
+    const { path } = change;
+
+    if (path === 'status') {
+      events.push({ type: 'statusChanged', ...change });
+    } else if (path.startsWith('decision.')) {
+      // Outcome and date come and go together, so they make one event
+      if (!decisionSeen) {
+        events.push({ type: 'decisionChanged', path: 'decision', before: before.decision ?? null, after: after.decision ?? null });
+        decisionSeen = true;
+      }
+    } else if (path.startsWith('dates.')) {
+      if (path === 'dates.decision' && decisionChanged) continue;
+      events.push({ type: 'dateChanged', field: path.slice('dates.'.length), ...change });
+    } else if (KEYED_ARRAYS[path]) {
+      events.push(...diffKeyedArray(path, change.before, change.after));
+    } else {
+      events.push({ type: 'fieldChanged', ...change });
+    }
+  }
+  return events;
+}
+
+/**
+ * Compares two snapshots of the same record
+ *
+ * @param {import('./schema/record.js').CanonicalRecord} before - Older record
+ * @param {import('./schema/record.js').CanonicalRecord} after - Newer record
+ * @returns {{council: string, reference: string, from: string|null, to: string|null, changes: Array<FieldChange>, events: Array<ChangeEvent>}} The diff; from/to are the scrape times
+ * @throws {ScraperError} If the records are for different councils or cases
+ */
+function diffSnapshots(before, after) {
+  const changes = diffRecords(before, after);
+  return {
+    council: after.council.id,
+    reference: after.reference.sourceId || after.reference.primary,
+    from: before.source?.scrapedAt || null,
+    to: after.source?.scrapedAt || null,
+    changes,
+    events: toEvents(changes, before, after),
+  };
+}
+
+/**
+ * Lists the typed change events between two snapshots of a record
+ *
+ * @param {import('./schema/record.js').CanonicalRecord} before - Older record
+ * @param {import('./schema/record.js').CanonicalRecord} after - Newer record
+ * @returns {Array<ChangeEvent>} Events
+ * @throws {ScraperError} If the records are for different councils or cases
+ */
+function detectChanges(before, after) {
+  return diffSnapshots(before, after).events;
+}
+
+/**
+ * Describes a change event in one line
+ *
+ * @param {ChangeEvent} event - Change event
+ * @returns {string} Description, e.g. 'status: "Ongoing" -> "Completed"'
+ */
+function describeEvent(event) {
+  const show = (value) => (value === null || value === undefined ? '(none)' : JSON.stringify(value));
+
+  if (event.type.endsWith('Added') || event.type.endsWith('Removed')) return `${event.type} ${event.key}`;
+  if (event.changes) {
+    return `${event.type} ${event.key}: ${event.changes.map(change => `${change.path} ${show(change.before)} -> ${show(change.after)}`).join(', ')}`;
+  }
+  return `${event.type} ${event.path}: ${show(event.before)} -> ${show(event.after)}`;
+}
+
+export {
+  IGNORED_PATHS,
+  CHANGE_TYPES,
+  diffRecords,
+  diffSnapshots,
+  detectChanges,
+  describeEvent,
+};
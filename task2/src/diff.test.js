@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectChanges, diffRecords, describeEvent } from './diff.js';
+import { createRecord } from './schema/record.js';
+
+// A scrape of WNC FP/2025/0159, changed by a callback
+function snapshot(change = () => {}, scrapedAt = '2025-07-01T06:00:00Z') {
+  const record = createRecord({ id: 'wnc', name: 'West Northamptonshire' }, { scrapedAt });
+  record.found = true;
+  record.reference.primary = 'FP/2025/0159';
+  record.status = 'Ongoing';
+  record.dates.received = '2025-07-07';
+  record.plots = [{ number: '1', status: 'Ongoing', dates: { completion: null } }];
+  record.source.scrapedAt = scrapedAt;
+  change(record);
+  return record;
+}
+
+test('an unchanged record has no events, whatever the bookkeeping', () => {
+  const later = snapshot(record => {
+    record.warnings.push({ field: 'valueOfWork', message: 'Unrecognised amount' });
+  }, '2025-07-02T06:00:00Z');
+  assert.deepEqual(detectChanges(snapshot(), later), []);
+});
+
+test('status, date and field changes become typed events', () => {
+  const events = detectChanges(snapshot(), snapshot(record => {
+    record.status = 'Completed';
+    record.dates.completion = '2025-09-16';
+    record.description = 'Loft conversion';
+  }));
+  assert.deepEqual(events.map(event => [event.type, event.path]), [
+    ['fieldChanged', 'description'],
+    ['statusChanged', 'status'],
+    ['dateChanged', 'dates.completion'],
+  ]);
+  assert.equal(events[2].field, 'completion');
+  assert.equal(describeEvent(events[1]), 'statusChanged status: "Ongoing" -> "Completed"');
+});
+
+test('a decision is one event, not repeated as a date change', () => {
+  const events = detectChanges(snapshot(), snapshot(record => {
+    record.decision = { outcome: 'Approved', date: '2025-08-01' };
+    record.dates.decision = '2025-08-01';
+  }));
+  assert.deepEqual(events.map(event => event.type), ['decisionChanged']);
+  assert.deepEqual(events[0].after, { outcome: 'Approved', date: '2025-08-01' });
+
+  // A decision date alone, with no decision, is still a date change
+  const dated = detectChanges(snapshot(), snapshot(record => {
+    record.dates.decision = '2025-08-01';
+  }));
+  assert.deepEqual(dated.map(event => event.type), ['dateChanged']);
+});
+
+test('plots are matched by number', () => {
+  const events = detectChanges(snapshot(), snapshot(record => {
+    record.plots = [
+      { number: '2', status: 'Ongoing', dates: { completion: null } },
+      { number: '1', status: 'Completed', dates: { completion: '2025-09-16' } },
+    ];
+  }));
+  assert.deepEqual(events.map(event => [event.type, event.key]), [['plotAdded', '2'], ['plotChanged', '1']]);
+  assert.deepEqual(events[1].changes.map(change => change.path), ['status', 'dates.completion']);
+
+  const removed = detectChanges(snapshot(), snapshot(record => {
+    record.plots = [];
+  }));
+  assert.deepEqual(removed.map(event => [event.type, event.key]), [['plotRemoved', '1']]);
+});
+
+test('records of different cases are not compared', () => {
+  const other = snapshot(record => {
+    record.reference.primary = 'FP/2025/0160';
+  });
+  assert.throws(() => diffRecords(snapshot(), other), { code: 'INVALID_DIFF' });
+});
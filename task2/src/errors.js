@@ -0,0 +1,21 @@
+/**
+ * Shared error types for the building control scrapers
+ *
+ * @module errors
+ */
+
+/**
+ * Custom error for scraping failures
+ * The code identifies the failure (e.g. FETCH_FAILED, NOT_FOUND) and details
+ * carries whatever context helps debug it.
+ */
+class ScraperError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ScraperError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export { ScraperError };
@@ -0,0 +1,189 @@
+/**
+ * Building Control Scrapers - library entry point
+ *
+ * Scrapes any registered council from code. Importing this module has no
+ * side effects: nothing is launched, printed or written, and the process is
+ * never exited. Every call returns its result and writes only when asked
+ * (outDir or a sink for the record, downloadDir for documents). Scrapes take an
+ * AbortSignal as options.signal and report progress through options.onProgress:
+ *
+ *   sectionStarted / sectionFinished / sectionFailed - one section of a record
+ *   recordStarted / recordFinished                   - one record of scrapeRecords
+ *
+ * Every event carries type, council, reference and at (ISO timestamp);
+ * section events add section, finished ones durationMs and failed ones error.
+ *
+ * The command line lives in cli.js. Running this file directly still starts
+ * it, for the older `node src/index.js <council> [reference]` form.
+ *
+ * @module index
+ */
+
+import { fileURLToPath } from 'url';
+import { resolve } from 'path';
+import { getAdapter, listAdapters, registerAdapter, defineAdapter, invokeAdapter } from './adapters/index.js';
+import { runBatch, parseBatchInput, createCheckpoint, summarizeBatch } from './batch.js';
+import { crawlRelatedCases } from './crawler.js';
+import { CHANGE_TYPES, diffRecords, diffSnapshots, detectChanges, describeEvent } from './diff.js';
+import { OUTPUT_FORMATS, formatOutput } from './output.js';
+import { openStore } from './store.js';
+import {
+  loadWatchlist,
+  saveWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  runWatchCycle,
+  runWatchDaemon,
+} from './watchlist.js';
+import { parseSchedule, nextRun } from './schedule.js';
+import { createNotifier, loadNotifier, verifySignature } from './notify.js';
+import { createApiServer } from './server.js';
+import { createFileSink, createStoreSink, combineSinks } from './sinks.js';
+import { SCHEMA_VERSION } from './schema/index.js';
+import { ScraperError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// ============================================================================
+// Scraping
+// ============================================================================
+
+/**
+ * Adds the council and reference to a scraper's progress events
+ *
+ * @param {Function|null} onProgress - Caller's progress callback
+ * @param {string} council - Council id
+ * @param {string} reference - Record reference
+ * @returns {Function|null} Callback to pass to the scraper
+ */
+function progressFor(onProgress, council, reference) {
+  if (!onProgress) return null;
+  return (event) => onProgress({ ...event, council, reference });
+}
+
+/**
+ * Scrapes one record from any council
+ *
+ * @param {string} councilId - Council id (see listAdapters)
+ * @param {string} reference - Record reference or keyVal
+ * @param {Object} [options] - Scrape options; the rest go to the adapter's fetchRecord (caseType, include, mode, ...)
+ * @param {boolean} [options.raw=false] - Return the scraper's own output instead of the canonical record
+ * @param {AbortSignal} [options.signal] - Cancels the scrape; it then fails with ABORTED
+ * @param {Function} [options.onProgress] - Called with each progress event
+ * @param {string} [options.outDir] - Also save the result into this folder
+ * @param {string} [options.format='json'] - Format to save in (see OUTPUT_FORMATS)
+ * @param {Object} [options.sink] - Also write the scrape to this sink (see sinks.js), e.g. a record store
+ * @returns {Promise<Object>} Canonical record, or the raw output with raw
+ * @throws {ScraperError} If the council is unknown or the scrape fails
+ */
+async function scrapeRecord(councilId, reference, options = {}) {
+  const { raw = false, outDir = null, format = 'json', sink = null, onProgress = null, ...fetchOptions } = options;
+  const adapter = getAdapter(councilId);
+
+  const scraped = await invokeAdapter(adapter.id, 'fetchRecord', reference, {
+    ...fetchOptions,
+    onProgress: progressFor(onProgress, adapter.id, reference),
+  });
+  const record = adapter.normalize(scraped);
+  const result = { adapter, reference, raw: scraped, record };
+
+  if (outDir) {
+    await createFileSink({ outDir, format, raw }).write(result);
+  }
+  if (sink) {
+    await sink.write(result);
+  }
+  return raw ? scraped : record;
+}
+
+/**
+ * Scrapes many records, a few at a time (see runBatch in batch.js)
+ * Returns every outcome rather than throwing for the ones that failed.
+ *
+ * @param {Array<Object|string>} entries - References, or { council, reference, caseType } entries
+ * @param {Object} [options] - Batch options
+ * @param {string} [options.council] - Council for entries that don't name one
+ * @param {number} [options.concurrency=2] - Records fetched at once
+ * @param {AbortSignal} [options.signal] - Stops the batch
+ * @param {Function} [options.onProgress] - Called with each progress event
+ * @param {Function} [options.onResult] - Called with (outcome, {raw, record}) as each record finishes
+ * @param {Object} [options.checkpoint] - Checkpoint to resume
+ * @param {Object} [options.fetchOptions] - Passed to every fetchRecord call
+ * @returns {Promise<Object>} runBatch result: checkpoint, skipped, aborted and summary
+ * @throws {ScraperError} If the options are invalid or an entry names an unknown council
+ */
+async function scrapeRecords(entries, options = {}) {
+  const normalized = entries.map(entry => (typeof entry === 'string' ? { reference: entry } : entry));
+  return runBatch(normalized, options);
+}
+
+/**
+ * Lists records from a council's search
+ *
+ * @param {string} councilId - Council id
+ * @param {Object} criteria - Search criteria (from, to, type, ...)
+ * @param {Object} [options] - Passed to the adapter's search (verbose, caseType)
+ * @returns {Promise<import('./adapters/adapter.js').SearchResult>} Search result
+ * @throws {ScraperError} If the council can't search or the search fails
+ */
+async function searchRecords(councilId, criteria, options = {}) {
+  return invokeAdapter(councilId, 'search', criteria, options);
+}
+
+/**
+ * Fetches a record's site geometry
+ *
+ * @param {string} councilId - Council id
+ * @param {string} reference - Record reference or keyVal
+ * @param {Object} [options] - Passed to the adapter's getGeometry (caseType, signal)
+ * @returns {Promise<Object|null>} Geometry, or null if the record has none
+ * @throws {ScraperError} If the council has no geometry or the fetch fails
+ */
+async function fetchGeometry(councilId, reference, options = {}) {
+  return invokeAdapter(councilId, 'getGeometry', reference, options);
+}
+
+export {
+  SCHEMA_VERSION,
+  OUTPUT_FORMATS,
+  ScraperError,
+  getAdapter,
+  listAdapters,
+  registerAdapter,
+  defineAdapter,
+  scrapeRecord,
+  scrapeRecords,
+  searchRecords,
+  fetchGeometry,
+  crawlRelatedCases,
+  CHANGE_TYPES,
+  diffRecords,
+  diffSnapshots,
+  detectChanges,
+  describeEvent,
+  openStore,
+  loadWatchlist,
+  saveWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  runWatchCycle,
+  runWatchDaemon,
+  parseSchedule,
+  nextRun,
+  createNotifier,
+  loadNotifier,
+  verifySignature,
+  createApiServer,
+  createFileSink,
+  createStoreSink,
+  combineSinks,
+  parseBatchInput,
+  createCheckpoint,
+  summarizeBatch,
+  formatOutput,
+};
+
+// Run the CLI if called directly (not when imported)
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+  import('./cli.js').then(({ main }) => main());
+}
@@ -0,0 +1,184 @@
+/**
+ * Job Queue
+ *
+ * Runs scrapes for the API server a few at a time. Every scrape - a single
+ * lookup or one record of a batch - waits for a free slot, so however many
+ * requests arrive the councils see a steady, limited load. Batches become
+ * jobs that can be polled: each tracks its records' outcomes as they finish.
+ * Jobs live in memory only; the oldest finished ones are dropped.
+ *
+ * @module jobs
+ */
+
+import { randomUUID } from 'crypto';
+import { ScraperError } from './errors.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const QUEUE_DEFAULTS = {
+  concurrency: 2,
+  maxQueued: 1000,
+  retain: 100,
+};
+
+// ============================================================================
+// Queue
+// ============================================================================
+
+/**
+ * @typedef {Object} JobResult
+ * @property {string} council - Council id
+ * @property {string} reference - Record reference
+ * @property {string} status - scraped, notFound or failed
+ * @property {boolean} [cached] - Served from the cache rather than scraped
+ * @property {string} [scrapedAt] - When the record was scraped
+ * @property {string} [code] - Error code, when failed
+ * @property {string} [message] - Error message, when failed
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id - Job id
+ * @property {string} type - What the job does (batch)
+ * @property {string} status - running or finished
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} finishedAt - When its last record finished
+ * @property {number} total - Records in the job
+ * @property {number} done - Records finished so far
+ * @property {{scraped: number, notFound: number, failed: number}} counts - Outcomes so far
+ * @property {Array<JobResult>} results - One per finished record, in finishing order
+ */
+
+/**
+ * Creates a job queue
+ *
+ * @param {Object} [options] - Queue options
+ * @param {number} [options.concurrency=2] - Scrapes running at once
+ * @param {number} [options.maxQueued=1000] - Scrapes allowed to wait; more are refused with QUEUE_FULL
+ * @param {number} [options.retain=100] - Finished jobs kept for polling
+ * @returns {Object} Queue: run, submit, get, list, stats
+ * @throws {ScraperError} If an option is out of range
+ */
+function createJobQueue(options = {}) {
+  const { concurrency = QUEUE_DEFAULTS.concurrency, maxQueued = QUEUE_DEFAULTS.maxQueued, retain = QUEUE_DEFAULTS.retain } = options;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new ScraperError('concurrency must be a whole number of at least 1', 'INVALID_ARGUMENTS', { concurrency });
+  }
+
+  const waiting = [];
+  const jobs = new Map();
+  let running = 0;
+
+  const next = () => {
+    while (running < concurrency && waiting.length > 0) {
+      const { task, resolve, reject } = waiting.shift();
+      running++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          running--;
+          next();
+        });
+    }
+  };
+
+  /**
+   * Runs a task once a slot is free
+   *
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} The task's result
+   * @throws {ScraperError} QUEUE_FULL if too many tasks are waiting
+   */
+  const run = (task) => {
+    if (waiting.length >= maxQueued) {
+      return Promise.reject(new ScraperError('Too many scrapes queued - try again later', 'QUEUE_FULL', { queued: waiting.length, maxQueued }));
+    }
+    return new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      next();
+    });
+  };
+
+  // Drops the oldest finished jobs beyond retain
+  const prune = () => {
+    const finished = [...jobs.values()].filter(job => job.status === 'finished');
+    finished.slice(0, Math.max(0, finished.length - retain)).forEach(job => jobs.delete(job.id));
+  };
+
+  /**
+   * Starts a job that runs worker on each item
+   * The worker returns a JobResult, or throws to record a failure. Items
+   * start together; the worker takes a slot with run for the part that
+   * scrapes, so items answered from a cache don't wait behind scrapes.
+   *
+   * @param {string} type - Job type
+   * @param {Array<Object>} items - Items, each with council and reference
+   * @param {Function} worker - Async (item) => JobResult
+   * @returns {Job} The job, updated in place as items finish
+   * @throws {ScraperError} QUEUE_FULL if the items don't fit in the queue
+   */
+  const submit = (type, items, worker) => {
+    if (waiting.length + items.length > maxQueued) {
+      throw new ScraperError(`The queue has room for ${maxQueued - waiting.length} more records`, 'QUEUE_FULL', {
+        queued: waiting.length,
+        requested: items.length,
+        maxQueued,
+      });
+    }
+
+    const createdAt = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      type,
+      status: items.length > 0 ? 'running' : 'finished',
+      createdAt,
+      finishedAt: items.length > 0 ? null : createdAt,
+      total: items.length,
+      done: 0,
+      counts: { scraped: 0, notFound: 0, failed: 0 },
+      results: [],
+    };
+    jobs.set(job.id, job);
+
+    const finish = (result) => {
+      job.results.push(result);
+      job.counts[result.status]++;
+      job.done++;
+      if (job.done === job.total) {
+        job.status = 'finished';
+        job.finishedAt = new Date().toISOString();
+        prune();
+      }
+    };
+
+    for (const item of items) {
+      Promise.resolve()
+        .then(() => worker(item))
+        .then(finish)
+        .catch(error => finish({
+          council: item.council,
+          reference: item.reference,
+          status: 'failed',
+          code: error.code || 'SCRAPE_FAILED',
+          message: error.message,
+        }));
+    }
+    return job;
+  };
+
+  return {
+    run,
+    submit,
+    get: (id) => jobs.get(id) || null,
+    list: () => [...jobs.values()],
+    stats: () => ({ running, queued: waiting.length, concurrency, jobs: jobs.size }),
+  };
+}
+
+export {
+  QUEUE_DEFAULTS,
+  createJobQueue,
+};
@@ -0,0 +1,534 @@
+/**
+ * Notifications
+ *
+ * Tells people when watched records change. A notifier is built from a
+ * config of channels - where notifications go - and rules - which changes go
+ * where:
+ *
+ *   {
+ *     "channels": {
+ *       "team": { "type": "webhook", "url": "https://example.org/hooks/bc", "secret": "${WEBHOOK_SECRET}" },
+ *       "office": { "type": "smtp", "host": "smtp.example.org", "from": "bc@example.org", "to": ["office@example.org"] },
+ *       "log": { "type": "file", "path": "output/notifications.ndjson" }
+ *     },
+ *     "rules": [
+ *       { "channels": ["team", "office"], "on": ["decision", "completion"], "types": ["FP"] },
+ *       { "channels": ["log"] }
+ *     ]
+ *   }
+ *
+ * Webhooks POST the notification as JSON, signed with HMAC-SHA256 when a
+ * secret is set, and retry failures. SMTP sends a plain-text email (through
+ * nodemailer, loaded on first use). The file channel appends NDJSON to a
+ * file, or prints to stdout without a path. ${NAME} in a channel setting is
+ * read from the environment, so secrets stay out of the file.
+ *
+ * @module notify
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { readFile, appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import got from 'got';
+import { CHANGE_TYPES, describeEvent } from './diff.js';
+import { ScraperError } from './errors.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const WEBHOOK_DEFAULTS = {
+  retries: 3,
+  timeout: 10000,
+};
+
+const SIGNATURE_HEADER = 'X-Signature-256';
+
+/**
+ * Topics rules can name in "on", besides the event types themselves
+ * status       - statusChanged
+ * decision     - a decision made or changed
+ * commencement - work started: the commencement date, or a plot's, set
+ * completion   - work finished: the completion date or a plot's set, a
+ *                completion certificate added, or the status now completed
+ * plots        - any plot event
+ * certificates - any certificate event
+ */
+const NOTIFY_TOPICS = {
+  status: (event) => event.type === 'statusChanged',
+  decision: (event) => event.type === 'decisionChanged' || (event.type === 'dateChanged' && event.field === 'decision'),
+  commencement: (event) => setsDate(event, 'commencement'),
+  completion: (event) => setsDate(event, 'completion')
+    || (event.type === 'certificateAdded' && /complet/i.test(event.after?.kind || ''))
+    || (event.type === 'statusChanged' && /complet/i.test(event.after || '')),
+  plots: (event) => event.type.startsWith('plot'),
+  certificates: (event) => event.type.startsWith('certificate'),
+};
+
+// ============================================================================
+// Rules
+// ============================================================================
+
+/**
+ * @typedef {Object} NotifyRule
+ * @property {string} [name] - Label for logs
+ * @property {Array<string>} [on] - Topics (see NOTIFY_TOPICS) or event types; default every event
+ * @property {Array<string>} [councils] - Council ids; default every council
+ * @property {Array<string>} [types] - Application type codes (FP, BN, WARR, ...); default every type
+ * @property {Array<string>} [channels] - Channel names; default every channel
+ */
+
+/**
+ * Whether an event sets one of the dates, on the record or on a plot
+ *
+ * @param {Object} event - Change event
+ * @param {string} name - commencement or completion
+ * @returns {boolean} True if the date went from unset to set
+ */
+function setsDate(event, name) {
+  if (event.type === 'dateChanged') return event.field === name && !event.before && Boolean(event.after);
+  if (event.type === 'plotAdded') return Boolean(event.after?.[`${name}Date`]);
+  if (event.type === 'plotChanged') {
+    return event.changes.some(change => change.path === `${name}Date` && !change.before && Boolean(change.after));
+  }
+  return false;
+}
+
+/**
+ * Checks a rule's fields
+ *
+ * @param {NotifyRule} rule - Rule
+ * @param {Array<string>} channelNames - Configured channels
+ * @throws {ScraperError} If the rule names an unknown topic or channel
+ */
+function validateRule(rule, channelNames) {
+  const unknownTopics = (rule.on || []).filter(topic => !NOTIFY_TOPICS[topic] && !CHANGE_TYPES.includes(topic));
+  const unknownChannels = (rule.channels || []).filter(name => !channelNames.includes(name));
+  if (unknownTopics.length > 0 || unknownChannels.length > 0) {
+    throw new ScraperError(
+      `Notification rule ${rule.name || JSON.stringify(rule)} names unknown ${unknownTopics.length > 0 ? `topics: ${unknownTopics.join(', ')}` : `channels: ${unknownChannels.join(', ')}`}`,
+      'INVALID_NOTIFY_CONFIG',
+      { rule, unknownTopics, unknownChannels, topics: [...Object.keys(NOTIFY_TOPICS), ...CHANGE_TYPES] }
+    );
+  }
+}
+
+/**
+ * Picks the events of a change a rule lets through
+ *
+ * @param {NotifyRule} rule - Rule
+ * @param {Object} change - Record change: council, reference, applicationType, events
+ * @returns {Array<Object>} Matching events (empty if the rule doesn't apply)
+ */
+function matchRule(rule, change) {
+  if (rule.councils && !rule.councils.includes(change.council)) return [];
+  if (rule.types && !rule.types.some(type => type.toUpperCase() === (change.applicationType || '').toUpperCase())) return [];
+  if (!rule.on) return change.events;
+
+  return change.events.filter(event => rule.on.some(topic => (NOTIFY_TOPICS[topic] ? NOTIFY_TOPICS[topic](event) : event.type === topic)));
+}
+
+// ============================================================================
+// Notifications
+// ============================================================================
+
+/**
+ * @typedef {Object} Notification
+ * @property {string} id - Unique id (also sent as X-Notification-Id)
+ * @property {string} council - Council id
+ * @property {string} reference - Record reference
+ * @property {string|null} applicationType - Application type code
+ * @property {string} checkedAt - When the change was found
+ * @property {Array<Object>} events - Change events (see diff.js)
+ * @property {Array<string>} summary - One line per event
+ * @property {boolean} [test] - Sent by a channel test, not a real change
+ */
+
+/**
+ * Builds the notification for a change's events
+ *
+ * @param {Object} change - Record change
+ * @param {Array<Object>} events - Events to include
+ * @returns {Notification} Notification
+ */
+function toNotification(change, events) {
+  return {
+    id: randomUUID(),
+    council: change.council,
+    reference: change.reference,
+    applicationType: change.applicationType || null,
+    checkedAt: change.checkedAt,
+    events,
+    summary: events.map(describeEvent),
+    ...(change.test ? { test: true } : {}),
+  };
+}
+
+/**
+ * One-line title for a notification (email subject, stdout header)
+ *
+ * @param {Notification} notification - Notification
+ * @returns {string} Title
+ */
+function notificationTitle(notification) {
+  const count = notification.events.length;
+  return `${notification.council} ${notification.reference}: ${count} ${count === 1 ? 'change' : 'changes'}`;
+}
+
+/**
+ * Signs a webhook body
+ *
+ * @param {string} body - Request body
+ * @param {string} secret - Shared secret
+ * @returns {string} Signature header value, sha256=<hex>
+ */
+function signPayload(body, secret) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Checks a webhook body against its signature, for receivers
+ *
+ * @param {string|Buffer} body - Raw request body
+ * @param {string} signature - X-Signature-256 header
+ * @param {string} secret - Shared secret
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(body, signature, secret) {
+  const expected = Buffer.from(signPayload(body, secret));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+// ============================================================================
+// Channels
+// ============================================================================
+
+/**
+ * @typedef {Object} Channel
+ * @property {string} name - Channel name from the config
+ * @property {string} type - webhook, smtp or file
+ * @property {(notification: Notification) => Promise<Object>} send - Delivers one notification
+ * @property {() => Promise<void>} close - Releases connections
+ */
+
+/**
+ * Creates a channel POSTing notifications to a URL as JSON
+ * With a secret, the body's HMAC-SHA256 goes in X-Signature-256 as
+ * sha256=<hex>, which the extra headers can't override. Timeouts, 429s and
+ * 5xx responses are retried with back-off; a 413 would only fail again.
+ *
+ * @param {Object} options - Channel options
+ * @param {string} options.url - Webhook URL
+ * @param {string} [options.name='webhook'] - Channel name
+ * @param {string} [options.secret] - Shared secret for the signature
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.timeout=10000] - Milliseconds per attempt
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Channel} Webhook channel; send returns { status, attempts }
+ * @throws {ScraperError} If the URL is missing
+ */
+function createWebhookChannel(options) {
+  const { name = 'webhook', url, secret = null, retries = WEBHOOK_DEFAULTS.retries, timeout = WEBHOOK_DEFAULTS.timeout, headers = {} } = options;
+  if (!url) {
+    throw new ScraperError(`Webhook channel ${name} needs a url`, 'INVALID_NOTIFY_CONFIG', { channel: name });
+  }
+
+  // A configured header can't stand in for the signature, whatever its case
+  const extraHeaders = secret
+    ? Object.fromEntries(Object.entries(headers).filter(([key]) => key.toLowerCase() !== SIGNATURE_HEADER.toLowerCase()))
+    : headers;
+
+  const client = got.extend({
+    timeout: { request: timeout },
+    retry: {
+      limit: retries,
+      methods: ['POST'],
+      statusCodes: [408, 429, 500, 502, 503, 504],
+    },
+  });
+
+  return {
+    name,
+    type: 'webhook',
+    async send(notification) {
+      const body = JSON.stringify(notification);
+      try {
+        const response = await client.post(url, {
+          body,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'building-control-notify',
+            'X-Notification-Id': notification.id,
+            ...extraHeaders,
+            ...(secret ? { [SIGNATURE_HEADER]: signPayload(body, secret) } : {}),
+          },
+        });
+        return { status: response.statusCode, attempts: response.retryCount + 1 };
+      } catch (error) {
+        throw new ScraperError(`Webhook ${name} failed: ${error.message}`, 'NOTIFY_FAILED', {
+          channel: name,
+          url,
+          status: error.response?.statusCode || null,
+        });
+      }
+    },
+    async close() {},
+  };
+}
+
+/**
+ * Loads nodemailer
+ *
+ * @returns {Promise<Object>} nodemailer module
+ * @throws {ScraperError} If the package isn't installed
+ */
+async function loadNodemailer() {
+  try {
+    return (await import('nodemailer')).default;
+  } catch (error) {
+    throw new ScraperError('SMTP notifications need nodemailer - run npm install in task2', 'NOTIFY_UNAVAILABLE', {
+      originalError: error.message,
+    });
+  }
+}
+
+/**
+ * Creates a channel emailing notifications over SMTP
+ *
+ * @param {Object} options - Channel options
+ * @param {string} options.host - SMTP server
+ * @param {string} options.from - Sender address
+ * @param {string|Array<string>} options.to - Recipients
+ * @param {string} [options.name='smtp'] - Channel name
+ * @param {number} [options.port=587] - SMTP port
+ * @param {boolean} [options.secure=false] - TLS from the start (port 465) rather than STARTTLS
+ * @param {string} [options.user] - Login
+ * @param {string} [options.password] - Password
+ * @param {string} [options.subjectPrefix='[Building Control]'] - Subject prefix
+ * @returns {Channel} SMTP channel; send returns { messageId, accepted }
+ * @throws {ScraperError} If host, from or to is missing
+ */
+function createSmtpChannel(options) {
+  const { name = 'smtp', host, port = 587, secure = false, user, password, from, to, subjectPrefix = '[Building Control]' } = options;
+  const missing = ['host', 'from', 'to'].filter(key => !options[key]);
+  if (missing.length > 0) {
+    throw new ScraperError(`SMTP channel ${name} is missing: ${missing.join(', ')}`, 'INVALID_NOTIFY_CONFIG', { channel: name, missing });
+  }
+
+  let transport = null;
+
+  return {
+    name,
+    type: 'smtp',
+    async send(notification) {
+      if (!transport) {
+        const nodemailer = await loadNodemailer();
+        transport = nodemailer.createTransport({ host, port, secure, ...(user ? { auth: { user, pass: password } } : {}) });
+      }
+
+      try {
+        const info = await transport.sendMail({
+          from,
+          to,
+          subject: `${subjectPrefix} ${notificationTitle(notification)}`,
+          text: [
+            `${notification.council} ${notification.reference}${notification.applicationType ? ` (${notification.applicationType})` : ''}`,
+            `Checked ${notification.checkedAt}`,
+            '',
+            ...notification.summary,
+          ].join('\n'),
+        });
+        return { messageId: info.messageId, accepted: info.accepted };
+      } catch (error) {
+        throw new ScraperError(`Email ${name} failed: ${error.message}`, 'NOTIFY_FAILED', { channel: name, host });
+      }
+    },
+    async close() {
+      transport?.close();
+    },
+  };
+}
+
+/**
+ * Creates a channel appending notifications to an NDJSON file, or printing
+ * them to stdout when no path is given
+ *
+ * @param {Object} [options] - Channel options
+ * @param {string} [options.name='file'] - Channel name
+ * @param {string} [options.path] - File to append to ('-' or none for stdout)
+ * @returns {Channel} File channel; send returns { path }
+ */
+function createFileChannel(options = {}) {
+  const { name = 'file', path = null } = options;
+  const toStdout = !path || path === '-';
+
+  return {
+    name,
+    type: 'file',
+    async send(notification) {
+      if (toStdout) {
+        console.log(`[notify] ${notificationTitle(notification)}`);
+        notification.summary.forEach(line => console.log(`  ${line}`));
+        return { path: null };
+      }
+      await mkdir(dirname(path), { recursive: true });
+      await appendFile(path, `${JSON.stringify(notification)}\n`, 'utf-8');
+      return { path };
+    },
+    async close() {},
+  };
+}
+
+// Channel factories by config type
+const CHANNEL_TYPES = {
+  webhook: createWebhookChannel,
+  smtp: createSmtpChannel,
+  file: createFileChannel,
+};
+
+// ============================================================================
+// Notifier
+// ============================================================================
+
+/**
+ * Fills ${NAME} placeholders in a channel's settings from the environment
+ *
+ * @param {*} value - Setting value
+ * @param {string} channel - Channel name, for the error
+ * @returns {*} Value with placeholders filled
+ * @throws {ScraperError} If a variable isn't set
+ */
+function expandEnv(value, channel) {
+  if (Array.isArray(value)) return value.map(item => expandEnv(item, channel));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, channel)]));
+  }
+  if (typeof value !== 'string') return value;
+
+  return value.replace(/\$\{(\w+)\}/g, (match, variable) => {
+    if (process.env[variable] === undefined) {
+      throw new ScraperError(`Channel ${channel} needs the ${variable} environment variable`, 'INVALID_NOTIFY_CONFIG', {
+        channel,
+        variable,
+      });
+    }
+    return process.env[variable];
+  });
+}
+
+/**
+ * @typedef {Object} Delivery
+ * @property {string} channel - Channel name
+ * @property {boolean} ok - Whether it was delivered
+ * @property {number} events - Events sent
+ * @property {Object} [result] - The channel's send result
+ * @property {ScraperError} [error] - Why it failed
+ */
+
+/**
+ * Creates a notifier from a config of channels and rules
+ *
+ * notify(change) sends each channel the change's events that the rules
+ * routing to it let through - one notification per channel, however many
+ * rules match - and never throws for a failed delivery; failures come back
+ * in the result. Without rules, every change goes to every channel.
+ *
+ * @param {Object} config - Notifier config
+ * @param {Object<string, Object>} config.channels - Channel settings by name; each has a type (webhook, smtp, file)
+ * @param {Array<NotifyRule>} [config.rules] - Rules
+ * @returns {{channels: Array<Channel>, notify: (change: Object) => Promise<Array<Delivery>>, test: () => Promise<Array<Delivery>>, close: () => Promise<void>}} Notifier
+ * @throws {ScraperError} If the config is invalid
+ */
+function createNotifier(config) {
+  const entries = Object.entries(config?.channels || {});
+  if (entries.length === 0) {
+    throw new ScraperError('Notification config has no channels', 'INVALID_NOTIFY_CONFIG');
+  }
+
+  const channels = entries.map(([name, settings]) => {
+    const factory = CHANNEL_TYPES[settings?.type];
+    if (!factory) {
+      throw new ScraperError(`Channel ${name} has unknown type: ${settings?.type}`, 'INVALID_NOTIFY_CONFIG', {
+        channel: name,
+        allowed: Object.keys(CHANNEL_TYPES),
+      });
+    }
+    return factory({ ...expandEnv(settings, name), name });
+  });
+  const names = channels.map(channel => channel.name);
+
+  const rules = config.rules?.length > 0 ? config.rules : [{}];
+  rules.forEach(rule => validateRule(rule, names));
+
+  const deliver = async (channel, notification) => {
+    try {
+      return { channel: channel.name, ok: true, events: notification.events.length, result: await channel.send(notification) };
+    } catch (error) {
+      return { channel: channel.name, ok: false, events: notification.events.length, error };
+    }
+  };
+
+  return {
+    channels,
+
+    async notify(change) {
+      const deliveries = channels.map(channel => {
+        const matched = new Set();
+        rules
+          .filter(rule => !rule.channels || rule.channels.includes(channel.name))
+          .forEach(rule => matchRule(rule, change).forEach(event => matched.add(event)));
+        // Keep the change's own event order
+        const events = change.events.filter(event => matched.has(event));
+        return events.length > 0 ? deliver(channel, toNotification(change, events)) : null;
+      });
+      return (await Promise.all(deliveries)).filter(Boolean);
+    },
+
+    async test() {
+      const change = {
+        council: 'test',
+        reference: 'TEST/0001',
+        applicationType: null,
+        checkedAt: new Date().toISOString(),
+        events: [{ type: 'statusChanged', path: 'status', before: 'Ongoing', after: 'Completed' }],
+        test: true,
+      };
+      return Promise.all(channels.map(channel => deliver(channel, toNotification(change, change.events))));
+    },
+
+    async close() {
+      await Promise.all(channels.map(channel => channel.close()));
+    },
+  };
+}
+
+/**
+ * Reads a notifier config file and creates the notifier
+ *
+ * @param {string} path - JSON config file
+ * @returns {Promise<Object>} Notifier (see createNotifier)
+ * @throws {ScraperError} If the file can't be read or the config is invalid
+ */
+async function loadNotifier(path) {
+  let config;
+  try {
+    config = JSON.parse(await readFile(path, 'utf-8'));
+  } catch (error) {
+    throw new ScraperError(`Could not read notification config ${path}: ${error.message}`, 'INVALID_NOTIFY_CONFIG', { path });
+  }
+  return createNotifier(config);
+}
+
+export {
+  NOTIFY_TOPICS,
+  CHANNEL_TYPES,
+  signPayload,
+  verifySignature,
+  matchRule,
+  createWebhookChannel,
+  createSmtpChannel,
+  createFileChannel,
+  createNotifier,
+  loadNotifier,
+};
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { matchRule, verifySignature, signPayload, createNotifier } from './notify.js';
+
+const change = {
+  council: 'wnc',
+  reference: 'FP/2025/0159',
+  applicationType: 'FP',
+  checkedAt: '2025-09-16T06:00:00.000Z',
+  events: [
+    { type: 'statusChanged', path: 'status', before: 'Ongoing', after: 'Completed' },
+    { type: 'dateChanged', path: 'dates.commencement', field: 'commencement', before: '2025-07-01', after: '2025-07-02' },
+    { type: 'plotChanged', path: 'plots', key: '1', before: {}, after: {}, changes: [{ path: 'completionDate', before: null, after: '2025-09-16' }] },
+    { type: 'fieldChanged', path: 'description', before: 'Loft', after: 'Loft conversion' },
+  ],
+};
+
+const types = (events) => events.map(event => event.type);
+
+test('matchRule picks events by topic or event type', () => {
+  assert.deepEqual(types(matchRule({}, change)), types(change.events));
+  assert.deepEqual(types(matchRule({ on: ['completion'] }, change)), ['statusChanged', 'plotChanged']);
+  assert.deepEqual(types(matchRule({ on: ['plots', 'fieldChanged'] }, change)), ['plotChanged', 'fieldChanged']);
+  // A commencement date that moved, rather than was set, is not a start
+  assert.deepEqual(matchRule({ on: ['commencement'] }, change), []);
+});
+
+test('matchRule filters by council and application type', () => {
+  assert.equal(matchRule({ councils: ['edinburgh'] }, change).length, 0);
+  assert.equal(matchRule({ councils: ['wnc'], types: ['fp'] }, change).length, 4);
+  assert.equal(matchRule({ types: ['BN'] }, change).length, 0);
+  assert.equal(matchRule({ types: ['BN'] }, { ...change, applicationType: null }).length, 0);
+});
+
+test('verifySignature accepts the signed body only', () => {
+  const body = JSON.stringify({ hello: 'world' });
+  const signature = signPayload(body, 's3cret');
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.equal(verifySignature(body, signature, 's3cret'), true);
+  assert.equal(verifySignature(Buffer.from(body), signature, 's3cret'), true);
+  assert.equal(verifySignature(`${body} `, signature, 's3cret'), false);
+  assert.equal(verifySignature(body, signature, 'other'), false);
+  assert.equal(verifySignature(body, undefined, 's3cret'), false);
+});
+
+test('createNotifier rejects unknown channel types, topics and channels', () => {
+  assert.throws(() => createNotifier({ channels: {} }), { code: 'INVALID_NOTIFY_CONFIG' });
+  assert.throws(() => createNotifier({ channels: { hook: { type: 'pager' } } }), { code: 'INVALID_NOTIFY_CONFIG' });
+  const channels = { hook: { type: 'webhook', url: 'http://127.0.0.1:9' } };
+  assert.throws(() => createNotifier({ channels, rules: [{ on: ['sunrise'] }] }), { code: 'INVALID_NOTIFY_CONFIG' });
+  assert.throws(() => createNotifier({ channels, rules: [{ channels: ['email'] }] }), { code: 'INVALID_NOTIFY_CONFIG' });
+});
+
+test('webhooks are signed, retried on 5xx and carry only the matching events', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks) });
+      // The first attempt fails, so the delivery needs a retry
+      res.writeHead(received.length === 1 ? 503 : 204).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const notifier = createNotifier({
+      channels: {
+        hook: { type: 'webhook', url: `http://127.0.0.1:${server.address().port}/hook`, secret: 's3cret', retries: 1 },
+      },
+      rules: [{ on: ['completion'] }],
+    });
+    const [delivery] = await notifier.notify(change);
+    await notifier.close();
+
+    assert.equal(delivery.ok, true);
+    assert.deepEqual(delivery.result, { status: 204, attempts: 2 });
+    assert.equal(received.length, 2);
+
+    const { headers, body } = received[1];
+    assert.equal(verifySignature(body, headers['x-signature-256'], 's3cret'), true);
+    const notification = JSON.parse(body);
+    assert.equal(headers['x-notification-id'], notification.id);
+    assert.deepEqual(types(notification.events), ['statusChanged', 'plotChanged']);
+    assert.equal(notification.summary[0], 'statusChanged status: "Ongoing" -> "Completed"');
+  } finally {
+    server.close();
+  }
+});
+
+test('webhook headers can\'t replace the signature, and a 413 is not retried', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(received.length === 1 ? 204 : 413).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const notifier = createNotifier({
+      channels: {
+        hook: {
+          type: 'webhook',
+          url: `http://127.0.0.1:${server.address().port}/hook`,
+          secret: 's3cret',
+          retries: 2,
+          headers: { 'X-Signature-256': 'sha256=forged', 'x-signature-256': 'sha256=forged', 'X-Team': 'surveyors' },
+        },
+      },
+    });
+    const [signed] = await notifier.notify(change);
+    const [tooLarge] = await notifier.notify(change);
+    await notifier.close();
+
+    assert.equal(signed.ok, true);
+    const { headers, body } = received[0];
+    assert.equal(verifySignature(body, headers['x-signature-256'], 's3cret'), true);
+    assert.equal(headers['x-team'], 'surveyors');
+
+    assert.equal(tooLarge.ok, false);
+    assert.equal(tooLarge.error.details.status, 413);
+    assert.equal(received.length, 2);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,216 @@
+/**
+ * Output Formats
+ *
+ * Turns canonical records (or any list of flat rows) into the formats the
+ * CLI writes: pretty JSON, NDJSON, CSV and GeoJSON. Formatting is kept apart
+ * from writing, so the same text can go to a file, stdout or a response.
+ *
+ * @module output
+ */
+
+import { mkdir, writeFile, appendFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { ScraperError } from './errors.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const OUTPUT_FORMATS = ['json', 'ndjson', 'csv', 'geojson'];
+
+// task2/output, where every command writes unless told otherwise
+const DEFAULT_OUTPUT_DIR = join(dirname(fileURLToPath(import.meta.url)), '../output');
+
+// CSV columns for a canonical record: header and field path
+const RECORD_COLUMNS = [
+  ['council', 'council.id'],
+  ['reference', 'reference.primary'],
+  ['sourceId', 'reference.sourceId'],
+  ['found', 'found'],
+  ['typeCode', 'type.code'],
+  ['typeLabel', 'type.label'],
+  ['description', 'description'],
+  ['status', 'status'],
+  ['decision', 'decision.outcome'],
+  ['decisionDate', 'decision.date'],
+  ['receivedDate', 'dates.received'],
+  ['validDate', 'dates.valid'],
+  ['commencementDate', 'dates.commencement'],
+  ['completionDate', 'dates.completion'],
+  ['expiryDate', 'dates.expiry'],
+  ['address', 'site.address'],
+  ['uprn', 'site.uprn'],
+  ['ward', 'site.ward'],
+  ['parish', 'site.parish'],
+  ['applicant', 'parties.applicant.name'],
+  ['agent', 'parties.agent.name'],
+  ['valueOfWork', 'valueOfWork.amount'],
+  ['plots', 'plots.length'],
+  ['certificates', 'certificates.length'],
+  ['documents', 'documents.length'],
+  ['relatedCases', 'relatedCases.length'],
+  ['longitude', 'geometry.centroid.0'],
+  ['latitude', 'geometry.centroid.1'],
+  ['sourceUrl', 'source.url'],
+  ['scrapedAt', 'source.scrapedAt'],
+];
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Reads a dotted path (plots.length, geometry.centroid.0) from an object
+ *
+ * @param {Object} obj - Object to read
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or null if any step is missing
+ */
+function getPath(obj, path) {
+  const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), obj);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Whether a value looks like a canonical record
+ *
+ * @param {*} value - Value to test
+ * @returns {boolean} True for canonical records
+ */
+function isCanonicalRecord(value) {
+  return Boolean(value && typeof value === 'object' && value.schemaVersion && value.council && value.reference);
+}
+
+/**
+ * Flattens a canonical record into a CSV row
+ *
+ * @param {import('./schema/record.js').CanonicalRecord} record - Canonical record
+ * @returns {Object<string, *>} Row keyed by column header
+ */
+function recordRow(record) {
+  return Object.fromEntries(RECORD_COLUMNS.map(([header, path]) => [header, getPath(record, path)]));
+}
+
+/**
+ * Quotes one CSV cell where needed
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows as CSV; the header is the union of every row's keys
+ * Canonical records are flattened with recordRow first.
+ *
+ * @param {Array<Object>} rows - Rows or canonical records
+ * @returns {string} CSV text ending in a newline
+ */
+function toCsv(rows) {
+  const flat = rows.map(row => (isCanonicalRecord(row) ? recordRow(row) : row));
+  const headers = [...new Set(flat.flatMap(row => Object.keys(row)))];
+  const lines = [headers.map(csvCell).join(',')];
+  flat.forEach(row => lines.push(headers.map(header => csvCell(row[header])).join(',')));
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Turns canonical records into a GeoJSON FeatureCollection
+ * Records without geometry are left out; each feature's properties are the
+ * record's CSV row.
+ *
+ * @param {Array<import('./schema/record.js').CanonicalRecord>} records - Canonical records
+ * @returns {Object} FeatureCollection
+ */
+function toFeatureCollection(records) {
+  return {
+    type: 'FeatureCollection',
+    features: records
+      .filter(record => isCanonicalRecord(record) && record.geometry?.coordinates)
+      .map(record => ({
+        type: 'Feature',
+        id: `${record.council.id}:${record.reference.sourceId || record.reference.primary}`,
+        geometry: { type: record.geometry.type, coordinates: record.geometry.coordinates },
+        properties: recordRow(record),
+      })),
+  };
+}
+
+/**
+ * Formats one value or a list of them in an output format
+ *
+ * json prints the value as it is; ndjson, csv and geojson treat it as a list
+ * (a single object is a list of one).
+ *
+ * @param {Object|Array<Object>} data - Record, rows or any JSON value
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string} Formatted text
+ * @throws {ScraperError} If the format is unknown
+ */
+function formatOutput(data, format = 'json') {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ScraperError(
+      `Unknown output format: ${format} (expected one of ${OUTPUT_FORMATS.join(', ')})`,
+      'INVALID_FORMAT',
+      { format }
+    );
+  }
+
+  const list = Array.isArray(data) ? data : [data];
+  if (format === 'ndjson') return list.map(item => `${JSON.stringify(item)}\n`).join('');
+  if (format === 'csv') return toCsv(list);
+  if (format === 'geojson') return JSON.stringify(toFeatureCollection(list), null, 2);
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Swaps a filename's extension for the format's
+ *
+ * @param {string} filename - Filename, usually ending in .json
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string} Filename for the format
+ */
+function formatFilename(filename, format = 'json') {
+  return `${filename.replace(/\.[a-z]+$/i, '')}.${format}`;
+}
+
+// ============================================================================
+// Writing
+// ============================================================================
+
+/**
+ * Writes text to a file in an output directory, creating the directory
+ *
+ * @param {string} text - File content
+ * @param {string} filename - File name
+ * @param {Object} [options] - Write options
+ * @param {string} [options.outDir] - Directory (default: task2/output)
+ * @param {boolean} [options.append=false] - Append instead of replacing
+ * @returns {Promise<string>} Path written
+ */
+async function writeOutput(text, filename, options = {}) {
+  const { outDir = DEFAULT_OUTPUT_DIR, append = false } = options;
+  await mkdir(outDir, { recursive: true });
+
+  const filepath = join(outDir, filename);
+  await (append ? appendFile : writeFile)(filepath, text, 'utf-8');
+  return filepath;
+}
+
+export {
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT_DIR,
+  RECORD_COLUMNS,
+  isCanonicalRecord,
+  recordRow,
+  toCsv,
+  toFeatureCollection,
+  formatOutput,
+  formatFilename,
+  writeOutput,
+};
@@ -0,0 +1,209 @@
+/**
+ * Schedules
+ *
+ * Cron-style schedules for the watchlist: five fields - minute, hour, day of
+ * month, month, day of week - each *, a number, a range (1-5), a list
+ * (0,30) or a step (*\/15, 8-18/2). Months and weekdays take names too
+ * (jan, mon). As in cron, when both day fields are restricted a day matching
+ * either one counts, and times are in the machine's time zone.
+ *
+ * @module schedule
+ */
+
+import { ScraperError } from './errors.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Shorthands accepted in place of the five fields
+const SCHEDULE_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Each field's range, and the names it accepts (name index + offset = value)
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// nextRun gives up after this many years without a match (e.g. 30 feb)
+const SEARCH_YEARS = 5;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * @typedef {Object} Schedule
+ * @property {string} expression - The expression as given
+ * @property {Set<number>} minute - Matching minutes
+ * @property {Set<number>} hour - Matching hours
+ * @property {Set<number>} dayOfMonth - Matching days of the month
+ * @property {Set<number>} month - Matching months (1-12)
+ * @property {Set<number>} dayOfWeek - Matching weekdays (0 = Sunday)
+ * @property {boolean} anyDayOfMonth - The day-of-month field was * or a step over it (*\/2)
+ * @property {boolean} anyDayOfWeek - The day-of-week field was * or a step over it
+ */
+
+/**
+ * Reads one value of a field: a number or, for months and weekdays, a name
+ *
+ * @param {string} text - Value
+ * @param {Object} field - Entry of FIELDS
+ * @param {string} expression - Whole expression, for the error
+ * @returns {number} Value
+ * @throws {ScraperError} If the value isn't valid for the field
+ */
+function parseValue(text, field, expression) {
+  const named = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = named >= 0 ? named + field.offset : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= field.min && value <= field.max)) {
+    throw new ScraperError(`Invalid ${field.name} in schedule "${expression}": ${text}`, 'INVALID_SCHEDULE', {
+      expression,
+      field: field.name,
+      value: text,
+    });
+  }
+  return value;
+}
+
+/**
+ * Expands one field into the values it matches
+ *
+ * @param {string} text - Field text (*, 5, 1-5, 0,30, *\/15)
+ * @param {Object} field - Entry of FIELDS
+ * @param {string} expression - Whole expression, for errors
+ * @returns {Set<number>} Matching values
+ * @throws {ScraperError} If the field is malformed
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1 || !range) {
+      throw new ScraperError(`Invalid ${field.name} in schedule "${expression}": ${part}`, 'INVALID_SCHEDULE', {
+        expression,
+        field: field.name,
+        value: part,
+      });
+    }
+
+    let [from, to] = [field.min, field.max];
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field, expression);
+      // A lone value with a step runs to the end of the range, as in cron
+      to = end !== undefined ? parseValue(end, field, expression) : stepText !== undefined ? field.max : from;
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a cron-style schedule
+ *
+ * @param {string} expression - Five fields, or an alias (@hourly, @daily, @weekly, @monthly)
+ * @returns {Schedule} Parsed schedule
+ * @throws {ScraperError} If the expression is malformed
+ */
+function parseSchedule(expression) {
+  const text = String(expression ?? '').trim();
+  const fields = (SCHEDULE_ALIASES[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new ScraperError(
+      `Invalid schedule "${text}": expected minute hour day month weekday, or ${Object.keys(SCHEDULE_ALIASES).join(', ')}`,
+      'INVALID_SCHEDULE',
+      { expression: text }
+    );
+  }
+
+  const schedule = { expression: text };
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(fields[i], field, text);
+  });
+  // 7 is Sunday too
+  if (schedule.dayOfWeek.delete(7)) schedule.dayOfWeek.add(0);
+  schedule.anyDayOfMonth = fields[2].startsWith('*');
+  schedule.anyDayOfWeek = fields[4].startsWith('*');
+  return schedule;
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Whether a schedule runs on a date's day
+ *
+ * @param {Schedule} schedule - Parsed schedule
+ * @param {Date} date - Date
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(schedule, date) {
+  const byMonthDay = schedule.dayOfMonth.has(date.getDate());
+  const byWeekDay = schedule.dayOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth) return byWeekDay;
+  if (schedule.anyDayOfWeek) return byMonthDay;
+  return byMonthDay || byWeekDay;
+}
+
+/**
+ * Finds the next time a schedule runs, strictly after a date
+ *
+ * @param {Schedule|string} schedule - Parsed schedule or expression
+ * @param {Date|string|number} [after] - Start point (default: now)
+ * @returns {Date} Next run, to the minute
+ * @throws {ScraperError} If the expression is malformed or never matches
+ */
+function nextRun(schedule, after = new Date()) {
+  const parsed = typeof schedule === 'string' ? parseSchedule(schedule) : schedule;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  // Jump a month, day or hour at a time until every field matches
+  while (date < limit) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new ScraperError(`Schedule "${parsed.expression}" never runs`, 'INVALID_SCHEDULE', {
+    expression: parsed.expression,
+  });
+}
+
+export {
+  SCHEDULE_ALIASES,
+  parseSchedule,
+  nextRun,
+};
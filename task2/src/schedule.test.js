@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSchedule, nextRun } from './schedule.js';
+
+// Local times, as schedules are read in the machine's time zone
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+test('parseSchedule expands fields, names and aliases', () => {
+  const schedule = parseSchedule('0,30 8-18/5 * jan-mar mon');
+  assert.deepEqual([...schedule.minute], [0, 30]);
+  assert.deepEqual([...schedule.hour], [8, 13, 18]);
+  assert.deepEqual([...schedule.month], [1, 2, 3]);
+  assert.deepEqual([...schedule.dayOfWeek], [1]);
+  assert.equal(schedule.anyDayOfMonth, true);
+  assert.equal(schedule.anyDayOfWeek, false);
+
+  assert.deepEqual([...parseSchedule('@weekly').dayOfWeek], [0]);
+  assert.deepEqual([...parseSchedule('0 0 * * 7').dayOfWeek], [0]);
+  assert.deepEqual([...parseSchedule('0 0 * * 5-7').dayOfWeek].sort(), [0, 5, 6]);
+});
+
+test('parseSchedule rejects malformed expressions', () => {
+  for (const expression of ['', '* * *', '60 * * * *', '0 24 * * *', '*/0 * * * *', '0 0 0 * *', '0 0 * foo *', '0 0 * * 8']) {
+    assert.throws(() => parseSchedule(expression), { code: 'INVALID_SCHEDULE' }, expression);
+  }
+});
+
+test('nextRun finds the next matching minute, strictly after the start', () => {
+  assert.deepEqual(nextRun('30 6 * * *', at(2025, 7, 1, 6, 30)), at(2025, 7, 2, 6, 30));
+  assert.deepEqual(nextRun('30 6 * * *', new Date(2025, 6, 1, 6, 29, 59)), at(2025, 7, 1, 6, 30));
+  assert.deepEqual(nextRun('@monthly', at(2025, 12, 15)), at(2026, 1, 1));
+  assert.deepEqual(nextRun('0 9 29 2 *', at(2025, 3, 1)), at(2028, 2, 29, 9));
+});
+
+test('nextRun takes Sunday as 0 or 7', () => {
+  // 1 July 2025 is a Tuesday
+  assert.deepEqual(nextRun('0 0 * * 7', at(2025, 7, 1)), at(2025, 7, 6));
+  assert.deepEqual(nextRun('0 0 * * sun', at(2025, 7, 1)), at(2025, 7, 6));
+});
+
+test('nextRun matches either day field only when both are restricted', () => {
+  // 1st of the month or a Friday
+  assert.deepEqual(nextRun('0 9 1 * fri', at(2025, 7, 1, 10)), at(2025, 7, 4, 9));
+  // A step over * doesn't restrict the day of month, so only Mondays match
+  assert.deepEqual(nextRun('0 9 */2 * mon', at(2025, 7, 1, 10)), at(2025, 7, 7, 9));
+  assert.deepEqual(nextRun('0 9 10 * */7', at(2025, 7, 1, 10)), at(2025, 7, 10, 9));
+});
+
+test('nextRun rejects a schedule that never runs', () => {
+  assert.throws(() => nextRun('0 0 30 2 *', at(2025, 1, 1)), { code: 'INVALID_SCHEDULE', message: /never runs/ });
+});
@@ -0,0 +1,178 @@
+/**
+ * Idox Normalizer
+ *
+ * Maps the Idox scraper's tab-by-tab output (summary, details, dates, plots,
+ * certificates, relatedItems, geometry) onto the canonical record. Tabs a
+ * case type doesn't have are simply absent from the raw output.
+ *
+ * @module schema/idox
+ */
+
+import { createRecord, normalizeDocument, normalizePlot, pick, party } from './record.js';
+import { applyTypedValues } from './values.js';
+
+// Scraper certificate groups and the canonical kind for each
+const CERTIFICATE_KINDS = {
+  design: 'design',
+  construction: 'construction',
+  energy: 'energy',
+  completion: 'completion',
+};
+
+/**
+ * Normalizes one Idox certificate entry
+ * Certificate numbers are labelled per type (certificateOfDesignNo, ...), so
+ * the number is found by key pattern.
+ *
+ * @param {string} kind - Canonical certificate kind
+ * @param {Object} cert - Raw certificate fields
+ * @returns {Object} Canonical certificate
+ */
+function normalizeCertificate(kind, cert) {
+  const numberKey = Object.keys(cert).find(key => /^certificate(of\w+)?No$/i.test(key));
+
+  return {
+    kind,
+    number: numberKey ? cert[numberKey] : null,
+    scheme: pick(cert, 'designScheme', 'constructionScheme', 'scheme'),
+    section: pick(cert, 'designSection', 'constructionSection', 'section'),
+    scope: pick(cert, 'workCertified'),
+    date: pick(cert, 'certificateDate', 'dateOfCertificate'),
+    checkedDate: pick(cert, 'dateCertificateChecked'),
+    certifier: {
+      name: pick(cert, 'certifiersName', 'certifierName'),
+      registrationNo: pick(cert, 'certifiersRegistrationNo', 'registrationNo'),
+      body: pick(cert, 'certifyingBody', 'approvedCertifierBody'),
+    },
+  };
+}
+
+/**
+ * Maps raw Idox scraper output to the canonical record
+ *
+ * @param {Object} raw - Result of scrapeIdoxCase
+ * @param {{id: string, name: string}} council - Council identity
+ * @returns {import('./record.js').CanonicalRecord} Canonical record
+ */
+function normalizeIdox(raw, council) {
+  const record = createRecord(council, raw);
+  const summary = raw.summary || {};
+  const details = raw.details || {};
+  const dates = raw.dates || {};
+  const contacts = raw.contacts || {};
+  const related = raw.relatedItems || {};
+
+  const primary = pick(summary, 'applicationReferenceNumber', 'referenceNumber', 'reference')
+    || pick(details, 'applicationReferenceNumber', 'reference');
+
+  // dates too, so a record scraped for its dates alone still counts as found
+  record.found = Boolean(raw.summary || raw.details || raw.dates);
+  record.reference = {
+    primary,
+    sourceId: raw.metadata?.keyVal || null,
+    alternative: details.alternativeReference ? [details.alternativeReference] : [],
+  };
+
+  // Idox references end in their case type, e.g. 25/02273/WARR or 25/01234/FUL
+  record.type = {
+    code: primary?.includes('/') ? primary.split('/').pop() : null,
+    label: pick(summary, 'applicationType') || pick(details, 'applicationType', 'caseType'),
+  };
+
+  record.description = pick(summary, 'descriptionOfWorks', 'proposal') || pick(details, 'descriptionOfWorks', 'proposal');
+  record.status = pick(summary, 'status');
+  record.decision = {
+    outcome: pick(summary, 'decision') || pick(details, 'decisionIssued', 'decision'),
+    date: pick(summary, 'decisionDate', 'decisionIssuedDate') || pick(dates, 'decisionDate', 'decisionIssuedDate'),
+  };
+
+  record.dates = {
+    received: pick(summary, 'receivedDate', 'applicationReceived') || pick(dates, 'applicationReceived', 'applicationReceivedDate', 'receivedDate'),
+    valid: pick(summary, 'applicationValidDate', 'applicationValidated') || pick(dates, 'applicationValidDate', 'applicationValidatedDate', 'validDate'),
+    decision: record.decision.date,
+    commencement: pick(dates, 'commencementDate', 'workCommencedDate'),
+    completion: pick(dates, 'completionDate', 'completionCertificateAcceptedDate'),
+    expiry: pick(details, 'warrantExpiryDate') || pick(dates, 'permissionExpiryDate'),
+  };
+
+  // Planning applications carry names on the details tab and full contact
+  // entries on the contacts tab; warrants only have the details tab
+  record.parties = {
+    applicant: party(
+      pick(details, 'applicantsName', 'applicantName') || pick(contacts.applicant, 'name'),
+      pick(details, 'applicantsAddress', 'applicantAddress') || pick(contacts.applicant, 'address')
+    ),
+    agent: party(
+      pick(details, 'agentName', 'agentCompanyName') || pick(contacts.agent, 'name'),
+      pick(details, 'agentAddress') || pick(contacts.agent, 'address')
+    ),
+    caseOfficer: pick(details, 'caseOfficer'),
+    verifier: pick(details, 'verifiersName', 'verifier'),
+  };
+
+  // Property histories (followProperties) add the UPRN and every case at the address
+  const histories = new Map((raw.propertyHistory || []).map(history => [history.metadata.keyVal, history]));
+  const properties = (related.properties || []).map(property => {
+    const history = histories.get(property.keyVal);
+    return {
+      address: history?.address || property.address || null,
+      uprn: history?.uprn || property.uprn || null,
+      keyVal: property.keyVal || null,
+      url: property.url || null,
+      cases: history?.cases || [],
+    };
+  });
+  const uprns = [...new Set(properties.map(property => property.uprn).filter(Boolean))];
+
+  record.site = {
+    address: pick(summary, 'siteAddress', 'address'),
+    parish: null,
+    ward: pick(summary, 'ward') || pick(details, 'ward'),
+    uprn: uprns.length === 1 ? uprns[0] : null,
+    properties,
+  };
+
+  record.valueOfWork = pick(details, 'valueOfWork');
+  record.conditions = pick(details, 'conditionscontinuingRequirements', 'conditions');
+  record.plots = (raw.plots || []).map(normalizePlot);
+
+  record.certificates = Object.entries(CERTIFICATE_KINDS).flatMap(([group, kind]) =>
+    (raw.certificates?.[group] || []).map(cert => normalizeCertificate(kind, cert))
+  );
+
+  record.constraints = (raw.constraints || []).map(constraint => ({
+    name: pick(constraint, 'name', 'constraint'),
+    type: pick(constraint, 'constraintType', 'type'),
+    status: pick(constraint, 'status'),
+  }));
+
+  record.documents = (raw.documents || []).map(normalizeDocument);
+
+  // Each related case carries its Idox case type (planningApplication, scottishBuildingWarrant, enforcement, ...)
+  record.relatedCases = [
+    ...(related.buildingWarrants || []),
+    ...(related.planningApplications || []),
+    ...(related.otherCases || []),
+  ].map(item => ({
+    reference: item.reference || null,
+    type: item.caseType || null,
+    description: item.description || null,
+    status: item.status || null,
+    address: item.address || null,
+    keyVal: item.keyVal || null,
+    url: item.url || null,
+  }));
+
+  record.linkedRecords = (raw.planningApplications || []).map(linked => normalizeIdox(linked, council));
+  record.geometry = raw.geometry || null;
+  record.source = {
+    url: raw.metadata?.sourceUrl || null,
+    scrapedAt: raw.metadata?.scrapedAt || null,
+    scraperVersion: raw.metadata?.scraperVersion || null,
+    notRequested: raw.metadata?.notRequested || [],
+  };
+
+  return applyTypedValues(record);
+}
+
+export { normalizeIdox };
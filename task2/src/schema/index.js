@@ -0,0 +1,10 @@
+/**
+ * Canonical record schema and council normalizers
+ *
+ * @module schema
+ */
+
+export { SCHEMA_VERSION, createRecord, normalizeDocument, normalizePlot } from './record.js';
+export { normalizeIdox } from './idox.js';
+export { normalizeWnc } from './wnc.js';
+export { parseDate, parseMoney, parseBoolean, applyTypedValues } from './values.js';
@@ -0,0 +1,154 @@
+/**
+ * Canonical Building Control Record
+ *
+ * One versioned shape for every council. Council normalizers fill it in from
+ * their scraper's raw output; the raw output itself is kept under `raw` so
+ * nothing is lost while debugging a mapping.
+ *
+ * Bump SCHEMA_VERSION when the shape changes: minor for added fields, major
+ * for renamed or removed ones.
+ *
+ * @module schema/record
+ */
+
+const SCHEMA_VERSION = '2.5.0';
+
+/**
+ * @typedef {Object} CanonicalRecord
+ * @property {string} schemaVersion - Version of this shape
+ * @property {{id: string, name: string}} council - Council the record came from
+ * @property {boolean} found - False when the council has no such record
+ * @property {Object} reference - primary (council case number), sourceId (what the scraper was given), alternative[]
+ * @property {Object} type - code (e.g. FP, WARR) and label (e.g. Full Plans)
+ * @property {string|null} description - Description of works
+ * @property {string|null} status - Case status as shown by the council
+ * @property {Object} decision - outcome and date (YYYY-MM-DD)
+ * @property {Object} dates - received, valid, decision, commencement, completion, expiry (YYYY-MM-DD)
+ * @property {Object} parties - applicant, agent, caseOfficer, verifier
+ * @property {Object} site - address, parish, ward, uprn, properties[] (address, uprn, keyVal, url, cases[])
+ * @property {{amount: number, currency: string}|null} valueOfWork - Declared value of work
+ * @property {string|null} conditions - Conditions or continuing requirements
+ * @property {Array<Object>} plots - number, address, status, dates, allCertificatesReceived (boolean)
+ * @property {Array<Object>} certificates - kind, number, scheme, scope, dates, certifier
+ * @property {Array<Object>} constraints - Planning constraints: name, type, status
+ * @property {Array<Object>} documents - type, date, description, url, file (path, sha256, size, mimeType) once downloaded
+ * @property {Array<Object>} relatedCases - reference, type, description, status, address, keyVal (Idox), url
+ * @property {Array<CanonicalRecord>} linkedRecords - Related cases scraped alongside this one
+ * @property {Object|null} geometry - GeoJSON-style polygon with centroid
+ * @property {Object} source - url, scrapedAt, scraperVersion, notRequested (scraper sections skipped by include/exclude - their fields are empty because they weren't read, not because the council has nothing)
+ * @property {Object<string, string>} originals - Display text of every typed field, by field path
+ * @property {Array<Object>} warnings - Fields whose text could not be typed: field, value, message
+ * @property {Object} raw - The scraper's original output
+ */
+
+/**
+ * Returns the first value among the given keys that is present
+ *
+ * @param {Object} obj - Object to read from
+ * @param {...string} keys - Candidate keys in priority order
+ * @returns {*} First non-empty value, or null
+ */
+function pick(obj, ...keys) {
+  if (!obj) return null;
+  for (const key of keys) {
+    const value = obj[key];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+}
+
+/**
+ * Builds a person/organisation entry, or null if it has no content
+ *
+ * @param {string|null} name - Name
+ * @param {string|null} address - Address
+ * @returns {{name: string|null, address: string|null}|null} Party
+ */
+function party(name, address = null) {
+  return name || address ? { name: name || null, address: address || null } : null;
+}
+
+/**
+ * Creates an empty canonical record for a council
+ *
+ * @param {{id: string, name: string}} council - Council identity
+ * @param {Object} raw - The scraper's original output
+ * @returns {CanonicalRecord} Record with every field present and empty
+ */
+function createRecord(council, raw) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    council: { id: council.id, name: council.name },
+    found: false,
+    reference: { primary: null, sourceId: null, alternative: [] },
+    type: { code: null, label: null },
+    description: null,
+    status: null,
+    decision: { outcome: null, date: null },
+    dates: {
+      received: null,
+      valid: null,
+      decision: null,
+      commencement: null,
+      completion: null,
+      expiry: null,
+    },
+    parties: { applicant: null, agent: null, caseOfficer: null, verifier: null },
+    site: { address: null, parish: null, ward: null, uprn: null, properties: [] },
+    valueOfWork: null,
+    conditions: null,
+    plots: [],
+    certificates: [],
+    constraints: [],
+    documents: [],
+    relatedCases: [],
+    linkedRecords: [],
+    geometry: null,
+    source: { url: null, scrapedAt: null, scraperVersion: null, notRequested: [] },
+    originals: {},
+    warnings: [],
+    raw,
+  };
+}
+
+/**
+ * Normalizes a document entry from either council
+ *
+ * @param {Object} doc - Raw document (Idox: type, date, description; WNC: name)
+ * @returns {Object} Canonical document
+ */
+function normalizeDocument(doc) {
+  return {
+    type: pick(doc, 'type', 'documentType'),
+    date: pick(doc, 'date', 'datePublished'),
+    description: pick(doc, 'description', 'name'),
+    url: doc.url || null,
+    file: doc.file || null,
+  };
+}
+
+/**
+ * Normalizes a plot row from either council
+ *
+ * @param {Object} plot - Raw plot fields (camelCase)
+ * @returns {Object} Canonical plot
+ */
+function normalizePlot(plot) {
+  return {
+    number: pick(plot, 'plotNumber', 'plotNo', 'plot'),
+    address: pick(plot, 'plotAddress', 'address'),
+    status: pick(plot, 'plotStatus', 'status'),
+    commencementDate: pick(plot, 'commencementDate', 'dateCommenced'),
+    completionDate: pick(plot, 'completionDate', 'dateCompleted'),
+    allCertificatesReceived: pick(plot, 'allCertificatesReceived'),
+  };
+}
+
+export {
+  SCHEMA_VERSION,
+  createRecord,
+  normalizeDocument,
+  normalizePlot,
+  pick,
+  party,
+};
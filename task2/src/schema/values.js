@@ -0,0 +1,229 @@
+/**
+ * Typed Values
+ *
+ * Scrapers return every field as display text ("Tue 16 Sep 2025",
+ * "07/07/2025", "£50,000.00", "No"). These parsers turn that text into ISO
+ * 8601 dates, money amounts and booleans. A parser never throws: text it
+ * cannot recognise comes back with a null value and a warning.
+ *
+ * @module schema/values
+ */
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+const CURRENCY_SYMBOLS = {
+  '£': 'GBP',
+  '€': 'EUR',
+  '$': 'USD',
+};
+
+const BOOLEAN_WORDS = {
+  yes: true, y: true, true: true,
+  no: false, n: false, false: false,
+};
+
+/**
+ * @typedef {Object} ParsedValue
+ * @property {*} value - Typed value, or null if the text was not recognised
+ * @property {string|null} warning - Why the text was not recognised
+ */
+
+/**
+ * Builds an ISO date string after checking the day exists in the month
+ *
+ * @param {number} year - Four digit year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string|null} YYYY-MM-DD, or null for an impossible date
+ */
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses a council date into ISO 8601 (YYYY-MM-DD)
+ * Accepts "Tue 16 Sep 2025", "02 Dec 2028", "16 September 2025",
+ * "07/07/2025" (UK day-first) and "2025-07-07".
+ *
+ * @param {string|null} text - Date as displayed
+ * @returns {ParsedValue} Parsed date
+ */
+function parseDate(text) {
+  if (text === null || text === undefined || text === '') return { value: null, warning: null };
+
+  const trimmed = String(text).trim();
+  let match;
+  let value = null;
+
+  if ((match = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    value = isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  } else if ((match = trimmed.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+    value = isoDate(Number(match[3]), Number(match[2]), Number(match[1]));
+  } else if ((match = trimmed.match(/^(?:[a-z]{3,9},?\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\.?,?\s+(\d{4})$/i))) {
+    const month = MONTHS[match[2].slice(0, 3).toLowerCase()];
+    value = month ? isoDate(Number(match[3]), month, Number(match[1])) : null;
+  }
+
+  return value
+    ? { value, warning: null }
+    : { value: null, warning: `Unrecognised date: "${trimmed}"` };
+}
+
+/**
+ * Parses a money amount such as "£50,000.00" or "GBP 1200"
+ * Anything besides the currency and a plain number - "50k", "£1.2m", "approx
+ * £500" - is not recognised rather than read as a different amount.
+ *
+ * @param {string|null} text - Amount as displayed
+ * @param {Object} options - Parse options
+ * @param {string} options.defaultCurrency - Currency when the text has none (default: GBP)
+ * @returns {ParsedValue} Parsed value as { amount, currency }
+ */
+function parseMoney(text, options = {}) {
+  const { defaultCurrency = 'GBP' } = options;
+  if (text === null || text === undefined || text === '') return { value: null, warning: null };
+
+  const trimmed = String(text).trim();
+  // An optional currency code or symbol either side of the number
+  const match = trimmed.match(/^(?:([A-Z]{3})\s*)?(-)?\s*([£€$])?\s*(-?)(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?:\s*([A-Z]{3}))?$/);
+  if (!match || (match[1] && match[7]) || (match[2] && match[4])) {
+    return { value: null, warning: `Unrecognised amount: "${trimmed}"` };
+  }
+
+  const [, codeBefore, signBefore, symbol, signAfter, whole, fraction = '', codeAfter] = match;
+  const code = codeBefore || codeAfter;
+  const number = `${signBefore || signAfter}${whole.replace(/,/g, '')}${fraction}`;
+
+  return {
+    value: {
+      amount: Number(number),
+      currency: symbol ? CURRENCY_SYMBOLS[symbol] : (code || defaultCurrency),
+    },
+    warning: null,
+  };
+}
+
+/**
+ * Parses a yes/no answer into a boolean
+ *
+ * @param {string|boolean|null} text - Answer as displayed
+ * @returns {ParsedValue} Parsed boolean
+ */
+function parseBoolean(text) {
+  if (text === null || text === undefined || text === '') return { value: null, warning: null };
+  if (typeof text === 'boolean') return { value: text, warning: null };
+
+  const trimmed = String(text).trim();
+  const value = BOOLEAN_WORDS[trimmed.toLowerCase()];
+
+  return value === undefined
+    ? { value: null, warning: `Unrecognised yes/no value: "${trimmed}"` }
+    : { value, warning: null };
+}
+
+// Canonical record fields that hold typed values, by parser
+const TYPED_FIELDS = {
+  date: [
+    'decision.date',
+    'dates.received',
+    'dates.valid',
+    'dates.decision',
+    'dates.commencement',
+    'dates.completion',
+    'dates.expiry',
+    'plots[].commencementDate',
+    'plots[].completionDate',
+    'certificates[].date',
+    'certificates[].checkedDate',
+    'documents[].date',
+  ],
+  money: ['valueOfWork'],
+  boolean: ['plots[].allCertificatesReceived'],
+};
+
+const PARSERS = {
+  date: parseDate,
+  money: parseMoney,
+  boolean: parseBoolean,
+};
+
+/**
+ * Expands a field path with [] array segments into concrete paths
+ *
+ * @param {Object} record - Record to expand against
+ * @param {string} path - Path such as 'plots[].commencementDate'
+ * @returns {Array<{parent: Object, key: string, path: string}>} Concrete locations
+ */
+function resolvePaths(record, path) {
+  let locations = [{ parent: null, value: record, path: '' }];
+
+  for (const segment of path.split('.')) {
+    const isArray = segment.endsWith('[]');
+    const key = isArray ? segment.slice(0, -2) : segment;
+    const next = [];
+
+    for (const location of locations) {
+      const container = location.value;
+      if (!container || typeof container !== 'object') continue;
+
+      const childPath = location.path ? `${location.path}.${key}` : key;
+      if (isArray) {
+        (container[key] || []).forEach((item, idx) => {
+          next.push({ parent: container[key], key: idx, value: item, path: `${childPath}[${idx}]` });
+        });
+      } else {
+        next.push({ parent: container, key, value: container[key], path: childPath });
+      }
+    }
+    locations = next;
+  }
+
+  return locations;
+}
+
+/**
+ * Converts a canonical record's display text into typed values in place.
+ * The text of every converted field is kept in record.originals (by field
+ * path) and anything unrecognised is listed in record.warnings.
+ *
+ * @param {import('./record.js').CanonicalRecord} record - Record with text values
+ * @returns {import('./record.js').CanonicalRecord} The same record, typed
+ */
+function applyTypedValues(record) {
+  record.originals = record.originals || {};
+  record.warnings = record.warnings || [];
+
+  for (const [type, paths] of Object.entries(TYPED_FIELDS)) {
+    for (const path of paths) {
+      for (const location of resolvePaths(record, path)) {
+        const text = location.value;
+        if (text === null || text === undefined || typeof text !== 'string') continue;
+
+        const { value, warning } = PARSERS[type](text);
+        location.parent[location.key] = value;
+        record.originals[location.path] = text;
+
+        if (warning) {
+          record.warnings.push({ field: location.path, value: text, message: warning });
+        }
+      }
+    }
+  }
+
+  return record;
+}
+
+export {
+  parseDate,
+  parseMoney,
+  parseBoolean,
+  applyTypedValues,
+  TYPED_FIELDS,
+};
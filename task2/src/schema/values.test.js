@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate, parseMoney, parseBoolean, applyTypedValues } from './values.js';
+
+test('parseDate reads council date formats into ISO dates', () => {
+  assert.equal(parseDate('Tue 16 Sep 2025').value, '2025-09-16');
+  assert.equal(parseDate('02 Dec 2028').value, '2028-12-02');
+  assert.equal(parseDate('16 September 2025').value, '2025-09-16');
+  assert.equal(parseDate('1st March 2024').value, '2024-03-01');
+  assert.equal(parseDate('07/08/2025').value, '2025-08-07');
+  assert.equal(parseDate('2025-07-07').value, '2025-07-07');
+});
+
+test('parseDate warns about impossible and unrecognised dates', () => {
+  for (const text of ['31/02/2025', '30 Feb 2024', 'next Tuesday', '16 Sept-ish 2025']) {
+    const { value, warning } = parseDate(text);
+    assert.equal(value, null, text);
+    assert.match(warning, /Unrecognised date/, text);
+  }
+  assert.deepEqual(parseDate(''), { value: null, warning: null });
+  assert.deepEqual(parseDate(null), { value: null, warning: null });
+});
+
+test('parseMoney reads amounts and their currency', () => {
+  assert.deepEqual(parseMoney('£50,000.00').value, { amount: 50000, currency: 'GBP' });
+  assert.deepEqual(parseMoney('GBP 1200').value, { amount: 1200, currency: 'GBP' });
+  assert.deepEqual(parseMoney('1200 EUR').value, { amount: 1200, currency: 'EUR' });
+  assert.deepEqual(parseMoney('$3.50').value, { amount: 3.5, currency: 'USD' });
+  assert.deepEqual(parseMoney('-£20').value, { amount: -20, currency: 'GBP' });
+  assert.deepEqual(parseMoney('750', { defaultCurrency: 'EUR' }).value, { amount: 750, currency: 'EUR' });
+});
+
+test('parseMoney warns rather than misreading suffixed or odd amounts', () => {
+  for (const text of ['50k', '£1.2m', 'approx £500', '£5,00', '12,34', 'TBC']) {
+    const { value, warning } = parseMoney(text);
+    assert.equal(value, null, text);
+    assert.match(warning, /Unrecognised amount/, text);
+  }
+});
+
+test('parseBoolean reads yes/no answers', () => {
+  assert.equal(parseBoolean('Yes').value, true);
+  assert.equal(parseBoolean(' n ').value, false);
+  assert.equal(parseBoolean(false).value, false);
+  assert.equal(parseBoolean('Maybe').value, null);
+  assert.match(parseBoolean('Maybe').warning, /Unrecognised yes\/no/);
+});
+
+test('applyTypedValues types fields in place and keeps the original text', () => {
+  const record = applyTypedValues({
+    dates: { received: '07/07/2025', decision: 'soon' },
+    valueOfWork: '£50k',
+    plots: [{ allCertificatesReceived: 'Yes' }],
+  });
+  assert.equal(record.dates.received, '2025-07-07');
+  assert.equal(record.dates.decision, null);
+  assert.equal(record.valueOfWork, null);
+  assert.equal(record.plots[0].allCertificatesReceived, true);
+  assert.equal(record.originals['dates.received'], '07/07/2025');
+  assert.deepEqual(record.warnings.map(warning => warning.field), ['dates.decision', 'valueOfWork']);
+});
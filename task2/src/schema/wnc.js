@@ -0,0 +1,97 @@
+/**
+ * WNC Normalizer
+ *
+ * Maps the WNC scraper's output (mainDetails, plots, siteHistory) onto the
+ * canonical record. The register does not publish certificates, parties or
+ * geometry, so those stay empty.
+ *
+ * @module schema/wnc
+ */
+
+import { createRecord, normalizeDocument, normalizePlot, pick, party } from './record.js';
+import { applyTypedValues } from './values.js';
+
+/**
+ * Maps raw WNC scraper output to the canonical record
+ *
+ * @param {Object} raw - Result of scrapeBuildingControl
+ * @param {{id: string, name: string}} council - Council identity
+ * @returns {import('./record.js').CanonicalRecord} Canonical record
+ */
+function normalizeWnc(raw, council) {
+  const record = createRecord(council, raw);
+  const main = raw.mainDetails || {};
+
+  const primary = pick(main, 'referenceNumber', 'applicationNumber') || raw.metadata?.reference || null;
+
+  record.found = Object.keys(main).length > 0;
+  record.reference = {
+    primary,
+    sourceId: raw.metadata?.reference || null,
+    alternative: [],
+  };
+
+  // WNC references start with their type, e.g. FP/2025/0159
+  record.type = {
+    code: primary?.includes('/') ? primary.split('/')[0] : null,
+    label: pick(main, 'applicationType') || raw.applicationTypeInfo?.type || null,
+  };
+
+  record.description = pick(main, 'descriptionOfWorks', 'proposal');
+  record.status = pick(main, 'status');
+  record.decision = {
+    outcome: pick(main, 'decision'),
+    date: pick(main, 'decisionDate'),
+  };
+
+  record.dates = {
+    received: pick(main, 'receivedDate'),
+    valid: pick(main, 'validDate', 'validatedDate'),
+    decision: pick(main, 'decisionDate'),
+    commencement: pick(main, 'commencementDate'),
+    completion: pick(main, 'completionDate'),
+    expiry: pick(main, 'expiryDate'),
+  };
+
+  record.parties = {
+    applicant: party(pick(main, 'applicantName', 'applicant'), pick(main, 'applicantAddress')),
+    agent: party(pick(main, 'agentName', 'agent'), pick(main, 'agentAddress')),
+    caseOfficer: pick(main, 'caseOfficer', 'officer'),
+    verifier: null,
+  };
+
+  record.site = {
+    address: pick(main, 'siteAddress', 'location'),
+    parish: pick(main, 'parish'),
+    ward: pick(main, 'ward'),
+    uprn: pick(main, 'uprn'),
+    properties: [],
+  };
+
+  record.plots = (raw.plots || []).map(normalizePlot);
+  record.documents = (raw.documents || []).map(normalizeDocument);
+
+  // Site history lists every application at the same UPRN, including this one
+  record.relatedCases = (raw.siteHistory || [])
+    .filter(item => item.applicationNumber && item.applicationNumber !== primary)
+    .map(item => ({
+      reference: item.applicationNumber,
+      type: item.applicationType || null,
+      description: item.proposal || null,
+      status: null,
+      address: item.location || null,
+      keyVal: null,
+      url: raw.metadata?.sourceUrl?.replace(/Display\/.*$/, `Display/${item.applicationNumber}`) || null,
+    }));
+
+  record.source = {
+    url: raw.metadata?.sourceUrl || null,
+    scrapedAt: raw.metadata?.scrapedAt || null,
+    scraperVersion: raw.metadata?.scraperVersion || null,
+    notRequested: raw.metadata?.notRequested || [],
+  };
+
+  return applyTypedValues(record);
+}
+
+export { normalizeWnc };
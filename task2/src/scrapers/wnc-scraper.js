@@ -15,10 +15,12 @@
 
 import got from 'got';
 import * as cheerio from 'cheerio';
-import { writeFile, mkdir } from 'fs/promises';
+import { createHash } from 'crypto';
+import { readFile, writeFile, mkdir } from 'fs/promises';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 import { CookieJar } from 'tough-cookie';
+import { ScraperError } from '../errors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -32,6 +34,9 @@ const CONFIG = {
   timeout: 30000,
   retries: 3,
   retryDelay: 1000,
+  searchPath: 'BuildingControl/Search',
+  maxSearchPages: 100,
+  sweepDelay: 500,
 };
 
 // Application type definitions for context
@@ -54,21 +59,34 @@ const APPLICATION_TYPES = {
   },
 };
 
-// ============================================================================
-// Custom Error Classes
-// ============================================================================
+// Reference prefixes (TYPE/YEAR/NUMBER) and the application type each denotes
+const REFERENCE_PREFIXES = {
+  FP: 'Full Plans',
+  BN: 'Building Notice',
+  IN: 'Initial Notice',
+  CP: 'Competent Persons',
+};
 
-/**
- * Custom error for scraping failures
- */
-class ScraperError extends Error {
-  constructor(message, code, details = {}) {
-    super(message);
-    this.name = 'ScraperError';
-    this.code = code;
-    this.details = details;
-  }
-}
+// Sections of a record that can be picked with include/exclude. mainDetails
+// (reference, status, dates) and the applicationTypeInfo derived from it are
+// always parsed - the record means nothing without them.
+const SECTIONS = ['plots', 'siteHistory', 'documents', 'contactInfo'];
+
+// Idox section names, so one --sections list serves every council, and the
+// WNC section each one means. summary, details and dates all come from
+// mainDetails; null marks sections WNC's register doesn't have.
+const SECTION_ALIASES = {
+  summary: 'mainDetails',
+  details: 'mainDetails',
+  dates: 'mainDetails',
+  plots: 'plots',
+  documents: 'documents',
+  contacts: 'contactInfo',
+  relatedItems: 'siteHistory',
+  certificates: null,
+  constraints: null,
+  geometry: null,
+};
 
 // ============================================================================
 // HTTP Client
@@ -149,28 +167,8 @@ async function acceptDisclaimer(client, returnUrl) {
  * @throws {ScraperError} If page fetch fails
  */
 async function fetchBuildingControlPage(client, reference) {
-  const returnUrl = `/BuildingControl/Display/${reference}`;
-  const pageUrl = `BuildingControl/Display/${reference}`;
-
   try {
-    // First try direct access to see if we get redirected to disclaimer
-    const response = await client.get(pageUrl);
-
-    // Check if we got the disclaimer page (contains the accept form)
-    if (response.body.includes('Disclaimer/Accept') || response.body.includes('Terms and Conditions')) {
-      // Accept the disclaimer
-      const acceptedResponse = await acceptDisclaimer(client, returnUrl);
-
-      // The accept response should redirect to the actual page
-      // But if not, fetch it again
-      if (acceptedResponse.body.includes('Disclaimer')) {
-        return await client.get(pageUrl);
-      }
-
-      return acceptedResponse;
-    }
-
-    return response;
+    return await fetchWithDisclaimer(client, `BuildingControl/Display/${reference}`);
   } catch (error) {
     if (error instanceof ScraperError) throw error;
 
@@ -182,6 +180,35 @@ async function fetchBuildingControlPage(client, reference) {
   }
 }
 
+/**
+ * Fetches any register page, accepting the disclaimer first if the site asks for it
+ *
+ * @param {import('got').Got} client - Got HTTP client instance
+ * @param {string} pageUrl - Page path relative to the base URL (no leading slash)
+ * @returns {Promise<import('got').Response>} HTTP response with page HTML
+ * @throws {ScraperError} If the disclaimer cannot be accepted
+ */
+async function fetchWithDisclaimer(client, pageUrl) {
+  // First try direct access to see if we get redirected to disclaimer
+  const response = await client.get(pageUrl);
+
+  // Check if we got the disclaimer page (contains the accept form)
+  if (response.body.includes('Disclaimer/Accept') || response.body.includes('Terms and Conditions')) {
+    // Accept the disclaimer
+    const acceptedResponse = await acceptDisclaimer(client, `/${pageUrl}`);
+
+    // The accept response should redirect to the actual page
+    // But if not, fetch it again
+    if (acceptedResponse.body.includes('Disclaimer')) {
+      return await client.get(pageUrl);
+    }
+
+    return acceptedResponse;
+  }
+
+  return response;
+}
+
 // ============================================================================
 // Data Parsing Functions
 // ============================================================================
@@ -366,29 +393,72 @@ function parseSiteHistory($) {
 }
 
 /**
- * Extracts any document links from the page
+ * Document links point at a download handler or straight at a file
+ */
+const DOCUMENT_LINK_PATTERN = /Document\/(Download|View|Get)|\.(pdf|docx?|xlsx?|jpe?g|png|tiff?)(\?|#|$)/i;
+
+/**
+ * Extracts the document listing from a page
+ * Each link to a document becomes one entry; where the link sits in a table
+ * row, the row's other cells supply the document type and date.
  *
  * @param {import('cheerio').CheerioAPI} $ - Cheerio instance
- * @returns {Array<Object>} Array of document objects with name and url
+ * @returns {Array<Object>} Documents with name, type, date and absolute url
  */
 function parseDocuments($) {
   const documents = [];
+  const seen = new Set();
 
-  // Look for document links (PDFs, etc.)
-  $('a[href*=".pdf"], a[href*="document"], a[href*="Document"]').each((_, link) => {
+  $('a[href]').each((_, link) => {
     const href = $(link).attr('href');
-    const text = cleanText($(link).text());
-    if (href && text && !href.includes('Disclaimer')) {
-      documents.push({
-        name: text,
-        url: href.startsWith('http') ? href : `${CONFIG.baseUrl}${href}`,
-      });
-    }
+    if (!DOCUMENT_LINK_PATTERN.test(href) || href.includes('Disclaimer')) return;
+
+    const url = new URL(href, `${CONFIG.baseUrl}/`).href;
+    if (seen.has(url)) return;
+    seen.add(url);
+
+    const $row = $(link).closest('tr');
+    const headers = $row.closest('table').find('th').map((_, th) => normalizeFieldName($(th).text())).get();
+    const fields = {};
+    $row.find('td').each((idx, td) => {
+      const value = cleanText($(td).text());
+      if (headers[idx] && value) fields[headers[idx]] = value;
+    });
+
+    // Link text is often just "View" or "Download"; prefer the row's description
+    const linkText = cleanText($(link).text());
+    const genericText = /^(view|download|open)?$/i.test(linkText);
+
+    documents.push({
+      name: fields.description || fields.documentName || fields.name
+        || (genericText ? null : linkText)
+        || decodeURIComponent(new URL(url).pathname.split('/').pop()),
+      type: fields.documentType || fields.type || null,
+      date: fields.datePublished || fields.dateReceived || fields.date || null,
+      url,
+    });
   });
 
   return documents;
 }
 
+/**
+ * Finds the link to an application's separate documents page, if it has one
+ *
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio instance for the application page
+ * @returns {string|null} Client path of the documents page
+ */
+function findDocumentsPage($) {
+  const link = $('a[href]').filter((_, el) => {
+    const href = $(el).attr('href');
+    return /^(view\s+)?(associated\s+)?documents\b/i.test(cleanText($(el).text()))
+      && !href.startsWith('#')
+      && !DOCUMENT_LINK_PATTERN.test(href);
+  }).first();
+
+  return link.length > 0 ? toClientPath(link.attr('href')) : null;
+}
+
 /**
  * Extracts contact information from the page
  *
@@ -465,30 +535,643 @@ function validateScrapedData(data) {
   };
 }
 
+/**
+ * Picks the optional sections to parse from include/exclude lists
+ * Idox section names are accepted too (see SECTION_ALIASES); those WNC has no
+ * counterpart for are ignored.
+ *
+ * @param {Object} [selection] - Section selection
+ * @param {Array<string>|null} [selection.include] - Only these sections (mainDetails is accepted and always parsed)
+ * @param {Array<string>} [selection.exclude] - Skip these sections
+ * @returns {{sections: Array<string>, notRequested: Array<string>}} Sections to parse and those skipped
+ * @throws {ScraperError} If a name is not a section, or mainDetails (or an alias of it) is excluded
+ */
+function selectSections({ include = null, exclude = [] } = {}) {
+  const toSection = (name) => (name === 'mainDetails' || SECTIONS.includes(name) ? name : SECTION_ALIASES[name]);
+
+  const unknown = [...(include || []), ...exclude].filter(name => toSection(name) === undefined);
+  if (unknown.length > 0) {
+    throw new ScraperError(
+      `Unknown section: ${unknown.join(', ')} (expected any of mainDetails, ${SECTIONS.join(', ')} or ${Object.keys(SECTION_ALIASES).join(', ')})`,
+      'INVALID_SECTIONS',
+      { include, exclude }
+    );
+  }
+
+  const included = include && include.map(toSection);
+  const excluded = exclude.map(toSection);
+  const mainDetailsNames = exclude.filter(name => toSection(name) === 'mainDetails');
+  if (mainDetailsNames.length > 0) {
+    throw new ScraperError(
+      `${mainDetailsNames.join(', ')} ${mainDetailsNames.length === 1 ? 'is' : 'are'} always scraped (mainDetails) and cannot be excluded`,
+      'INVALID_SECTIONS',
+      { include, exclude }
+    );
+  }
+
+  const sections = SECTIONS.filter(section => (!included || included.includes(section)) && !excluded.includes(section));
+  return {
+    sections,
+    notRequested: SECTIONS.filter(section => !sections.includes(section)),
+  };
+}
+
+// ============================================================================
+// Search & Listing
+// ============================================================================
+
+/**
+ * Reads a search date: a Date, dd/mm/yyyy (as the register writes them) or an
+ * ISO date. Day-first and ISO dates are read as UTC midnight.
+ *
+ * @param {Date|string} value - Date to read
+ * @returns {Date} The date
+ * @throws {ScraperError} INVALID_SEARCH for a day that doesn't exist (31/02/2025) or an unrecognisable date
+ */
+function parseSearchDate(value) {
+  const parts = typeof value === 'string'
+    ? value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/)?.slice(1, 4).reverse() ||
+      value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/)?.slice(1, 4)
+    : null;
+
+  if (parts) {
+    const [year, month, day] = parts.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      throw new ScraperError(`No such date: ${value}`, 'INVALID_SEARCH', { value });
+    }
+    return date;
+  }
+
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ScraperError(`Invalid search date: ${value}`, 'INVALID_SEARCH', { value });
+  }
+  return date;
+}
+
+/**
+ * Formats a date (Date, ISO string or dd/mm/yyyy) as dd/mm/yyyy for the search form
+ *
+ * @param {Date|string} value - Date to format
+ * @returns {string} Date in dd/mm/yyyy format
+ * @throws {ScraperError} If the value is not a recognisable date
+ */
+function formatSearchDate(value) {
+  const date = parseSearchDate(value);
+  const dd = String(date.getUTCDate()).padStart(2, '0');
+  const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
+  return `${dd}/${mm}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Splits a date window into consecutive chunks so that no single search hits
+ * the register's result cap
+ *
+ * @param {Date|string} from - Start of the window (inclusive)
+ * @param {Date|string} to - End of the window (inclusive)
+ * @param {number} chunkDays - Maximum days per chunk
+ * @returns {Array<{from: Date, to: Date}>} Date windows
+ * @throws {ScraperError} INVALID_SEARCH if either date is not a real date, from is after to or chunkDays is not a whole number of at least 1
+ */
+function splitDateWindow(from, to, chunkDays) {
+  if (!Number.isInteger(chunkDays) || chunkDays < 1) {
+    throw new ScraperError('chunkDays must be a whole number of at least 1', 'INVALID_SEARCH', { chunkDays });
+  }
+  const start = parseSearchDate(from);
+  const end = parseSearchDate(to);
+  if (start > end) {
+    throw new ScraperError(`Search window starts after it ends: ${from} - ${to}`, 'INVALID_SEARCH', { from, to });
+  }
+  const windows = [];
+
+  let cursor = start;
+  while (cursor <= end) {
+    const chunkEnd = new Date(cursor.getTime() + (chunkDays - 1) * 86400000);
+    windows.push({ from: cursor, to: chunkEnd < end ? chunkEnd : end });
+    cursor = new Date(chunkEnd.getTime() + 86400000);
+  }
+
+  return windows;
+}
+
+/**
+ * Reads the search form off the search page: its action, method and fields.
+ * Each field carries its label text so criteria can be matched to it without
+ * hard-coding the register's input names.
+ *
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio instance for the search page
+ * @returns {Object|null} Form description or null if no search form is present
+ */
+function parseSearchForm($) {
+  const $form = $('form').filter((_, form) => $(form).find('input[type="text"], input[type="date"], select').length > 0).first();
+  if ($form.length === 0) return null;
+
+  const fields = [];
+  $form.find('input, select').each((_, el) => {
+    const $el = $(el);
+    const name = $el.attr('name');
+    if (!name) return;
+
+    const type = el.tagName === 'select' ? 'select' : ($el.attr('type') || 'text').toLowerCase();
+    if (['submit', 'button', 'image', 'reset'].includes(type)) return;
+    if (['checkbox', 'radio'].includes(type) && $el.attr('checked') === undefined) return;
+
+    const id = $el.attr('id');
+    const label = cleanText((id && $(`label[for="${id}"]`).text()) || $el.closest('label').text() || '');
+
+    const options = type === 'select'
+      ? $el.find('option').map((_, opt) => ({ value: $(opt).attr('value') ?? $(opt).text(), text: cleanText($(opt).text()) })).get()
+      : [];
+
+    const selected = type === 'select' ? ($el.find('option[selected]').attr('value') ?? '') : ($el.attr('value') ?? '');
+
+    fields.push({ name, type, label, options, value: selected });
+  });
+
+  return {
+    action: $form.attr('action') || `/${CONFIG.searchPath}`,
+    method: ($form.attr('method') || 'get').toLowerCase(),
+    fields,
+  };
+}
+
+/**
+ * Finds the form field whose name or label matches every given pattern
+ *
+ * @param {Array<Object>} fields - Fields from parseSearchForm
+ * @param {Array<RegExp>} patterns - Patterns that must all match
+ * @returns {Object|undefined} Matching field
+ */
+function findSearchField(fields, patterns) {
+  return fields.find(field => patterns.every(pattern => pattern.test(`${field.name} ${field.label}`)));
+}
+
+/**
+ * Builds the form values for a search from the criteria
+ *
+ * @param {Object} form - Form description from parseSearchForm
+ * @param {Object} criteria - Search criteria
+ * @param {Date|string} [criteria.from] - Start of the date window
+ * @param {Date|string} [criteria.to] - End of the date window
+ * @param {string} [criteria.dateType='received'] - 'received' or 'decided'
+ * @param {string} [criteria.type] - Reference prefix (FP, BN, IN, CP)
+ * @returns {Object} Field name/value pairs
+ * @throws {ScraperError} If the form has no field for a requested criterion
+ */
+function buildSearchValues(form, criteria) {
+  const { from, to, dateType = 'received', type } = criteria;
+  const values = {};
+
+  form.fields.forEach(field => {
+    values[field.name] = field.value;
+  });
+
+  const datePattern = { received: /receiv/i, decided: /decision|decided/i }[dateType];
+  if (!datePattern) {
+    throw new ScraperError(`Unknown search date type: ${dateType}`, 'INVALID_SEARCH', { dateType });
+  }
+
+  const dateBounds = [
+    [from, /from|start|after/i],
+    [to, /(\bto\b|To\b|end|before)/],
+  ];
+
+  for (const [value, boundPattern] of dateBounds) {
+    if (!value) continue;
+
+    const field = findSearchField(form.fields, [datePattern, boundPattern]);
+    if (!field) {
+      throw new ScraperError(
+        `Search form has no ${dateType} date field`,
+        'SEARCH_FORM_CHANGED',
+        { dateType, fields: form.fields.map(f => f.name) }
+      );
+    }
+    values[field.name] = formatSearchDate(value);
+  }
+
+  if (type) {
+    const label = REFERENCE_PREFIXES[type.toUpperCase()];
+    const field = findSearchField(form.fields.filter(f => f.type === 'select'), [/type/i]);
+    const option = label && field?.options.find(opt => opt.text?.toLowerCase().includes(label.toLowerCase()));
+
+    // The type filter is optional on the form - results are filtered by prefix regardless
+    if (option) {
+      values[field.name] = option.value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Turns an absolute or root-relative link into a path the Got client can request
+ *
+ * @param {string} href - Link from the page
+ * @returns {string} Path relative to the base URL (no leading slash)
+ */
+function toClientPath(href) {
+  const url = new URL(href, `${CONFIG.baseUrl}/`);
+  return `${url.pathname}${url.search}`.replace(/^\//, '');
+}
+
+/**
+ * Parses one page of search results
+ * Every link to /BuildingControl/Display/{reference} is a result; the rest of
+ * the row is keyed by the table headers where there are any.
+ *
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio instance for a results page
+ * @returns {Object} Results, total count (if shown) and next page path
+ */
+function parseSearchResults($) {
+  const results = [];
+  const seen = new Set();
+
+  $('a[href*="/BuildingControl/Display/"]').each((_, link) => {
+    const href = $(link).attr('href');
+    const match = href.match(/\/BuildingControl\/Display\/([A-Z]{2}\/\d{4}\/\d+)/i);
+    if (!match || seen.has(match[1])) return;
+    seen.add(match[1]);
+
+    const record = { reference: match[1].toUpperCase() };
+    const $row = $(link).closest('tr');
+
+    if ($row.length > 0) {
+      const headers = $row.closest('table').find('th').map((_, th) => $(th).text().trim()).get();
+      $row.find('td').each((idx, td) => {
+        const value = cleanText($(td).text());
+        if (value && headers[idx]) {
+          record[normalizeFieldName(headers[idx])] = value;
+        }
+      });
+    }
+
+    record.url = `${CONFIG.baseUrl}/BuildingControl/Display/${record.reference}`;
+    results.push(record);
+  });
+
+  const summaryText = $('body').text();
+  const total = summaryText.match(/(\d+)\s+(?:results?|applications?|records?)\s+found/i)
+    || summaryText.match(/of\s+(\d+)\s+(?:results?|applications?|records?)/i);
+
+  const $next = $('a').filter((_, a) => {
+    const $a = $(a);
+    const text = cleanText($a.text()).toLowerCase();
+    return $a.attr('rel') === 'next' || $a.is('.next, li.next a') || /^next\b/.test(text);
+  }).first();
+
+  return {
+    results,
+    totalResults: total ? parseInt(total[1], 10) : null,
+    nextPath: $next.length > 0 && $next.attr('href') ? toClientPath($next.attr('href')) : null,
+  };
+}
+
+/**
+ * Runs one search submission and walks every page of its results
+ *
+ * @param {import('got').Got} client - Got HTTP client instance (disclaimer already accepted)
+ * @param {Object} form - Form description from parseSearchForm
+ * @param {Object} criteria - Search criteria for this window
+ * @param {Function} log - Logger
+ * @returns {Promise<{results: Array<Object>, truncated: boolean}>} Results across all pages; truncated if pages were left after CONFIG.maxSearchPages
+ */
+async function runSearchWindow(client, form, criteria, log) {
+  const values = buildSearchValues(form, criteria);
+  const actionPath = toClientPath(form.action);
+
+  let response = form.method === 'post'
+    ? await client.post(actionPath, { form: values })
+    : await client.get(actionPath, { searchParams: values });
+
+  const results = [];
+  let truncated = false;
+  for (let pageNo = 1; pageNo <= CONFIG.maxSearchPages; pageNo++) {
+    const parsed = parseSearchResults(cheerio.load(response.body));
+    results.push(...parsed.results);
+    log(`  Page ${pageNo}: ${parsed.results.length} applications`);
+
+    if (!parsed.nextPath || parsed.results.length === 0) break;
+    if (pageNo === CONFIG.maxSearchPages) {
+      truncated = true;
+      log(`  Stopping after ${CONFIG.maxSearchPages} pages`);
+      break;
+    }
+    response = await client.get(parsed.nextPath);
+  }
+
+  return { results, truncated };
+}
+
+/**
+ * Lists applications on the register received or decided in a date window,
+ * optionally restricted to one application type. Long windows are split into
+ * chunks and results de-duplicated by reference.
+ *
+ * @param {Object} criteria - Search criteria
+ * @param {Date|string} criteria.from - Start of the date window
+ * @param {Date|string} criteria.to - End of the date window (default: today)
+ * @param {string} [criteria.dateType='received'] - 'received' or 'decided'
+ * @param {string} [criteria.type] - Reference prefix (FP, BN, IN, CP)
+ * @param {Object} options - Search options
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @param {number} options.chunkDays - Days per search window (default: 31)
+ * @returns {Promise<Object>} Search result with references ready for scrapeBuildingControl;
+ *   windows lists each window searched with a truncated flag, and truncated is
+ *   true if any window had results pages left unread
+ * @throws {ScraperError} INVALID_SEARCH for a bad window, or if the search page cannot be fetched or understood
+ */
+async function searchApplications(criteria = {}, options = {}) {
+  const { verbose = false, chunkDays = 31 } = options;
+  const { from, to = new Date(), type } = criteria;
+
+  const log = (msg) => verbose && console.log(msg);
+
+  if (!from) {
+    throw new ScraperError('Search needs a from date', 'INVALID_SEARCH', { criteria });
+  }
+  if (type && !REFERENCE_PREFIXES[type.toUpperCase()]) {
+    throw new ScraperError(`Unknown application type: ${type}`, 'INVALID_SEARCH', {
+      type,
+      allowed: Object.keys(REFERENCE_PREFIXES),
+    });
+  }
+
+  const dateWindows = splitDateWindow(from, to, chunkDays);
+  const client = createHttpClient();
+
+  try {
+    log(`Fetching search form: ${CONFIG.searchPath}`);
+    const searchPage = await fetchWithDisclaimer(client, CONFIG.searchPath);
+    const form = parseSearchForm(cheerio.load(searchPage.body));
+
+    if (!form) {
+      throw new ScraperError('No search form found on the search page', 'SEARCH_FORM_CHANGED', {
+        url: `${CONFIG.baseUrl}/${CONFIG.searchPath}`,
+      });
+    }
+
+    const byReference = new Map();
+    const windows = [];
+    for (const window of dateWindows) {
+      log(`Searching ${formatSearchDate(window.from)} - ${formatSearchDate(window.to)}`);
+      const { results, truncated } = await runSearchWindow(client, form, { ...criteria, ...window }, log);
+      results.forEach(result => byReference.set(result.reference, result));
+      windows.push({ from: formatSearchDate(window.from), to: formatSearchDate(window.to), found: results.length, truncated });
+    }
+
+    const prefix = type ? `${type.toUpperCase()}/` : null;
+    const results = [...byReference.values()].filter(result => !prefix || result.reference.startsWith(prefix));
+
+    return {
+      criteria: { ...criteria, from: formatSearchDate(from), to: formatSearchDate(to) },
+      searchedAt: new Date().toISOString(),
+      totalResults: results.length,
+      truncated: windows.some(window => window.truncated),
+      windows,
+      references: results.map(result => result.reference),
+      results,
+    };
+
+  } catch (error) {
+    if (error instanceof ScraperError) throw error;
+
+    throw new ScraperError(
+      `Search failed: ${error.message}`,
+      'SEARCH_FAILED',
+      { criteria, originalError: error.message }
+    );
+  }
+}
+
+// ============================================================================
+// Document Retrieval
+// ============================================================================
+
+const DOCUMENT_MANIFEST = 'manifest.json';
+
+/**
+ * Loads a documents folder's manifest, or starts an empty one
+ *
+ * @param {string} dir - Documents folder
+ * @param {string} reference - Application reference the folder belongs to
+ * @returns {Promise<Object>} Manifest: reference, updatedAt and files[]
+ */
+async function loadDocumentManifest(dir, reference) {
+  try {
+    return JSON.parse(await readFile(join(dir, DOCUMENT_MANIFEST), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { reference, updatedAt: null, files: [] };
+    throw error;
+  }
+}
+
+/**
+ * SHA-256 of a file on disk
+ *
+ * @param {string} path - File path
+ * @returns {Promise<string|null>} Hex digest, or null if the file is missing
+ */
+async function hashFile(path) {
+  try {
+    return createHash('sha256').update(await readFile(path)).digest('hex');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Names a downloaded file after its content, so identical files share one copy
+ *
+ * @param {string} url - Document URL
+ * @param {string} sha256 - Hex digest of the content
+ * @returns {string} Filename: first 12 hex digits, then the sanitized original name
+ */
+function documentFilename(url, sha256) {
+  const parsed = new URL(url);
+  const original = parsed.searchParams.get('fileName') || parsed.pathname.split('/').pop() || '';
+  const safe = decodeURIComponent(original).replace(/[^\w.-]+/g, '_').replace(/^[._]+/, '');
+  return `${sha256.slice(0, 12)}-${safe || 'document'}`;
+}
+
+/**
+ * Fetches a document through the session client, accepting the disclaimer if
+ * the register serves it instead of the file
+ *
+ * @param {import('got').Got} client - Got HTTP client instance
+ * @param {string} url - Absolute document URL
+ * @returns {Promise<import('got').Response<Buffer>>} Response with a Buffer body
+ */
+async function fetchDocument(client, url) {
+  const sameSite = new URL(url).origin === new URL(CONFIG.baseUrl).origin;
+  const get = () => (sameSite
+    ? client.get(toClientPath(url), { responseType: 'buffer' })
+    : client.get(url, { prefixUrl: '', responseType: 'buffer' }));
+
+  const response = await get();
+  const isHtml = (response.headers['content-type'] || '').includes('text/html');
+  if (sameSite && isHtml && response.body.includes('Disclaimer/Accept')) {
+    await acceptDisclaimer(client, `/${toClientPath(url)}`);
+    return await get();
+  }
+
+  return response;
+}
+
+/**
+ * Downloads an application's documents into dir and keeps a manifest of them
+ *
+ * The manifest records each file's URL, SHA-256, size and MIME type. A
+ * document whose URL is in the manifest is skipped while the file on disk
+ * still has the recorded hash; one whose content matches a file already held
+ * is recorded against that file rather than saved twice. Each document gains
+ * a file entry (path, sha256, size, mimeType), or downloadError if it failed.
+ *
+ * @param {string} reference - Application reference
+ * @param {Array<Object>} documents - Documents from parseDocuments (updated in place)
+ * @param {string} dir - Folder for this application's documents
+ * @param {Object} [options] - Download options
+ * @param {import('got').Got} [options.client] - Client holding the disclaimer session
+ * @param {boolean} [options.verbose=false] - Enable verbose logging
+ * @returns {Promise<Object>} Counts (downloaded, skipped, failed) and the manifest path
+ */
+async function downloadDocuments(reference, documents, dir, options = {}) {
+  const { verbose = false } = options;
+  const log = (msg) => verbose && console.log(msg);
+  const client = options.client || createHttpClient();
+
+  await mkdir(dir, { recursive: true });
+  const manifest = await loadDocumentManifest(dir, reference);
+  const summary = { dir, manifestPath: join(dir, DOCUMENT_MANIFEST), downloaded: 0, skipped: 0, failed: 0 };
+
+  const toFile = (entry) => ({
+    path: join(dir, entry.filename),
+    sha256: entry.sha256,
+    size: entry.size,
+    mimeType: entry.mimeType,
+  });
+
+  for (const doc of documents) {
+    const known = manifest.files.find(entry => entry.url === doc.url);
+    if (known && await hashFile(join(dir, known.filename)) === known.sha256) {
+      doc.file = toFile(known);
+      summary.skipped++;
+      log(`  Already held: ${doc.name}`);
+      continue;
+    }
+
+    try {
+      const response = await fetchDocument(client, doc.url);
+      const body = response.body;
+      const sha256 = createHash('sha256').update(body).digest('hex');
+
+      // Same content under another URL: point at the copy we hold
+      const sameContent = manifest.files.find(entry => entry.sha256 === sha256);
+      const filename = sameContent ? sameContent.filename : documentFilename(doc.url, sha256);
+      if (await hashFile(join(dir, filename)) !== sha256) {
+        await writeFile(join(dir, filename), body);
+      }
+
+      const entry = {
+        url: doc.url,
+        name: doc.name,
+        filename,
+        sha256,
+        size: body.length,
+        mimeType: (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim(),
+        downloadedAt: new Date().toISOString(),
+      };
+      manifest.files = manifest.files.filter(existing => existing.url !== doc.url);
+      manifest.files.push(entry);
+
+      doc.file = toFile(entry);
+      summary.downloaded++;
+      log(`  Downloaded: ${doc.name} (${body.length} bytes)`);
+    } catch (error) {
+      doc.downloadError = error.message;
+      summary.failed++;
+      log(`  Failed: ${doc.name}: ${error.message}`);
+    }
+  }
+
+  manifest.updatedAt = new Date().toISOString();
+  await writeFile(summary.manifestPath, JSON.stringify(manifest, null, 2), 'utf-8');
+
+  return summary;
+}
+
 // ============================================================================
 // Main Scraper Function
 // ============================================================================
 
+/**
+ * Runs one section's parse between progress events
+ * Emits sectionStarted, then sectionFinished or sectionFailed, each as
+ * { type, reference, section, at }, plus durationMs once done and error (the
+ * message) on failure.
+ *
+ * @param {Function|null} onProgress - Progress callback
+ * @param {Object} event - Fields every event carries (reference, section)
+ * @param {Function} fn - The section's work
+ * @returns {Promise<*>} What fn returns
+ */
+async function trackSection(onProgress, event, fn) {
+  const started = Date.now();
+  const emit = (type, extra = {}) => onProgress && onProgress({ type, ...event, at: new Date().toISOString(), ...extra });
+
+  emit('sectionStarted');
+  try {
+    const value = await fn();
+    emit('sectionFinished', { durationMs: Date.now() - started });
+    return value;
+  } catch (error) {
+    emit('sectionFailed', { durationMs: Date.now() - started, error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Main scraper function - scrapes a WNC building control application
  *
  * @param {string} reference - Application reference number (e.g., 'FP/2025/0159')
  * @param {Object} options - Scraper options
  * @param {boolean} options.verbose - Enable verbose logging
- * @returns {Promise<Object>} Scraped building control data
- * @throws {ScraperError} If scraping fails
+ * @param {import('got').Got} [options.client] - Existing client to reuse (keeps the disclaimer session)
+ * @param {string} [options.downloadDir] - Download the documents into downloadDir/{reference with / as -}
+ * @param {Array<string>} [options.include] - Only parse these sections (plots, siteHistory, documents, contactInfo, or Idox names)
+ * @param {Array<string>} [options.exclude] - Skip these sections
+ * @param {AbortSignal} [options.signal] - Cancels the scrape, requests in flight included
+ * @param {Function} [options.onProgress] - Called as each section starts, finishes or fails (see trackSection)
+ * @returns {Promise<Object>} Scraped building control data; skipped sections are absent and listed in metadata.notRequested
+ * @throws {ScraperError} If the section selection is invalid, scraping fails or the signal aborts it (ABORTED)
  */
 async function scrapeBuildingControl(reference, options = {}) {
-  const { verbose = false } = options;
+  const { verbose = false, downloadDir = null, signal = null, onProgress = null } = options;
+  const { sections, notRequested } = selectSections(options);
+  const wants = (section) => sections.includes(section);
 
   const log = (msg) => verbose && console.log(msg);
+  // Problems that don't fail the scrape, returned in metadata.validation.warnings
+  const warnings = [];
+
+  // Each section checks for cancellation before it starts
+  const section = (name, fn) => {
+    signal?.throwIfAborted();
+    return trackSection(onProgress, { reference, section: name }, fn);
+  };
 
   log(`\nScraping WNC Building Control: ${reference}`);
   log('='.repeat(50));
 
-  const client = createHttpClient();
+  const baseClient = options.client || createHttpClient();
+  // extend() shares the cookie jar, so a reused client keeps its disclaimer session
+  const client = signal ? baseClient.extend({ signal }) : baseClient;
 
   try {
+    signal?.throwIfAborted();
+
     // Fetch the page (handles disclaimer automatically)
     log('Fetching page...');
     const response = await fetchBuildingControlPage(client, reference);
@@ -498,21 +1181,69 @@ async function scrapeBuildingControl(reference, options = {}) {
     const pageTitle = cleanText($('h1').first().text());
     log(`Page title: ${pageTitle}`);
 
-    // Parse all sections
+    // Parse the requested sections
     log('Parsing main details...');
-    const mainDetails = parseMainDetails($);
+    const mainDetails = await section('mainDetails', () => parseMainDetails($));
 
-    log('Parsing plots...');
-    const plots = parsePlots($);
+    let plots = [];
+    if (wants('plots')) {
+      log('Parsing plots...');
+      plots = await section('plots', () => parsePlots($));
+    }
+
+    let siteHistory = [];
+    if (wants('siteHistory')) {
+      log('Parsing site history...');
+      siteHistory = await section('siteHistory', () => parseSiteHistory($));
+    }
 
-    log('Parsing site history...');
-    const siteHistory = parseSiteHistory($);
+    let documents = [];
+    let documentDownload = null;
+    if (wants('documents')) {
+      await section('documents', async () => {
+        log('Parsing documents...');
+        documents = parseDocuments($);
+
+        // Some applications list their documents on a page of their own
+        const documentsPage = documents.length === 0 ? findDocumentsPage($) : null;
+        if (documentsPage) {
+          log(`Fetching documents page: ${documentsPage}`);
+          try {
+            const documentsResponse = await fetchWithDisclaimer(client, documentsPage);
+            documents.push(...parseDocuments(cheerio.load(documentsResponse.body)));
+          } catch (error) {
+            signal?.throwIfAborted();
+            // The documents listed on the application page still count
+            const warning = `Could not load the documents page: ${error.message}`;
+            warnings.push(warning);
+            log(warning);
+            onProgress && onProgress({
+              type: 'sectionFailed',
+              reference,
+              section: 'documentsPage',
+              at: new Date().toISOString(),
+              error: error.message,
+            });
+          }
+        }
 
-    log('Parsing documents...');
-    const documents = parseDocuments($);
+        if (downloadDir && documents.length > 0) {
+          log(`Downloading ${documents.length} documents...`);
+          documentDownload = await downloadDocuments(reference, documents, join(downloadDir, reference.replace(/\//g, '-')), {
+            client,
+            verbose,
+          });
+          // Downloads record failures per document, so an abort surfaces here
+          signal?.throwIfAborted();
+        }
+      });
+    }
 
-    log('Parsing contact info...');
-    const contactInfo = parseContactInfo($);
+    let contactInfo = null;
+    if (wants('contactInfo')) {
+      log('Parsing contact info...');
+      contactInfo = await section('contactInfo', () => parseContactInfo($));
+    }
 
     // Get application type metadata
     const applicationTypeInfo = getApplicationTypeInfo(mainDetails.applicationType);
@@ -525,34 +1256,46 @@ async function scrapeBuildingControl(reference, options = {}) {
         sourceUrl: `${CONFIG.baseUrl}/BuildingControl/Display/${reference}`,
         pageTitle: pageTitle || null,
         scraperVersion: '1.0.0',
+        notRequested,
+        ...(documentDownload ? { documentDownload } : {}),
       },
       mainDetails,
       applicationTypeInfo,
-      plots: plots.length > 0 ? plots : null,
-      siteHistory: siteHistory.length > 0 ? siteHistory : null,
-      documents: documents.length > 0 ? documents : null,
-      contactInfo,
     };
 
+    // Sections not requested are left out, so they can't be mistaken for empty ones
+    if (wants('plots')) result.plots = plots.length > 0 ? plots : null;
+    if (wants('siteHistory')) result.siteHistory = siteHistory.length > 0 ? siteHistory : null;
+    if (wants('documents')) result.documents = documents.length > 0 ? documents : null;
+    if (wants('contactInfo')) result.contactInfo = contactInfo;
+
     // Validate the data
     const validation = validateScrapedData(result);
     if (!validation.isValid) {
-      console.warn('Data validation warnings:', validation.errors);
+      log(`Data validation warnings: ${validation.errors.join('; ')}`);
     }
+    validation.warnings.push(...warnings);
     result.metadata.validation = validation;
 
     // Log summary
     log('\nExtracted Data Summary:');
     log(`- Page Title: ${pageTitle || 'N/A'}`);
     log(`- Main Details: ${Object.keys(mainDetails).length} fields`);
-    log(`- Plots: ${plots.length} records`);
-    log(`- Site History: ${siteHistory.length} records`);
-    log(`- Documents: ${documents.length} links`);
+    if (wants('plots')) log(`- Plots: ${plots.length} records`);
+    if (wants('siteHistory')) log(`- Site History: ${siteHistory.length} records`);
+    if (wants('documents')) log(`- Documents: ${documents.length} links`);
+    if (documentDownload) {
+      log(`- Downloaded: ${documentDownload.downloaded} new, ${documentDownload.skipped} already held, ${documentDownload.failed} failed`);
+    }
+    if (notRequested.length > 0) log(`- Not requested: ${notRequested.join(', ')}`);
     log(`- Validation: ${validation.isValid ? 'PASSED' : 'FAILED'}`);
 
     return result;
 
   } catch (error) {
+    if (signal?.aborted) {
+      throw new ScraperError(`Scrape of ${reference} was aborted`, 'ABORTED', { reference, reason: String(signal.reason) });
+    }
     if (error instanceof ScraperError) throw error;
 
     throw new ScraperError(
@@ -563,10 +1306,267 @@ async function scrapeBuildingControl(reference, options = {}) {
   }
 }
 
+// ============================================================================
+// Reference Sweeping
+// ============================================================================
+
+/**
+ * Formats a reference from its parts, zero-padding the number (FP/2025/0001)
+ *
+ * @param {string} prefix - Reference prefix (FP, BN, IN, CP)
+ * @param {number} year - Four digit year
+ * @param {number} number - Sequence number
+ * @returns {string} Formatted reference
+ */
+function formatReference(prefix, year, number) {
+  return `${prefix}/${year}/${String(number).padStart(4, '0')}`;
+}
+
+/**
+ * Classifies a scrape result for sweeping
+ * Unknown references render the search page instead of the application, so
+ * they come back with no main details. A record that has them exists, even
+ * if it fails validation (an odd reference format, say).
+ *
+ * @param {Object} data - Result of scrapeBuildingControl
+ * @returns {'found'|'missing'} Classification
+ */
+function classifySweepResult(data) {
+  const hasDetails = data.mainDetails && Object.keys(data.mainDetails).length > 0;
+  return hasDetails ? 'found' : 'missing';
+}
+
+/**
+ * Sequence number of a reference (FP/2025/0159 -> 159)
+ *
+ * @param {string} reference - Reference
+ * @returns {number} Sequence number
+ */
+function referenceNumber(reference) {
+  return parseInt(reference.split('/')[2], 10);
+}
+
+/**
+ * Creates a fresh sweep state for a year
+ *
+ * @param {number} year - Four digit year
+ * @param {Array<string>} prefixes - Reference prefixes to sweep
+ * @param {number} start - First sequence number
+ * @returns {Object} Sweep state
+ */
+function createSweepState(year, prefixes, start = 1) {
+  return {
+    year,
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    prefixes: Object.fromEntries(prefixes.map(prefix => [prefix, {
+      next: start,
+      consecutiveMisses: 0,
+      consecutiveErrors: 0,
+      lastFound: null,
+      done: false,
+      found: [],
+      missing: [],
+      errored: [],
+    }])),
+  };
+}
+
+/**
+ * Lists the gaps in a prefix's sequence: missing references numbered below
+ * the last one found. Misses after the last found reference are the end of
+ * the sequence, not gaps.
+ *
+ * @param {Object} prefixState - State for one prefix
+ * @returns {Array<string>} Missing references inside the found range
+ */
+function findSequenceGaps(prefixState) {
+  if (!prefixState.lastFound) return [];
+
+  const lastNumber = referenceNumber(prefixState.lastFound);
+  return prefixState.missing.filter(reference => referenceNumber(reference) < lastNumber);
+}
+
+/**
+ * Files a retried reference under found or missing, keeping both lists in
+ * sequence order
+ *
+ * @param {Object} prefixState - State for one prefix
+ * @param {string} reference - Reference that was retried
+ * @param {'found'|'missing'} status - Its classification this time
+ */
+function settleRetry(prefixState, reference, status) {
+  const list = prefixState[status];
+  list.push(reference);
+  list.sort((a, b) => referenceNumber(a) - referenceNumber(b));
+  if (status === 'found' && (!prefixState.lastFound || referenceNumber(reference) > referenceNumber(prefixState.lastFound))) {
+    prefixState.lastFound = reference;
+  }
+}
+
+/**
+ * Sweeps references upward from a start number for each prefix, classifying
+ * each as found, missing or errored and stopping a prefix after maxMisses
+ * consecutive misses. Pass a state from a previous run to resume it; the
+ * references that errored in it are retried first.
+ *
+ * @param {Object} options - Sweep options
+ * @param {number} options.year - Year to sweep (default: current year)
+ * @param {Array<string>} options.prefixes - Prefixes to sweep (default: all)
+ * @param {number} options.start - First sequence number (default: 1)
+ * @param {number} options.maxMisses - Consecutive misses before a prefix stops (default: 20)
+ * @param {number} options.maxErrors - Consecutive errors before the sweep aborts (default: 5)
+ * @param {number} options.delay - Milliseconds between requests
+ * @param {Object} options.state - Previous sweep state to resume from
+ * @param {Function} options.onResult - Called with (reference, status, data|error, state) after each reference
+ * @param {Array<string>} [options.include] - Only parse these sections of each record found
+ * @param {Array<string>} [options.exclude] - Skip these sections of each record found
+ * @param {boolean} options.verbose - Enable verbose logging
+ * @returns {Promise<Object>} Final sweep state with gaps per prefix (aborted is set if it stopped early)
+ * @throws {ScraperError} If the resumed state is for a different year
+ */
+async function sweepReferences(options = {}) {
+  const {
+    year = new Date().getFullYear(),
+    prefixes = Object.keys(REFERENCE_PREFIXES),
+    start = 1,
+    maxMisses = 20,
+    maxErrors = 5,
+    delay = CONFIG.sweepDelay,
+    onResult = () => {},
+    verbose = false,
+  } = options;
+
+  const log = (msg) => verbose && console.log(msg);
+  const state = options.state || createSweepState(year, prefixes, start);
+  selectSections(options);
+
+  if (state.year !== year) {
+    throw new ScraperError(
+      `Sweep state is for ${state.year}, not ${year}`,
+      'INVALID_SWEEP',
+      { stateYear: state.year, year }
+    );
+  }
+
+  // Prefixes added since the state was saved start from scratch
+  prefixes.forEach(prefix => {
+    if (!state.prefixes[prefix]) {
+      state.prefixes[prefix] = createSweepState(year, [prefix], start).prefixes[prefix];
+    }
+  });
+
+  const client = createHttpClient();
+  state.aborted = null;
+
+  const scrape = async (reference) => {
+    try {
+      const outcome = await scrapeBuildingControl(reference, { client, include: options.include, exclude: options.exclude });
+      return { status: classifySweepResult(outcome), outcome };
+    } catch (error) {
+      return { status: 'errored', outcome: error };
+    }
+  };
+  const pause = () => delay > 0 && new Promise(resolve => setTimeout(resolve, delay));
+
+  for (const prefix of prefixes) {
+    const prefixState = state.prefixes[prefix];
+    prefixState.done = prefixState.consecutiveMisses >= maxMisses;
+
+    // References that errored last time are still pending
+    const retries = prefixState.errored.splice(0);
+    let retryErrors = 0;
+    for (const [index, { reference }] of retries.entries()) {
+      log(`  Retrying ${reference}`);
+      const { status, outcome } = await scrape(reference);
+
+      if (status === 'errored') {
+        retryErrors++;
+        prefixState.errored.push({ reference, code: outcome.code || null, message: outcome.message });
+      } else {
+        retryErrors = 0;
+        settleRetry(prefixState, reference, status);
+      }
+      state.updatedAt = new Date().toISOString();
+
+      if (retryErrors >= maxErrors) {
+        prefixState.errored.push(...retries.slice(index + 1));
+        state.aborted = { prefix, reference, reason: outcome.message };
+      }
+
+      await onResult(reference, status, outcome, state);
+
+      if (state.aborted) {
+        log(`Sweep aborted at ${reference}: ${outcome.message}`);
+        return state;
+      }
+      await pause();
+    }
+
+    log(`\nSweeping ${prefix}/${year} from ${prefixState.next}`);
+
+    while (!prefixState.done) {
+      const reference = formatReference(prefix, year, prefixState.next);
+      const { status, outcome } = await scrape(reference);
+
+      if (status === 'found') {
+        prefixState.found.push(reference);
+        prefixState.lastFound = reference;
+        prefixState.consecutiveMisses = 0;
+        prefixState.consecutiveErrors = 0;
+      } else if (status === 'missing') {
+        prefixState.missing.push(reference);
+        prefixState.consecutiveMisses++;
+        prefixState.consecutiveErrors = 0;
+      } else {
+        prefixState.consecutiveErrors++;
+        // Errors say nothing about whether the reference exists, so they neither
+        // count as a miss nor reset the run of misses
+        prefixState.errored.push({ reference, code: outcome.code || null, message: outcome.message });
+      }
+
+      log(`  ${reference}: ${status}`);
+
+      prefixState.next++;
+      prefixState.done = prefixState.consecutiveMisses >= maxMisses;
+      state.updatedAt = new Date().toISOString();
+
+      // A run of errors means the register is unreachable, not that the sequence
+      // ended - rewind so a resumed sweep retries the errored references
+      if (prefixState.consecutiveErrors >= maxErrors) {
+        prefixState.next -= prefixState.consecutiveErrors;
+        prefixState.errored.splice(-prefixState.consecutiveErrors);
+        prefixState.consecutiveErrors = 0;
+        state.aborted = { prefix, reference, reason: outcome.message };
+      }
+
+      await onResult(reference, status, outcome, state);
+
+      if (state.aborted) {
+        log(`Sweep aborted at ${reference}: ${outcome.message}`);
+        return state;
+      }
+
+      if (!prefixState.done) {
+        await pause();
+      }
+    }
+
+    prefixState.gaps = findSequenceGaps(prefixState);
+  }
+
+  return state;
+}
+
 // ============================================================================
 // File Output
 // ============================================================================
 
+const OUTPUT_DIR = join(__dirname, '../../output');
+
+// Where the CLI's --download puts each application's documents
+const DOCUMENTS_DIR = join(OUTPUT_DIR, 'documents');
+
 /**
  * Saves the scraped data to a JSON file
  *
@@ -575,29 +1575,94 @@ async function scrapeBuildingControl(reference, options = {}) {
  * @returns {Promise<string>} Path to saved file
  */
 async function saveToJson(data, filename) {
-  const outputDir = join(__dirname, '../../output');
-  await mkdir(outputDir, { recursive: true });
+  await mkdir(OUTPUT_DIR, { recursive: true });
 
-  const filepath = join(outputDir, filename);
+  const filepath = join(OUTPUT_DIR, filename);
   await writeFile(filepath, JSON.stringify(data, null, 2), 'utf-8');
 
   return filepath;
 }
 
+/**
+ * Loads a saved sweep state from the output directory
+ *
+ * @param {string} filename - State filename
+ * @returns {Promise<Object|null>} Saved state, or null if there is none
+ */
+async function loadSweepState(filename) {
+  try {
+    const content = await readFile(join(OUTPUT_DIR, filename), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
 // ============================================================================
 // CLI Execution
 // ============================================================================
 
+/**
+ * Reads a whole-number flag value of at least 1
+ *
+ * @param {string} flag - Flag, for the error
+ * @param {string} [value] - Value given
+ * @returns {number} The number
+ * @throws {ScraperError} If the value is missing or not a whole number of at least 1
+ */
+function positiveInteger(flag, value) {
+  if (!/^\d+$/.test(value ?? '') || Number(value) < 1) {
+    throw new ScraperError(`${flag} must be a whole number of at least 1, got ${value ?? 'nothing'}`, 'INVALID_ARGUMENTS', {
+      flag,
+      value,
+    });
+  }
+  return Number(value);
+}
+
+/**
+ * Reads the value following a flag
+ *
+ * @param {string} flag - Flag, for the error
+ * @param {string} [value] - Value given
+ * @returns {string} The value
+ * @throws {ScraperError} If the flag is the last argument
+ */
+function requiredValue(flag, value) {
+  if (value === undefined) {
+    throw new ScraperError(`${flag} needs a value`, 'INVALID_ARGUMENTS', { flag });
+  }
+  return value;
+}
+
 /**
  * Parse command line arguments
+ * @param {Array<string>} [args] - Arguments after the script name
  * @returns {Object} Parsed arguments
+ * @throws {ScraperError} If a sweep number is not a whole number of at least 1
  */
-function parseArgs() {
-  const args = process.argv.slice(2);
+function parseArgs(args = process.argv.slice(2)) {
   const options = {
     reference: 'FP/2025/0159',
     verbose: false,
     help: false,
+    download: false,
+    include: null,
+    search: false,
+    scrape: false,
+    criteria: {},
+    sweep: false,
+    resume: false,
+    sweepOptions: {},
+  };
+
+  // Flags that take a value and map onto search criteria
+  const criteriaFlags = {
+    '--from': 'from',
+    '--to': 'to',
+    '--date-type': 'dateType',
+    '--type': 'type',
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -606,6 +1671,30 @@ function parseArgs() {
       options.verbose = true;
     } else if (arg === '-h' || arg === '--help') {
       options.help = true;
+    } else if (arg === '-d' || arg === '--download') {
+      options.download = true;
+    } else if (arg === '--sections') {
+      options.include = requiredValue(arg, args[++i]).split(',').map(section => section.trim()).filter(Boolean);
+    } else if (arg === '-s' || arg === '--search') {
+      options.search = true;
+    } else if (arg === '--scrape') {
+      options.scrape = true;
+    } else if (arg === '--sweep') {
+      options.sweep = true;
+    } else if (arg === '--resume') {
+      options.sweep = true;
+      options.resume = true;
+    } else if (arg === '--year') {
+      options.sweepOptions.year = positiveInteger(arg, args[++i]);
+    } else if (arg === '--prefix') {
+      options.sweepOptions.prefixes = requiredValue(arg, args[++i]).toUpperCase().split(',');
+    } else if (arg === '--start') {
+      options.sweepOptions.start = positiveInteger(arg, args[++i]);
+    } else if (arg === '--max-misses') {
+      options.sweepOptions.maxMisses = positiveInteger(arg, args[++i]);
+    } else if (criteriaFlags[arg]) {
+      options.search = true;
+      options.criteria[criteriaFlags[arg]] = requiredValue(arg, args[++i]);
     } else if (!arg.startsWith('-')) {
       options.reference = arg;
     }
@@ -622,25 +1711,153 @@ function showHelp() {
 WNC Building Control Scraper
 
 Usage: node wnc-scraper.js [reference] [options]
+       node wnc-scraper.js --search --from <date> [--to <date>] [options]
 
 Arguments:
   reference    Application reference number (default: FP/2025/0159)
 
 Options:
+  -d, --download   Download the documents to output/documents/{reference}/
+  --sections <list>  Only parse these sections: plots, siteHistory, documents,
+                   contactInfo (mainDetails is always included)
   -v, --verbose    Enable verbose logging
   -h, --help       Show this help message
 
+Search (lists references from the register's search pages):
+  -s, --search         Run a search instead of scraping a single reference
+  --from <date>        Start of date window (YYYY-MM-DD or DD/MM/YYYY)
+  --to <date>          End of date window (default: today)
+  --date-type <type>   Window applies to: received, decided (default: received)
+  --type <prefix>      Application type: FP, BN, IN, CP
+  --scrape             Scrape every application found by the search
+
+Sweep (walks TYPE/YEAR/0001 upward, saving every application found):
+  --sweep              Run a sequential reference sweep
+  --year <yyyy>        Year to sweep (default: current year)
+  --prefix <list>      Comma-separated prefixes to sweep (default: FP,BN,IN,CP)
+  --start <n>          First sequence number (default: 1)
+  --max-misses <n>     Stop a prefix after n consecutive missing references (default: 20)
+  --resume             Continue the saved sweep for the year from where it stopped
+
 Examples:
   node wnc-scraper.js FP/2025/0159
   node wnc-scraper.js BN/2024/1234 --verbose
+  node wnc-scraper.js FP/2025/0159 --download
+  node wnc-scraper.js FP/2025/0159 --sections mainDetails,siteHistory
+  node wnc-scraper.js --from 2025-07-01 --to 2025-07-31 --type FP
+  node wnc-scraper.js --from 2025-09-01 --date-type decided --scrape
+  node wnc-scraper.js --sweep --year 2025 --prefix FP,BN
+  node wnc-scraper.js --resume --year 2025
 `);
 }
 
+/**
+ * Runs a search, saves the reference list and optionally scrapes each reference
+ *
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} Process exit code
+ */
+async function runSearch(options) {
+  console.log(`Criteria: ${JSON.stringify(options.criteria)}`);
+  console.log('');
+
+  const search = await searchApplications(options.criteria, { verbose: options.verbose });
+
+  const stamp = search.searchedAt.replace(/[:.]/g, '-');
+  const searchPath = await saveToJson(search, `wnc-search-${stamp}.json`);
+  console.log(`\nFound ${search.totalResults} applications`);
+  search.windows.filter(window => window.truncated).forEach(window => {
+    console.log(`  ${window.from} - ${window.to} stopped at ${CONFIG.maxSearchPages} pages; search it in shorter windows for the rest`);
+  });
+  console.log(`Search results saved to: ${searchPath}`);
+  search.references.forEach(reference => console.log(`  ${reference}`));
+
+  if (!options.scrape) return 0;
+
+  let failures = 0;
+  for (const reference of search.references) {
+    try {
+      const data = await scrapeBuildingControl(reference, {
+        verbose: options.verbose,
+        downloadDir: options.download ? DOCUMENTS_DIR : null,
+        include: options.include,
+      });
+      const filepath = await saveToJson(data, `wnc-${reference.replace(/\//g, '-')}.json`);
+      console.log(`Saved ${reference} to ${filepath}`);
+      if (!data.metadata.validation.isValid) failures++;
+    } catch (error) {
+      failures++;
+      console.error(`Failed to scrape ${reference}: ${error.message}`);
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+/**
+ * Runs a reference sweep, checkpointing the state after every reference so an
+ * interrupted sweep can be resumed
+ *
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} Process exit code
+ */
+async function runSweep(options) {
+  const sweepOptions = { year: new Date().getFullYear(), ...options.sweepOptions };
+  const stateFile = `wnc-sweep-${sweepOptions.year}.json`;
+
+  let state = null;
+  if (options.resume) {
+    state = await loadSweepState(stateFile);
+    console.log(state ? `Resuming sweep from ${stateFile}` : `No saved sweep in ${stateFile}, starting fresh`);
+  }
+
+  console.log(`Sweeping ${sweepOptions.year}: ${(sweepOptions.prefixes || Object.keys(REFERENCE_PREFIXES)).join(', ')}`);
+  console.log('');
+
+  const finalState = await sweepReferences({
+    ...sweepOptions,
+    state: state || undefined,
+    include: options.include,
+    verbose: options.verbose,
+    onResult: async (reference, status, outcome, current) => {
+      if (status === 'found') {
+        await saveToJson(outcome, `wnc-${reference.replace(/\//g, '-')}.json`);
+      }
+      if (status !== 'missing') {
+        console.log(`  ${reference}: ${status}${status === 'errored' ? ` (${outcome.message})` : ''}`);
+      }
+      await saveToJson(current, stateFile);
+    },
+  });
+
+  const statePath = await saveToJson(finalState, stateFile);
+  console.log('\nSweep Summary:');
+  for (const [prefix, prefixState] of Object.entries(finalState.prefixes)) {
+    console.log(`- ${prefix}: ${prefixState.found.length} found, ${prefixState.gaps?.length ?? 0} gaps, ${prefixState.errored.length} errored (last found: ${prefixState.lastFound || 'none'})`);
+  }
+  console.log(`Sweep state saved to: ${statePath}`);
+
+  if (finalState.aborted) {
+    console.error(`Sweep aborted at ${finalState.aborted.reference}: ${finalState.aborted.reason}`);
+    console.error('Re-run with --resume to continue.');
+  }
+
+  const errored = Object.values(finalState.prefixes).some(prefixState => prefixState.errored.length > 0);
+  return finalState.aborted || errored ? 1 : 0;
+}
+
 /**
  * Main execution function
  */
 async function main() {
-  const options = parseArgs();
+  let options;
+  try {
+    options = parseArgs();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run with --help for usage');
+    process.exit(2);
+  }
 
   if (options.help) {
     showHelp();
@@ -650,12 +1867,33 @@ async function main() {
   console.log(`\n${'='.repeat(50)}`);
   console.log('WNC Building Control Scraper');
   console.log('='.repeat(50));
+
+  if (options.search || options.sweep) {
+    try {
+      process.exit(options.sweep ? await runSweep(options) : await runSearch(options));
+    } catch (error) {
+      console.error(`\n${options.sweep ? 'Sweep' : 'Search'} failed!`);
+      console.error(`Error: ${error.message}`);
+
+      if (error instanceof ScraperError) {
+        console.error(`Code: ${error.code}`);
+        console.error('Details:', JSON.stringify(error.details, null, 2));
+      }
+
+      process.exit(error.code === 'INVALID_SEARCH' ? 2 : 1);
+    }
+  }
+
   console.log(`Reference: ${options.reference}`);
   console.log(`Verbose: ${options.verbose}`);
   console.log('');
 
   try {
-    const data = await scrapeBuildingControl(options.reference, { verbose: options.verbose });
+    const data = await scrapeBuildingControl(options.reference, {
+      verbose: options.verbose,
+      downloadDir: options.download ? DOCUMENTS_DIR : null,
+      include: options.include,
+    });
 
     // Save to file
     const filename = `wnc-${options.reference.replace(/\//g, '-')}.json`;
@@ -668,6 +1906,10 @@ async function main() {
     console.log('='.repeat(50));
     console.log(JSON.stringify(data, null, 2));
 
+    if (!data.metadata.validation.isValid) {
+      console.warn('Data validation warnings:', data.metadata.validation.errors);
+    }
+
     // Exit with appropriate code based on validation
     process.exit(data.metadata.validation.isValid ? 0 : 1);
 
@@ -690,11 +1932,20 @@ async function main() {
 
 export {
   scrapeBuildingControl,
+  downloadDocuments,
+  searchApplications,
+  splitDateWindow,
+  selectSections,
+  sweepReferences,
+  parseArgs,
   saveToJson,
   ScraperError,
   CONFIG,
   APPLICATION_TYPES,
+  REFERENCE_PREFIXES,
 };
 
-// Run if called directly
-main();
+// Run if called directly (not when imported by an adapter or another module)
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitDateWindow, selectSections, parseArgs } from './wnc-scraper.js';
+
+const iso = (date) => date.toISOString().slice(0, 10);
+
+test('splitDateWindow reads dd/mm/yyyy day first', () => {
+  const windows = splitDateWindow('01/07/2025', '31/07/2025', 31);
+  assert.deepEqual(windows.map(w => [iso(w.from), iso(w.to)]), [['2025-07-01', '2025-07-31']]);
+});
+
+test('splitDateWindow splits into chunks of at most chunkDays', () => {
+  const windows = splitDateWindow('2025-01-01', '2025-03-15', 31);
+  assert.deepEqual(windows.map(w => [iso(w.from), iso(w.to)]), [
+    ['2025-01-01', '2025-01-31'],
+    ['2025-02-01', '2025-03-03'],
+    ['2025-03-04', '2025-03-15'],
+  ]);
+});
+
+test('splitDateWindow takes Date objects', () => {
+  assert.equal(splitDateWindow(new Date('2025-07-01'), new Date('2025-07-01'), 7).length, 1);
+});
+
+test('splitDateWindow rejects impossible dates and windows', () => {
+  for (const [from, to, chunkDays] of [
+    ['31/02/2025', '01/03/2025', 7],
+    ['01/13/2025', '01/03/2026', 7],
+    ['2025-02-30', '2025-03-01', 7],
+    ['soon', '01/03/2025', 7],
+    ['10/07/2025', '01/07/2025', 7],
+    ['01/07/2025', '31/07/2025', 0],
+    ['01/07/2025', '31/07/2025', -7],
+    ['01/07/2025', '31/07/2025', NaN],
+    ['01/07/2025', '31/07/2025', undefined],
+  ]) {
+    assert.throws(() => splitDateWindow(from, to, chunkDays), { code: 'INVALID_SEARCH' }, `${from} ${to} ${chunkDays}`);
+  }
+});
+
+test('parseArgs reads the sweep numbers', () => {
+  const { sweep, sweepOptions } = parseArgs(['--sweep', '--year', '2024', '--start', '150', '--max-misses', '5']);
+  assert.equal(sweep, true);
+  assert.deepEqual(sweepOptions, { year: 2024, start: 150, maxMisses: 5 });
+});
+
+for (const flag of ['--year', '--start', '--max-misses']) {
+  test(`parseArgs rejects a ${flag} that isn't a whole number of at least 1`, () => {
+    for (const value of ['x', 'foo', '0', '-3', '2.5', undefined]) {
+      const args = ['--sweep', flag, ...(value === undefined ? [] : [value])];
+      assert.throws(() => parseArgs(args), { code: 'INVALID_ARGUMENTS' }, `${flag} ${value}`);
+    }
+  });
+}
+
+test('parseArgs rejects a value flag given as the last argument', () => {
+  for (const flag of ['--sections', '--prefix', '--from', '--to', '--date-type', '--type']) {
+    assert.throws(() => parseArgs(['FP/2025/0159', flag]), { code: 'INVALID_ARGUMENTS' }, flag);
+  }
+});
+
+test('selectSections rejects excluding mainDetails under any of its names', () => {
+  for (const name of ['mainDetails', 'summary', 'details', 'dates']) {
+    assert.throws(() => selectSections({ exclude: [name] }), { code: 'INVALID_SECTIONS' }, name);
+  }
+  assert.deepEqual(selectSections({ exclude: ['contacts'] }).notRequested, ['contactInfo']);
+});
@@ -0,0 +1,461 @@
+/**
+ * API Server
+ *
+ * A small REST server so other services can scrape over HTTP instead of
+ * shelling out to the CLI:
+ *
+ *   GET  /health                                     queue and cache status
+ *   GET  /councils                                   registered councils
+ *   GET  /councils/:id/applications/:ref             canonical record (cached)
+ *   GET  /councils/:id/applications/:ref/geometry    site as a GeoJSON Feature
+ *   GET  /councils/:id/geometry                      stored sites as a FeatureCollection
+ *   POST /batch                                      scrape many records as a job
+ *   GET  /jobs                                       recent jobs
+ *   GET  /jobs/:id                                   a job's progress and outcomes
+ *
+ * Records are cached in the record store: a lookup is served from the newest
+ * snapshot while it's younger than the freshness window (maxAge) and scraped
+ * again - through the council's adapter, like the CLI - once it's older. Every
+ * scrape goes through the job queue, so at most concurrency run at once, and
+ * concurrent lookups of one record share a single scrape. Errors come back as
+ * { error: { code, message, details } } with the ScraperError code and an
+ * HTTP status from HTTP_STATUS.
+ *
+ * @module server
+ */
+
+import http from 'http';
+import { getAdapter, listAdapters, invokeAdapter } from './adapters/index.js';
+import { createJobQueue, QUEUE_DEFAULTS } from './jobs.js';
+import { openStore } from './store.js';
+import { toFeatureCollection } from './output.js';
+import { SCHEMA_VERSION } from './schema/index.js';
+import { ScraperError } from './errors.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const SERVER_DEFAULTS = {
+  port: 3000,
+  host: '127.0.0.1',
+  // Records younger than this are served from the store
+  maxAge: 6 * 60 * 60 * 1000,
+  maxBody: 1024 * 1024,
+};
+
+/**
+ * HTTP status for each error code; other INVALID_* codes are 400 and
+ * anything else 500
+ */
+const HTTP_STATUS = {
+  NOT_FOUND: 404,
+  UNKNOWN_COUNCIL: 404,
+  ROUTE_NOT_FOUND: 404,
+  JOB_NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_CASE_TYPE: 400,
+  UNSUPPORTED_CAPABILITY: 501,
+  FETCH_FAILED: 502,
+  SCRAPE_FAILED: 502,
+  SEARCH_FAILED: 502,
+  GEOMETRY_FAILED: 502,
+  DISCLAIMER_FAILED: 502,
+  QUEUE_FULL: 503,
+  ABORTED: 503,
+};
+
+// ============================================================================
+// Responses
+// ============================================================================
+
+/**
+ * Maps an error code to an HTTP status
+ *
+ * @param {string} code - ScraperError code
+ * @returns {number} HTTP status
+ */
+function httpStatusFor(code) {
+  if (HTTP_STATUS[code]) return HTTP_STATUS[code];
+  return code?.startsWith('INVALID_') ? 400 : 500;
+}
+
+/**
+ * Sends a JSON response
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Body
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+/**
+ * Sends an error as { error: { code, message, details } }
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} error - Error; non-ScraperErrors become INTERNAL_ERROR
+ */
+function sendError(res, error) {
+  const code = error instanceof ScraperError ? error.code : 'INTERNAL_ERROR';
+  const details = error instanceof ScraperError ? error.details : {};
+  sendJson(res, httpStatusFor(code), { error: { code, message: error.message, details } });
+}
+
+/**
+ * Reads a JSON request body
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Largest body accepted, in bytes
+ * @returns {Promise<*>} Parsed body (null if empty)
+ * @throws {ScraperError} If the body is too large or not JSON
+ */
+async function readJsonBody(req, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new ScraperError(`Request body is over ${limit} bytes`, 'PAYLOAD_TOO_LARGE', { limit });
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf-8');
+  if (!text.trim()) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ScraperError(`Request body is not valid JSON: ${error.message}`, 'INVALID_JSON');
+  }
+}
+
+/**
+ * Reads a freshness window given in seconds (maxAge) into milliseconds
+ *
+ * @param {*} value - maxAge from the query or body (undefined for the default)
+ * @param {number} fallback - Default, in milliseconds
+ * @returns {number} Freshness window in milliseconds
+ * @throws {ScraperError} If the value isn't a non-negative number
+ */
+function toMaxAge(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  const seconds = Number(value);
+  if (value === '' || !Number.isFinite(seconds) || seconds < 0) {
+    throw new ScraperError('maxAge must be a number of seconds', 'INVALID_QUERY', { maxAge: value });
+  }
+  return seconds * 1000;
+}
+
+/**
+ * Reads the freshness window from a query: ?maxAge=<seconds>, or
+ * ?refresh=true to scrape whatever the cache holds
+ *
+ * @param {URLSearchParams} query - Query string
+ * @param {number} fallback - Default, in milliseconds
+ * @returns {number} Freshness window in milliseconds
+ * @throws {ScraperError} If maxAge isn't a non-negative number
+ */
+function maxAgeFrom(query, fallback) {
+  if (query.get('refresh') === 'true') return 0;
+  return toMaxAge(query.get('maxAge') ?? undefined, fallback);
+}
+
+/**
+ * Turns a record's geometry into a GeoJSON Feature
+ *
+ * @param {string} council - Council id
+ * @param {string} reference - Record reference
+ * @param {Object} geometry - Geometry from the scraper
+ * @returns {Object} Feature
+ */
+function toFeature(council, reference, geometry) {
+  return {
+    type: 'Feature',
+    id: `${council}:${reference}`,
+    geometry: { type: geometry.type, coordinates: geometry.coordinates },
+    properties: { council, reference, centroid: geometry.centroid || null, source: geometry.source || null },
+  };
+}
+
+// ============================================================================
+// Server
+// ============================================================================
+
+/**
+ * Creates the API server (not yet listening)
+ *
+ * @param {Object} [options] - Server options
+ * @param {Object} [options.store] - Record store for the cache (default: an in-memory one)
+ * @param {number} [options.maxAge] - Freshness window in milliseconds (default: 6 hours)
+ * @param {number} [options.concurrency=2] - Scrapes running at once
+ * @param {number} [options.maxQueued=1000] - Scrapes allowed to wait
+ * @param {Object} [options.fetchOptions] - Passed to every fetchRecord call (mode, include, ...)
+ * @param {Function} [options.onRequest] - Called with { method, path, status, durationMs } after each request
+ * @returns {{server: http.Server, queue: Object, listen: Function, close: Function}} Server; listen(port, host) resolves to the address
+ * @throws {ScraperError} If an option is out of range
+ */
+function createApiServer(options = {}) {
+  const {
+    maxAge = SERVER_DEFAULTS.maxAge,
+    concurrency = QUEUE_DEFAULTS.concurrency,
+    maxQueued = QUEUE_DEFAULTS.maxQueued,
+    fetchOptions = {},
+    onRequest = () => {},
+  } = options;
+
+  const queue = createJobQueue({ concurrency, maxQueued });
+  // Closing the server cancels the scrapes still running
+  const controller = new AbortController();
+  const inflight = new Map();
+  // Opened on first use; one promise, so concurrent first requests share it
+  const ownStore = !options.store;
+  let storePromise = options.store ? Promise.resolve(options.store) : null;
+  const getStore = () => {
+    storePromise ??= openStore({ path: ':memory:' });
+    return storePromise;
+  };
+
+  /**
+   * Returns a record from the store if fresh enough, scraping it otherwise
+   *
+   * @param {string} councilId - Council id
+   * @param {string} reference - Record reference
+   * @param {Object} [lookupOptions] - maxAge (ms) and caseType
+   * @returns {Promise<{record: Object, cached: boolean}>} Record, and whether it came from the store
+   */
+  const lookup = async (councilId, reference, lookupOptions = {}) => {
+    const adapter = getAdapter(councilId);
+    const records = await getStore();
+    const freshness = lookupOptions.maxAge ?? maxAge;
+    // One keyVal can name cases of different types (Idox), each its own record
+    const caseType = lookupOptions.caseType || adapter.defaultCaseType || null;
+
+    const cached = await records.latest(adapter.id, reference);
+    const sameType = !caseType || (cached?.raw?.metadata?.caseType || adapter.defaultCaseType) === caseType;
+    if (cached && sameType && Date.now() - new Date(cached.source?.scrapedAt).getTime() <= freshness) {
+      return { record: cached, cached: true };
+    }
+
+    const key = `${adapter.id}:${caseType || ''}:${reference}`;
+    if (!inflight.has(key)) {
+      const scrape = queue.run(async () => {
+        const raw = await invokeAdapter(adapter.id, 'fetchRecord', reference, {
+          ...fetchOptions,
+          ...(lookupOptions.caseType ? { caseType: lookupOptions.caseType } : {}),
+          signal: controller.signal,
+        });
+        const record = adapter.normalize(raw);
+        await records.saveSnapshot(record);
+        return record;
+      }).finally(() => inflight.delete(key));
+      inflight.set(key, scrape);
+    }
+    return { record: await inflight.get(key), cached: false };
+  };
+
+  const cacheHeaders = ({ record, cached }) => ({
+    'X-Cache': cached ? 'HIT' : 'MISS',
+    ...(record.source?.scrapedAt ? { 'X-Scraped-At': record.source.scrapedAt } : {}),
+  });
+
+  // ----- Handlers -----
+
+  const health = async (req, res) => {
+    const records = await getStore();
+    sendJson(res, 200, {
+      ok: true,
+      schemaVersion: SCHEMA_VERSION,
+      maxAgeSeconds: Math.round(maxAge / 1000),
+      queue: queue.stats(),
+      store: { driver: records.driver, councils: await records.listCouncils() },
+    });
+  };
+
+  const councils = async (req, res) => {
+    sendJson(res, 200, listAdapters().map(adapter => ({
+      id: adapter.id,
+      name: adapter.name,
+      referenceLabel: adapter.referenceLabel,
+      exampleReference: adapter.exampleReference,
+      capabilities: adapter.capabilities,
+      caseTypes: adapter.caseTypes || null,
+    })));
+  };
+
+  const application = async (req, res, [councilId, reference], query) => {
+    const found = await lookup(councilId, reference, { maxAge: maxAgeFrom(query, maxAge), caseType: query.get('caseType') });
+    if (!found.record.found) {
+      throw new ScraperError(`${found.record.council.name} has no record ${reference}`, 'NOT_FOUND', {
+        council: found.record.council.id,
+        reference,
+      });
+    }
+    sendJson(res, 200, found.record, cacheHeaders(found));
+  };
+
+  const geometry = async (req, res, [councilId, reference], query) => {
+    const adapter = getAdapter(councilId);
+    const caseType = query.get('caseType');
+    const found = await lookup(adapter.id, reference, { maxAge: maxAgeFrom(query, maxAge), caseType });
+
+    // Records scraped without their geometry section fall back to the map layer
+    let shape = found.record.geometry;
+    if (!shape?.coordinates) {
+      shape = await queue.run(() => invokeAdapter(adapter.id, 'getGeometry', reference, {
+        ...(caseType ? { caseType } : {}),
+        signal: controller.signal,
+      }));
+    }
+    if (!shape?.coordinates) {
+      throw new ScraperError(`${adapter.name} has no site geometry for ${reference}`, 'NOT_FOUND', { council: adapter.id, reference });
+    }
+    sendJson(res, 200, toFeature(adapter.id, reference, shape), { ...cacheHeaders(found), 'Content-Type': 'application/geo+json' });
+  };
+
+  const councilGeometry = async (req, res, [councilId]) => {
+    const adapter = getAdapter(councilId);
+    const records = await getStore();
+    sendJson(res, 200, toFeatureCollection(await records.listRecords(adapter.id, { found: true })), {
+      'Content-Type': 'application/geo+json',
+    });
+  };
+
+  const batch = async (req, res, params, query) => {
+    const body = await readJsonBody(req, SERVER_DEFAULTS.maxBody);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ScraperError('POST /batch needs a JSON object: { council, references } or { entries }', 'INVALID_BATCH');
+    }
+    for (const field of ['references', 'entries']) {
+      if (body[field] !== undefined && !Array.isArray(body[field])) {
+        throw new ScraperError(`${field} must be an array`, 'INVALID_BATCH', { [field]: body[field] });
+      }
+    }
+    if ((body.entries || []).some(entry => !entry || typeof entry !== 'object' || Array.isArray(entry))) {
+      throw new ScraperError('Every batch entry must be an object with a council and a reference', 'INVALID_BATCH');
+    }
+
+    const items = [
+      ...(body.references || []).map(reference => ({ reference })),
+      ...(body.entries || []),
+    ].map(item => ({ ...item, council: item.council || body.council }));
+    if (items.length === 0) {
+      throw new ScraperError('POST /batch needs references (with a council) or entries', 'INVALID_BATCH');
+    }
+    // Check every entry before queueing any, so a typo fails the whole request
+    const entries = items.map(item => {
+      if (!item.reference || !item.council) {
+        throw new ScraperError('Every batch entry needs a council and a reference', 'INVALID_BATCH', { entry: item });
+      }
+      return { ...item, council: getAdapter(item.council).id };
+    });
+    const freshness = toMaxAge(body.maxAge, maxAgeFrom(query, maxAge));
+
+    const job = queue.submit('batch', entries, async (entry) => {
+      const { record, cached } = await lookup(entry.council, entry.reference, { maxAge: freshness, caseType: entry.caseType });
+      return {
+        council: entry.council,
+        reference: entry.reference,
+        status: record.found ? 'scraped' : 'notFound',
+        cached,
+        scrapedAt: record.source?.scrapedAt || null,
+      };
+    });
+    sendJson(res, 202, job, { Location: `/jobs/${job.id}` });
+  };
+
+  const jobs = async (req, res) => {
+    sendJson(res, 200, queue.list().map(({ results, ...job }) => job));
+  };
+
+  const job = async (req, res, [id]) => {
+    const found = queue.get(id);
+    if (!found) {
+      throw new ScraperError(`No job ${id} (finished jobs are kept for a while, not forever)`, 'JOB_NOT_FOUND', { id });
+    }
+    sendJson(res, 200, found);
+  };
+
+  // Matched against the raw path; captures are decoded, so references with
+  // slashes can be sent as FP/2025/0159 or FP%2F2025%2F0159
+  const routes = [
+    ['GET', /^\/health$/, health],
+    ['GET', /^\/councils$/, councils],
+    ['GET', /^\/councils\/([^/]+)\/geometry$/, councilGeometry],
+    ['GET', /^\/councils\/([^/]+)\/applications\/(.+)\/geometry$/, geometry],
+    ['GET', /^\/councils\/([^/]+)\/applications\/(.+)$/, application],
+    ['POST', /^\/batch$/, batch],
+    ['GET', /^\/jobs$/, jobs],
+    ['GET', /^\/jobs\/([^/]+)$/, job],
+  ];
+
+  const handle = async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/\/+$/, '') || '/';
+
+    try {
+      const matching = routes.filter(([, pattern]) => pattern.test(path));
+      if (matching.length === 0) {
+        throw new ScraperError(`No route for ${path}`, 'ROUTE_NOT_FOUND', { path });
+      }
+      const route = matching.find(([method]) => method === req.method);
+      if (!route) {
+        res.setHeader('Allow', matching.map(([method]) => method).join(', '));
+        throw new ScraperError(`${req.method} is not allowed on ${path}`, 'METHOD_NOT_ALLOWED', { method: req.method, path });
+      }
+
+      const [, pattern, handler] = route;
+      const params = pattern.exec(path).slice(1).map(param => {
+        try {
+          return decodeURIComponent(param);
+        } catch (error) {
+          throw new ScraperError(`Malformed escape in ${path}`, 'INVALID_PATH', { path, reason: error.message });
+        }
+      });
+      await handler(req, res, params, url.searchParams);
+    } catch (error) {
+      sendError(res, error);
+    } finally {
+      onRequest({ method: req.method, path: url.pathname, status: res.statusCode, durationMs: Date.now() - started });
+    }
+  };
+
+  const server = http.createServer(handle);
+
+  return {
+    server,
+    queue,
+    lookup,
+
+    listen(port = SERVER_DEFAULTS.port, host = SERVER_DEFAULTS.host) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve(server.address());
+        });
+      });
+    },
+
+    async close() {
+      controller.abort();
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      // Let aborted scrapes settle so none writes to a closed store
+      await Promise.allSettled([...inflight.values()]);
+      if (ownStore && storePromise) await (await storePromise).close();
+    },
+  };
+}
+
+export {
+  SERVER_DEFAULTS,
+  HTTP_STATUS,
+  httpStatusFor,
+  createApiServer,
+};
@@ -0,0 +1,121 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiServer, httpStatusFor } from './server.js';
+import { ScraperError } from './errors.js';
+import { registerStubCouncil, createStubStore } from './testing/stub-council.js';
+
+// A council whose scrapes are counted and answered from memory
+const { calls } = registerStubCouncil(async (reference) => {
+  await new Promise(resolve => setTimeout(resolve, 20));
+  if (reference === 'BROKEN') throw new ScraperError('Portal down', 'FETCH_FAILED');
+  return { found: reference !== 'MISSING' };
+}, { defaultCaseType: 'warrant', caseTypes: ['warrant', 'planning'] });
+
+let api;
+let base;
+
+before(async () => {
+  api = createApiServer({ store: createStubStore(), concurrency: 2 });
+  const { port } = await api.listen(0, '127.0.0.1');
+  base = `http://127.0.0.1:${port}`;
+});
+
+after(() => api.close());
+
+const get = async (path) => {
+  const response = await fetch(`${base}${path}`);
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const post = async (path, body) => {
+  const response = await fetch(`${base}${path}`, { method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body) });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+test('httpStatusFor maps error codes to statuses', () => {
+  assert.equal(httpStatusFor('NOT_FOUND'), 404);
+  assert.equal(httpStatusFor('FETCH_FAILED'), 502);
+  assert.equal(httpStatusFor('QUEUE_FULL'), 503);
+  assert.equal(httpStatusFor('INVALID_ANYTHING'), 400);
+  assert.equal(httpStatusFor('SOMETHING_ELSE'), 500);
+});
+
+test('lookups are scraped once, then served from the cache', async () => {
+  calls.length = 0;
+  const [first, second] = await Promise.all([
+    get('/councils/stub/applications/A1'),
+    get('/councils/stub/applications/A1'),
+  ]);
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(calls.length, 1);
+
+  const cached = await get('/councils/stub/applications/A1');
+  assert.equal(cached.headers.get('x-cache'), 'HIT');
+  assert.equal(calls.length, 1);
+
+  const refreshed = await get('/councils/stub/applications/A1?refresh=true');
+  assert.equal(refreshed.headers.get('x-cache'), 'MISS');
+  assert.equal(calls.length, 2);
+});
+
+test('a different case type is scraped separately and not served from the cache', async () => {
+  calls.length = 0;
+  await get('/councils/stub/applications/K1');
+  const planning = await get('/councils/stub/applications/K1?caseType=planning');
+  assert.equal(planning.headers.get('x-cache'), 'MISS');
+  assert.deepEqual(calls.map(call => call.caseType), [null, 'planning']);
+});
+
+test('errors come back with their code and HTTP status', async () => {
+  const cases = [
+    ['/councils/stub/applications/MISSING', 404, 'NOT_FOUND'],
+    ['/councils/stub/applications/BROKEN', 502, 'FETCH_FAILED'],
+    ['/councils/nowhere/applications/A1', 404, 'UNKNOWN_COUNCIL'],
+    ['/councils/stub/applications/A1?maxAge=soon', 400, 'INVALID_QUERY'],
+    ['/councils/stub/applications/%E0%A4%A', 400, 'INVALID_PATH'],
+    ['/councils/stub/applications/A1/geometry', 501, 'UNSUPPORTED_CAPABILITY'],
+    ['/nowhere', 404, 'ROUTE_NOT_FOUND'],
+    ['/jobs/unknown', 404, 'JOB_NOT_FOUND'],
+  ];
+  for (const [path, status, code] of cases) {
+    const response = await get(path);
+    assert.equal(response.status, status, path);
+    assert.equal(response.body.error.code, code, path);
+  }
+
+  const wrongMethod = await post('/health', {});
+  assert.equal(wrongMethod.status, 405);
+  assert.equal(wrongMethod.headers.get('allow'), 'GET');
+});
+
+test('batch bodies are checked before anything is queued', async () => {
+  const bodies = [
+    ['not json', 'INVALID_JSON'],
+    [[], 'INVALID_BATCH'],
+    [{ council: 'stub', references: 'A1' }, 'INVALID_BATCH'],
+    [{ entries: { council: 'stub', reference: 'A1' } }, 'INVALID_BATCH'],
+    [{ entries: ['A1'] }, 'INVALID_BATCH'],
+    [{ references: ['A1'] }, 'INVALID_BATCH'],
+    [{}, 'INVALID_BATCH'],
+  ];
+  for (const [body, code] of bodies) {
+    const response = await post('/batch', body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.equal(response.body.error.code, code, JSON.stringify(body));
+  }
+});
+
+test('a batch runs as a job that can be polled', async () => {
+  const submitted = await post('/batch', { council: 'stub', references: ['B1', 'B2', 'MISSING', 'BROKEN'] });
+  assert.equal(submitted.status, 202);
+  assert.equal(submitted.headers.get('location'), `/jobs/${submitted.body.id}`);
+
+  let job = submitted.body;
+  while (job.status !== 'finished') {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    job = (await get(`/jobs/${submitted.body.id}`)).body;
+  }
+  assert.deepEqual(job.counts, { scraped: 2, notFound: 1, failed: 1 });
+  assert.equal(job.results.find(result => result.reference === 'BROKEN').code, 'FETCH_FAILED');
+});
@@ -0,0 +1,146 @@
+/**
+ * Output Sinks
+ *
+ * Where scraped records go once fetched. A sink has write(result), called
+ * with each scrape, and close(). The file sink is the JSON writer the CLI
+ * always had - one file per record, replaced on every run - and the store
+ * sink adds each record to the snapshot history in store.js. Runs can write
+ * to several sinks at once with combineSinks.
+ *
+ * @module sinks
+ */
+
+import { formatOutput, formatFilename, writeOutput } from './output.js';
+import { openStore } from './store.js';
+import { ScraperError } from './errors.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const SINK_TYPES = ['json', 'sqlite'];
+
+// ============================================================================
+// Sinks
+// ============================================================================
+
+/**
+ * @typedef {Object} ScrapeResult
+ * @property {import('./adapters/adapter.js').CouncilAdapter} adapter - Adapter the record came from
+ * @property {string} reference - Reference it was fetched by
+ * @property {Object} raw - The scraper's own output
+ * @property {import('./schema/record.js').CanonicalRecord} record - Canonical record
+ */
+
+/**
+ * @typedef {Object} Sink
+ * @property {string} name - Sink type
+ * @property {(result: ScrapeResult) => Promise<*>} write - Saves one scrape
+ * @property {() => Promise<void>} close - Releases anything the sink holds open
+ */
+
+/**
+ * Creates a sink writing each record to a file in an output folder
+ * By default each record gets {council}-{reference}.{format}, replaced on
+ * every run; with ndjsonFile every record is appended to that one file.
+ *
+ * @param {Object} [options] - Sink options
+ * @param {string} [options.outDir] - Folder (default: task2/output)
+ * @param {string} [options.format='json'] - Output format for per-record files
+ * @param {boolean} [options.raw=false] - Write the scraper's own output instead of the canonical record
+ * @param {string} [options.ndjsonFile] - Append every record to this file instead
+ * @returns {Sink} File sink; write returns the path written
+ */
+function createFileSink(options = {}) {
+  const { outDir, format = 'json', raw = false, ndjsonFile = null } = options;
+
+  return {
+    name: 'json',
+    async write(result) {
+      const data = raw ? result.raw : result.record;
+      if (ndjsonFile) {
+        return writeOutput(formatOutput(data, 'ndjson'), ndjsonFile, { outDir, append: true });
+      }
+      const filename = formatFilename(result.adapter.outputFilename(result.reference), format);
+      return writeOutput(formatOutput(data, format), filename, { outDir });
+    },
+    async close() {},
+  };
+}
+
+/**
+ * Creates a sink adding each canonical record to a record store as a snapshot
+ *
+ * @param {Object} store - Store from openStore
+ * @param {Object} [options] - Sink options
+ * @param {boolean} [options.closeStore=false] - Close the store with the sink
+ * @returns {Sink} Store sink; write returns the snapshot's { id, council, reference, scrapedAt }
+ */
+function createStoreSink(store, options = {}) {
+  return {
+    name: store.driver,
+    write: (result) => store.saveSnapshot(result.record),
+    async close() {
+      if (options.closeStore) await store.close();
+    },
+  };
+}
+
+/**
+ * Combines sinks into one that writes to each in turn
+ *
+ * @param {Array<Sink>} sinks - Sinks to write to
+ * @returns {Sink} Combined sink; write returns each sink's result, by sink name
+ */
+function combineSinks(sinks) {
+  return {
+    name: sinks.map(sink => sink.name).join(','),
+    async write(result) {
+      const written = {};
+      for (const sink of sinks) {
+        written[sink.name] = await sink.write(result);
+      }
+      return written;
+    },
+    async close() {
+      for (const sink of sinks) {
+        await sink.close();
+      }
+    },
+  };
+}
+
+/**
+ * Creates the sinks named in a list, combined
+ *
+ * @param {Array<string>} types - Sink types (see SINK_TYPES)
+ * @param {Object} [options] - Options for each sink
+ * @param {Object} [options.file] - createFileSink options
+ * @param {Object} [options.store] - openStore options (driver, path)
+ * @returns {Promise<Sink>} Combined sink
+ * @throws {ScraperError} If a type is unknown or the store can't be opened
+ */
+async function createSinks(types, options = {}) {
+  const unknown = types.filter(type => !SINK_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new ScraperError(`Unknown sink: ${unknown.join(', ')}`, 'INVALID_SINK', { unknown, allowed: SINK_TYPES });
+  }
+
+  const sinks = [];
+  for (const type of new Set(types)) {
+    if (type === 'json') {
+      sinks.push(createFileSink(options.file));
+    } else {
+      sinks.push(createStoreSink(await openStore({ driver: type, ...options.store }), { closeStore: true }));
+    }
+  }
+  return combineSinks(sinks);
+}
+
+export {
+  SINK_TYPES,
+  createFileSink,
+  createStoreSink,
+  combineSinks,
+  createSinks,
+};
@@ -0,0 +1,274 @@
+/**
+ * Record Store
+ *
+ * Keeps every scrape of every record instead of only the last one. Each
+ * canonical record saved is a snapshot, stamped with when it was scraped and
+ * by which scraper version, so a record's history can be replayed and any
+ * earlier state looked up. SQLite (through better-sqlite3, loaded on first
+ * use) is the default and so far only backend; the store methods are async
+ * so another backend can slot in behind the same interface.
+ *
+ * @module store
+ */
+
+import { mkdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { DEFAULT_OUTPUT_DIR } from './output.js';
+import { ScraperError } from './errors.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const STORE_DRIVERS = ['sqlite'];
+
+// task2/output/records.db unless told otherwise
+const DEFAULT_STORE_PATH = join(DEFAULT_OUTPUT_DIR, 'records.db');
+
+// Bump with a new entry in MIGRATIONS when the tables change
+const MIGRATIONS = [
+  `CREATE TABLE snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    council TEXT NOT NULL,
+    reference TEXT NOT NULL,
+    primary_reference TEXT,
+    scraped_at TEXT NOT NULL,
+    scraper_version TEXT,
+    schema_version TEXT NOT NULL,
+    found INTEGER NOT NULL,
+    status TEXT,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX snapshots_by_record ON snapshots (council, reference, scraped_at);`,
+];
+
+// ============================================================================
+// Snapshots
+// ============================================================================
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {number} id - Snapshot id, increasing with every save
+ * @property {string} council - Council id
+ * @property {string} reference - Reference the record was scraped by (reference.sourceId)
+ * @property {string} scrapedAt - ISO timestamp of the scrape
+ * @property {string|null} scraperVersion - Scraper version that produced it
+ * @property {string} schemaVersion - Canonical record version
+ * @property {import('./schema/record.js').CanonicalRecord} record - The record as scraped
+ */
+
+/**
+ * The council and reference a record is stored under
+ *
+ * @param {import('./schema/record.js').CanonicalRecord} record - Canonical record
+ * @returns {{council: string, reference: string}} Store key
+ * @throws {ScraperError} If the record has no council or reference
+ */
+function recordKey(record) {
+  const council = record?.council?.id;
+  const reference = record?.reference?.sourceId || record?.reference?.primary;
+  if (!council || !reference) {
+    throw new ScraperError('Only canonical records with a council and reference can be stored', 'INVALID_RECORD', {
+      council: council || null,
+      reference: reference || null,
+    });
+  }
+  return { council, reference };
+}
+
+/**
+ * Turns a date into the ISO timestamp snapshots are compared by
+ *
+ * @param {Date|string} value - Date, ISO timestamp or YYYY-MM-DD (end of that day)
+ * @returns {string} ISO timestamp
+ * @throws {ScraperError} If the value isn't a date
+ */
+function toTimestamp(value) {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T23:59:59.999Z`)
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ScraperError(`Not a date: ${value}`, 'INVALID_QUERY', { value });
+  }
+  return date.toISOString();
+}
+
+/**
+ * Maps a snapshots row to a Snapshot
+ *
+ * @param {Object} row - Table row
+ * @returns {Snapshot} Snapshot
+ */
+function toSnapshot(row) {
+  return {
+    id: row.id,
+    council: row.council,
+    reference: row.reference,
+    scrapedAt: row.scraped_at,
+    scraperVersion: row.scraper_version,
+    schemaVersion: row.schema_version,
+    record: JSON.parse(row.record),
+  };
+}
+
+// ============================================================================
+// SQLite Backend
+// ============================================================================
+
+/**
+ * Loads better-sqlite3
+ *
+ * @returns {Promise<Function>} Database constructor
+ * @throws {ScraperError} If the package isn't installed
+ */
+async function loadSqlite() {
+  try {
+    return (await import('better-sqlite3')).default;
+  } catch (error) {
+    throw new ScraperError('SQLite store needs better-sqlite3 - run npm install in task2', 'STORE_UNAVAILABLE', {
+      originalError: error.message,
+    });
+  }
+}
+
+/**
+ * Brings the database's tables up to date
+ *
+ * @param {Object} db - better-sqlite3 database
+ */
+function migrate(db) {
+  const version = db.pragma('user_version', { simple: true });
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[i]);
+      db.pragma(`user_version = ${i + 1}`);
+    })();
+  }
+}
+
+/**
+ * Opens a SQLite record store, creating the file and tables if needed
+ *
+ * @param {string} path - Database file (':memory:' for a throwaway store)
+ * @returns {Promise<Object>} Record store
+ * @throws {ScraperError} If better-sqlite3 is missing or the file can't be opened
+ */
+async function openSqliteStore(path) {
+  const Database = await loadSqlite();
+  if (path !== ':memory:') {
+    await mkdir(dirname(path), { recursive: true });
+  }
+
+  let db;
+  try {
+    db = new Database(path);
+  } catch (error) {
+    throw new ScraperError(`Could not open the record store: ${error.message}`, 'STORE_FAILED', { path });
+  }
+  // Readers (the API server, a second CLI) don't block the writer
+  db.pragma('journal_mode = WAL');
+  migrate(db);
+
+  const statements = {
+    insert: db.prepare(`INSERT INTO snapshots
+      (council, reference, primary_reference, scraped_at, scraper_version, schema_version, found, status, record)
+      VALUES (@council, @reference, @primaryReference, @scrapedAt, @scraperVersion, @schemaVersion, @found, @status, @record)`),
+    latest: db.prepare(`SELECT * FROM snapshots WHERE council = ? AND reference = ?
+      ORDER BY scraped_at DESC, id DESC LIMIT 1`),
+    at: db.prepare(`SELECT * FROM snapshots WHERE council = ? AND reference = ? AND scraped_at <= ?
+      ORDER BY scraped_at DESC, id DESC LIMIT 1`),
+    history: db.prepare(`SELECT * FROM snapshots WHERE council = ? AND reference = ?
+      ORDER BY scraped_at, id`),
+    // The newest snapshot of each of a council's records
+    council: db.prepare(`SELECT s.* FROM snapshots s
+      WHERE s.council = ? AND s.id = (
+        SELECT id FROM snapshots WHERE council = s.council AND reference = s.reference
+        ORDER BY scraped_at DESC, id DESC LIMIT 1)
+      ORDER BY s.reference`),
+    councils: db.prepare('SELECT council, COUNT(DISTINCT reference) AS records, COUNT(*) AS snapshots FROM snapshots GROUP BY council ORDER BY council'),
+  };
+
+  return {
+    driver: 'sqlite',
+    path,
+
+    async saveSnapshot(record) {
+      const { council, reference } = recordKey(record);
+      const scrapedAt = record.source?.scrapedAt || new Date().toISOString();
+      const { lastInsertRowid } = statements.insert.run({
+        council,
+        reference,
+        primaryReference: record.reference.primary || null,
+        scrapedAt,
+        scraperVersion: record.source?.scraperVersion || null,
+        schemaVersion: record.schemaVersion,
+        found: record.found ? 1 : 0,
+        status: record.status || null,
+        record: JSON.stringify(record),
+      });
+      return { id: Number(lastInsertRowid), council, reference, scrapedAt };
+    },
+
+    async latest(council, reference) {
+      const row = statements.latest.get(council, reference);
+      return row ? JSON.parse(row.record) : null;
+    },
+
+    async recordAt(council, reference, date) {
+      const row = statements.at.get(council, reference, toTimestamp(date));
+      return row ? JSON.parse(row.record) : null;
+    },
+
+    async history(council, reference) {
+      return statements.history.all(council, reference).map(toSnapshot);
+    },
+
+    async listRecords(council, filters = {}) {
+      return statements.council.all(council)
+        .map(row => JSON.parse(row.record))
+        .filter(record => filters.found === undefined || record.found === filters.found)
+        .filter(record => filters.status === undefined || record.status === filters.status);
+    },
+
+    async listCouncils() {
+      return statements.councils.all();
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+/**
+ * Opens a record store
+ *
+ * Every method is async:
+ *   saveSnapshot(record)                  - store a canonical record; returns { id, council, reference, scrapedAt }
+ *   latest(council, reference)            - the newest snapshot's record, or null
+ *   recordAt(council, reference, date)    - the record as last scraped on or before date, or null
+ *   history(council, reference)           - every Snapshot, oldest first
+ *   listRecords(council, { found, status }) - the newest record of each of the council's references
+ *   listCouncils()                        - { council, records, snapshots } per council
+ *   close()
+ *
+ * @param {Object} [options] - Store options
+ * @param {string} [options.driver='sqlite'] - Backend (see STORE_DRIVERS)
+ * @param {string} [options.path] - Database file (default: task2/output/records.db)
+ * @returns {Promise<Object>} Record store
+ * @throws {ScraperError} If the driver is unknown or the store can't be opened
+ */
+async function openStore(options = {}) {
+  const { driver = 'sqlite', path = DEFAULT_STORE_PATH } = options;
+  if (!STORE_DRIVERS.includes(driver)) {
+    throw new ScraperError(`Unknown store driver: ${driver}`, 'INVALID_STORE', { driver, allowed: STORE_DRIVERS });
+  }
+  return openSqliteStore(path);
+}
+
+export {
+  STORE_DRIVERS,
+  DEFAULT_STORE_PATH,
+  recordKey,
+  openStore,
+};
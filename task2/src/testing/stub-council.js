@@ -0,0 +1,102 @@
+/**
+ * Stub Council
+ *
+ * Test helpers: a council adapter that answers from memory instead of a
+ * portal, and an in-memory snapshot store. Each test file runs in its own
+ * process, so each registers its own stub under the same id.
+ *
+ * @module testing/stub-council
+ */
+
+import { registerAdapter, defineAdapter } from '../adapters/index.js';
+
+// ============================================================================
+// Adapter
+// ============================================================================
+
+const STUB_COUNCIL = { id: 'stub', name: 'Stub Council' };
+
+/**
+ * Registers the 'stub' council
+ *
+ * fetchRecord logs each call, checks the signal, then asks `answer` for the
+ * record's fields: found (default true), status and relatedCases. `answer`
+ * may be async and may throw, to stand in for a slow or failing portal.
+ *
+ * @param {(reference: string, options: Object) => Object|Promise<Object>} [answer] - Fields of the raw record
+ * @param {Object} [spec] - Further adapter fields (defaultCaseType, caseTypes, ...)
+ * @returns {{calls: Array<{reference: string, caseType: string|null}>}} Every fetchRecord call, in order
+ */
+function registerStubCouncil(answer = () => ({}), spec = {}) {
+  const calls = [];
+
+  registerAdapter(defineAdapter({
+    ...STUB_COUNCIL,
+    referenceLabel: 'reference',
+    ...spec,
+    async fetchRecord(reference, options = {}) {
+      calls.push({ reference, caseType: options.caseType || null });
+      options.signal?.throwIfAborted();
+      return {
+        reference,
+        caseType: options.caseType || spec.defaultCaseType || null,
+        found: true,
+        status: null,
+        relatedCases: [],
+        ...await answer(reference, options),
+      };
+    },
+    normalize(raw) {
+      return {
+        council: { ...STUB_COUNCIL },
+        found: raw.found,
+        reference: { primary: raw.reference },
+        type: { label: raw.caseType },
+        description: null,
+        status: raw.status,
+        dates: {},
+        relatedCases: raw.relatedCases,
+        site: { properties: [] },
+        geometry: null,
+        source: { url: null, scrapedAt: new Date().toISOString() },
+        raw: { metadata: { caseType: raw.caseType } },
+      };
+    },
+  }));
+
+  return { calls };
+}
+
+// ============================================================================
+// Store
+// ============================================================================
+
+/**
+ * Creates a snapshot store that keeps everything in memory
+ *
+ * @returns {Object} Store with the methods the watchlist and API server use
+ */
+function createStubStore() {
+  const snapshots = new Map();
+  return {
+    driver: 'stub',
+    async latest(council, reference) {
+      return snapshots.get(`${council}:${reference}`)?.at(-1) || null;
+    },
+    async saveSnapshot(record) {
+      const key = `${record.council.id}:${record.reference.primary}`;
+      snapshots.set(key, [...(snapshots.get(key) || []), record]);
+    },
+    async listRecords() {
+      return [...snapshots.values()].map(list => list.at(-1));
+    },
+    async listCouncils() {
+      return [STUB_COUNCIL.id];
+    },
+  };
+}
+
+export {
+  registerStubCouncil,
+  createStubStore,
+};
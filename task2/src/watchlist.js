@@ -0,0 +1,456 @@
+/**
+ * Watchlist
+ *
+ * Keeps live applications under watch without re-running the CLI by hand.
+ * The watchlist is a JSON file of councils and references, each with a
+ * cron-style schedule (see schedule.js). Every cycle re-scrapes only the
+ * entries that are due - through the councils' adapters, so WNC records go
+ * through scrapeBuildingControl and Edinburgh warrants through the Idox
+ * scraper behind scrapeEdinburghBuildingControl - saves each record as a
+ * snapshot in the record store and reports what changed since the last one.
+ *
+ * Records that have settled (completed or refused) rarely change again, so
+ * each unchanged check of one doubles the wait before the next, from
+ * WATCH_BACKOFF.base up to WATCH_BACKOFF.max. Any change resets it.
+ *
+ * @module watchlist
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { getAdapter } from './adapters/index.js';
+import { runBatch } from './batch.js';
+import { detectChanges } from './diff.js';
+import { parseSchedule, nextRun } from './schedule.js';
+import { DEFAULT_OUTPUT_DIR } from './output.js';
+import { ScraperError } from './errors.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// task2/output/watchlist.json unless told otherwise
+const DEFAULT_WATCHLIST_PATH = join(DEFAULT_OUTPUT_DIR, 'watchlist.json');
+
+// Every day at 06:00 unless an entry says otherwise
+const DEFAULT_SCHEDULE = '0 6 * * *';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Back-off for settled records
+ * base - wait after the first unchanged check of a settled record
+ * max  - longest wait; checks never stop altogether
+ */
+const WATCH_BACKOFF = {
+  base: DAY,
+  max: 28 * DAY,
+};
+
+// A record is settled when its status or decision matches one of these
+const SETTLED_PATTERNS = [/complet/i, /refus/i, /reject/i];
+
+// The daemon wakes at least this often, to pick up entries added meanwhile
+const MAX_SLEEP = 5 * 60 * 1000;
+
+// ============================================================================
+// Watchlist File
+// ============================================================================
+
+/**
+ * @typedef {Object} WatchEntry
+ * @property {string} council - Council id
+ * @property {string} reference - Record reference
+ * @property {string|null} caseType - Idox case type, if not the council's default
+ * @property {string} schedule - Cron-style schedule
+ * @property {string} addedAt - ISO timestamp
+ * @property {string} nextCheckAt - When the entry is next due
+ * @property {string|null} lastCheckedAt - Last check, failed or not
+ * @property {string|null} lastStatus - Record status at the last check
+ * @property {boolean} settled - Completed or refused at the last check
+ * @property {number} backoff - Unchanged checks since it settled (0 = on schedule)
+ * @property {number} failures - Failed checks in a row
+ * @property {string|null} lastError - Error code of the last failed check
+ */
+
+/**
+ * @typedef {Object} Watchlist
+ * @property {number} version - File format version
+ * @property {string|null} updatedAt - Last save
+ * @property {Array<WatchEntry>} entries - Watched records
+ */
+
+/**
+ * Creates an empty watchlist
+ *
+ * @returns {Watchlist} Watchlist
+ */
+function createWatchlist() {
+  return { version: 1, updatedAt: null, entries: [] };
+}
+
+/**
+ * Reads a watchlist file; a missing file is an empty watchlist
+ *
+ * @param {string} [path] - Watchlist file (default: task2/output/watchlist.json)
+ * @returns {Promise<Watchlist>} Watchlist
+ * @throws {ScraperError} If the file isn't a watchlist
+ */
+async function loadWatchlist(path = DEFAULT_WATCHLIST_PATH) {
+  let text;
+  try {
+    text = await readFile(path, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return createWatchlist();
+    throw error;
+  }
+
+  let watchlist;
+  try {
+    watchlist = JSON.parse(text);
+  } catch (error) {
+    throw new ScraperError(`Watchlist ${path} is not valid JSON: ${error.message}`, 'INVALID_WATCHLIST', { path });
+  }
+  if (!Array.isArray(watchlist?.entries)) {
+    throw new ScraperError(`Watchlist ${path} has no entries list`, 'INVALID_WATCHLIST', { path });
+  }
+  return watchlist;
+}
+
+/**
+ * Writes a watchlist file
+ * Written to a temporary file and renamed, so a crash never leaves half a file.
+ *
+ * @param {Watchlist} watchlist - Watchlist
+ * @param {string} [path] - Watchlist file (default: task2/output/watchlist.json)
+ * @returns {Promise<string>} Path written
+ */
+async function saveWatchlist(watchlist, path = DEFAULT_WATCHLIST_PATH) {
+  watchlist.updatedAt = new Date().toISOString();
+  await mkdir(dirname(path), { recursive: true });
+  const temporary = `${path}.tmp`;
+  await writeFile(temporary, `${JSON.stringify(watchlist, null, 2)}\n`, 'utf-8');
+  await rename(temporary, path);
+  return path;
+}
+
+/**
+ * Finds a record's entry
+ *
+ * @param {Watchlist} watchlist - Watchlist
+ * @param {string} council - Council id
+ * @param {string} reference - Record reference
+ * @returns {WatchEntry|undefined} Entry
+ */
+function findEntry(watchlist, council, reference) {
+  return watchlist.entries.find(entry => entry.council === council && entry.reference === reference);
+}
+
+/**
+ * Adds a record to the watchlist, or updates its schedule if already there
+ * A new entry is due straight away, so the next cycle takes its first snapshot.
+ *
+ * @param {Watchlist} watchlist - Watchlist (changed in place)
+ * @param {Object} item - What to watch
+ * @param {string} item.council - Council id
+ * @param {string} item.reference - Record reference
+ * @param {string} [item.caseType] - Idox case type
+ * @param {string} [item.schedule] - Cron-style schedule (default: daily at 06:00)
+ * @param {Date} [now] - Current time
+ * @returns {WatchEntry} The entry
+ * @throws {ScraperError} If the council is unknown or the schedule is malformed
+ */
+function addToWatchlist(watchlist, item, now = new Date()) {
+  const council = getAdapter(item.council).id;
+  const schedule = item.schedule || DEFAULT_SCHEDULE;
+  parseSchedule(schedule);
+
+  const existing = findEntry(watchlist, council, item.reference);
+  if (existing) {
+    existing.schedule = schedule;
+    if (item.caseType) existing.caseType = item.caseType;
+    // Re-plan from the last check, so a tighter schedule can make it due now
+    if (existing.lastCheckedAt) {
+      existing.nextCheckAt = dueAfter(existing, new Date(existing.lastCheckedAt)).toISOString();
+    }
+    return existing;
+  }
+
+  const entry = {
+    council,
+    reference: item.reference,
+    caseType: item.caseType || null,
+    schedule,
+    addedAt: now.toISOString(),
+    nextCheckAt: now.toISOString(),
+    lastCheckedAt: null,
+    lastStatus: null,
+    settled: false,
+    backoff: 0,
+    failures: 0,
+    lastError: null,
+  };
+  watchlist.entries.push(entry);
+  return entry;
+}
+
+/**
+ * Takes a record off the watchlist
+ *
+ * @param {Watchlist} watchlist - Watchlist (changed in place)
+ * @param {string} council - Council id
+ * @param {string} reference - Record reference
+ * @returns {boolean} True if it was on the list
+ * @throws {ScraperError} If the council is unknown
+ */
+function removeFromWatchlist(watchlist, council, reference) {
+  const entry = findEntry(watchlist, getAdapter(council).id, reference);
+  if (!entry) return false;
+  watchlist.entries.splice(watchlist.entries.indexOf(entry), 1);
+  return true;
+}
+
+// ============================================================================
+// Scheduling
+// ============================================================================
+
+/**
+ * Whether a record has settled: completed or refused
+ *
+ * @param {import('./schema/record.js').CanonicalRecord} record - Canonical record
+ * @returns {boolean} True if settled
+ */
+function isSettled(record) {
+  const values = [record.status, record.decision?.outcome].filter(Boolean);
+  return Boolean(record.dates?.completion)
+    || values.some(value => SETTLED_PATTERNS.some(pattern => pattern.test(value)));
+}
+
+/**
+ * Works out when an entry is next due after a check
+ * On schedule, that's the schedule's next run; backed off, the first run
+ * after the back-off wait.
+ *
+ * @param {WatchEntry} entry - Entry
+ * @param {Date} now - Time of the check
+ * @returns {Date} Next due time
+ */
+function dueAfter(entry, now) {
+  const wait = entry.backoff > 0
+    ? Math.min(WATCH_BACKOFF.base * 2 ** (entry.backoff - 1), WATCH_BACKOFF.max)
+    : 0;
+  return nextRun(entry.schedule, new Date(now.getTime() + wait));
+}
+
+/**
+ * Lists the entries due at a time
+ *
+ * @param {Watchlist} watchlist - Watchlist
+ * @param {Date} [now] - Current time
+ * @returns {Array<WatchEntry>} Due entries, most overdue first
+ */
+function dueEntries(watchlist, now = new Date()) {
+  return watchlist.entries
+    .filter(entry => new Date(entry.nextCheckAt) <= now)
+    .sort((a, b) => new Date(a.nextCheckAt) - new Date(b.nextCheckAt));
+}
+
+/**
+ * When the first entry is next due
+ *
+ * @param {Watchlist} watchlist - Watchlist
+ * @returns {Date|null} Earliest due time, or null if the list is empty
+ */
+function nextDue(watchlist) {
+  const times = watchlist.entries.map(entry => new Date(entry.nextCheckAt).getTime());
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+// ============================================================================
+// Cycles
+// ============================================================================
+
+/**
+ * @typedef {Object} WatchChange
+ * @property {string} council - Council id
+ * @property {string} reference - Record reference
+ * @property {string|null} applicationType - Application type code (FP, WARR, ...)
+ * @property {string} checkedAt - ISO timestamp of the check
+ * @property {Array<import('./diff.js').ChangeEvent>} events - What changed
+ */
+
+/**
+ * Updates an entry after its record was fetched
+ *
+ * @param {WatchEntry} entry - Entry (changed in place)
+ * @param {Object} record - Canonical record
+ * @param {Array<Object>|null} events - Changes since the last snapshot (null on the first)
+ * @param {Date} now - Time of the check
+ */
+function recordCheck(entry, record, events, now) {
+  const settled = isSettled(record);
+  // Each check of a settled record that finds nothing new waits longer
+  if (settled && !(events?.length > 0)) {
+    entry.backoff += 1;
+  } else {
+    entry.backoff = 0;
+  }
+  entry.settled = settled;
+  entry.lastStatus = record.status || null;
+  entry.lastCheckedAt = now.toISOString();
+  entry.failures = 0;
+  entry.lastError = null;
+  entry.nextCheckAt = dueAfter(entry, now).toISOString();
+}
+
+/**
+ * Runs one watch cycle: re-scrapes the due entries, saves a snapshot of
+ * each and reports the changes since the previous snapshot
+ *
+ * Entries are updated in place (next due time, status, back-off); the
+ * caller saves the watchlist. A failed check keeps the entry on schedule and
+ * counts the failure. Records that aren't found are saved too, so a
+ * disappearing record shows up as a change.
+ *
+ * @param {Watchlist} watchlist - Watchlist
+ * @param {Object} options - Cycle options
+ * @param {Object} options.store - Record store (see store.js) for snapshots
+ * @param {Date} [options.now] - Current time
+ * @param {number} [options.concurrency=2] - Records fetched at once
+ * @param {Object} [options.fetchOptions] - Passed to every fetchRecord call
+ * @param {AbortSignal} [options.signal] - Stops the cycle; unfinished entries stay due
+ * @param {Function} [options.onProgress] - Called with each progress event
+ * @param {Function} [options.onChange] - Called with each WatchChange as it's found
+ * @returns {Promise<{checked: number, changed: number, failed: number, aborted: boolean, changes: Array<WatchChange>}>} Cycle summary
+ * @throws {ScraperError} If an entry names an unknown council
+ */
+async function runWatchCycle(watchlist, options) {
+  const { store, now = new Date(), onChange = () => {}, ...batchOptions } = options;
+  if (!store) {
+    throw new ScraperError('A watch cycle needs a record store', 'INVALID_STORE');
+  }
+
+  const due = dueEntries(watchlist, now);
+  const byKey = new Map(due.map(entry => [`${entry.council}:${entry.reference}`, entry]));
+  const changes = [];
+  let checked = 0;
+  let failed = 0;
+
+  const onResult = async (outcome, { record }) => {
+    const entry = byKey.get(`${outcome.council}:${outcome.reference}`);
+    // Plan from whichever is later, so a long cycle can't leave it due again at once
+    const checkedAt = new Date(Math.max(now.getTime(), new Date(outcome.finishedAt).getTime()));
+
+    // Stopped mid-fetch: leave it due for the next cycle
+    if (outcome.code === 'ABORTED') return;
+    checked++;
+
+    if (outcome.status === 'failed') {
+      failed++;
+      entry.failures += 1;
+      entry.lastError = outcome.code;
+      entry.lastCheckedAt = outcome.finishedAt;
+      entry.nextCheckAt = dueAfter(entry, checkedAt).toISOString();
+      return;
+    }
+
+    const previous = await store.latest(entry.council, entry.reference);
+    const events = previous ? detectChanges(previous, record) : null;
+    await store.saveSnapshot(record);
+    recordCheck(entry, record, events, checkedAt);
+
+    if (events?.length > 0) {
+      const change = {
+        council: entry.council,
+        reference: entry.reference,
+        applicationType: record.type?.code || null,
+        checkedAt: outcome.finishedAt,
+        events,
+      };
+      changes.push(change);
+      await onChange(change);
+    }
+  };
+
+  const { aborted } = await runBatch(
+    due.map(entry => ({ council: entry.council, reference: entry.reference, ...(entry.caseType ? { caseType: entry.caseType } : {}) })),
+    { ...batchOptions, onResult }
+  );
+
+  return { checked, changed: changes.length, failed, aborted, changes };
+}
+
+/**
+ * Watches the watchlist until stopped
+ *
+ * Each cycle re-reads the watchlist file (so entries added from another
+ * process are picked up), runs the due entries, saves the file and sleeps
+ * until the next entry is due - waking at least every five minutes.
+ *
+ * @param {Object} options - Daemon options
+ * @param {Object} options.store - Record store for snapshots
+ * @param {string} [options.path] - Watchlist file (default: task2/output/watchlist.json)
+ * @param {AbortSignal} [options.signal] - Stops the daemon after the current record
+ * @param {Function} [options.onCycle] - Called with each cycle's summary and the next due time
+ * @param {Function} [options.onError] - Called with an error that ended a cycle; the daemon carries on
+ * @returns {Promise<void>} Resolves once stopped
+ */
+async function runWatchDaemon(options) {
+  const { path = DEFAULT_WATCHLIST_PATH, signal = null, onCycle = () => {}, onError = () => {}, ...cycleOptions } = options;
+
+  while (!signal?.aborted) {
+    let wake = Date.now() + MAX_SLEEP;
+    try {
+      const watchlist = await loadWatchlist(path);
+      const summary = await runWatchCycle(watchlist, { ...cycleOptions, signal });
+      // Entries removed by another process while the cycle ran stay removed
+      const current = await loadWatchlist(path);
+      current.entries = current.entries.map(entry => findEntry(watchlist, entry.council, entry.reference) || entry);
+      await saveWatchlist(current, path);
+
+      const due = nextDue(current);
+      if (due) wake = Math.min(wake, due.getTime());
+      await onCycle(summary, due);
+    } catch (error) {
+      await onError(error);
+    }
+
+    await sleepUntil(wake, signal);
+  }
+}
+
+/**
+ * Waits until a time or until the signal aborts
+ *
+ * @param {number} time - Epoch milliseconds
+ * @param {AbortSignal|null} signal - Cuts the wait short
+ * @returns {Promise<void>}
+ */
+function sleepUntil(time, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, Math.max(0, time - Date.now()));
+    signal?.addEventListener('abort', done);
+  });
+}
+
+export {
+  DEFAULT_WATCHLIST_PATH,
+  DEFAULT_SCHEDULE,
+  WATCH_BACKOFF,
+  createWatchlist,
+  loadWatchlist,
+  saveWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  isSettled,
+  dueEntries,
+  nextDue,
+  runWatchCycle,
+  runWatchDaemon,
+};
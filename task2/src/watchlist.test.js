@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWatchlist, addToWatchlist, runWatchCycle, WATCH_BACKOFF } from './watchlist.js';
+import { ScraperError } from './errors.js';
+import { registerStubCouncil, createStubStore } from './testing/stub-council.js';
+
+// A council whose record's status the tests set
+let status = 'Pending';
+registerStubCouncil(() => {
+  if (status === null) throw new ScraperError('Portal down', 'FETCH_FAILED');
+  return { status };
+});
+
+// Far enough ahead that checks are planned from these times, not the clock
+const start = new Date(2099, 0, 1, 12);
+const DAY = 24 * 60 * 60 * 1000;
+
+// Runs a cycle at the entry's due time and returns the wait until the next one
+async function check(watchlist, store) {
+  const [entry] = watchlist.entries;
+  const now = new Date(entry.nextCheckAt);
+  const summary = await runWatchCycle(watchlist, { store, now, delay: 0 });
+  return { summary, wait: new Date(entry.nextCheckAt) - now };
+}
+
+test('a settled record backs off on each unchanged check, and a change resets it', async () => {
+  const watchlist = createWatchlist();
+  const store = createStubStore();
+  const entry = addToWatchlist(watchlist, { council: 'stub', reference: 'A1', schedule: '0 12 * * *' }, start);
+
+  status = 'Pending';
+  assert.equal((await check(watchlist, store)).wait, DAY);
+  assert.equal(entry.backoff, 0);
+
+  status = 'Completed';
+  const changed = await check(watchlist, store);
+  assert.equal(changed.summary.changed, 1);
+  assert.equal(entry.backoff, 0);
+  assert.equal(entry.settled, true);
+
+  const waits = [];
+  for (let i = 0; i < 7; i++) {
+    waits.push((await check(watchlist, store)).wait / DAY);
+  }
+  // The back-off doubles up to WATCH_BACKOFF.max, then the next 12:00 after it
+  assert.deepEqual(waits, [2, 3, 5, 9, 17, 29, 29]);
+  assert.equal(WATCH_BACKOFF.max, 28 * DAY);
+
+  status = 'Completed - appealed';
+  assert.equal((await check(watchlist, store)).wait, DAY);
+  assert.equal(entry.backoff, 0);
+});
+
+test('a failed check counts the failure and keeps the schedule', async () => {
+  const watchlist = createWatchlist();
+  const store = createStubStore();
+  const entry = addToWatchlist(watchlist, { council: 'stub', reference: 'B1', schedule: '0 12 * * *' }, start);
+
+  status = null;
+  const { summary, wait } = await check(watchlist, store);
+  assert.deepEqual([summary.checked, summary.failed], [1, 1]);
+  assert.equal(wait, DAY);
+  assert.deepEqual([entry.failures, entry.lastError], [1, 'FETCH_FAILED']);
+
+  status = 'Pending';
+  await check(watchlist, store);
+  assert.deepEqual([entry.failures, entry.lastError], [0, null]);
+});